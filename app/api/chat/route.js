@@ -1,70 +1,165 @@
 import { NextResponse } from 'next/server';
 import OpenAI from 'openai';
+import { getCostLedger } from '../../../server/cost-ledger';
+import { getCostBudget, costLimitMessage } from '../../../server/cost-budget';
+import { getKeyVault } from '../../../server/key-vault';
+import { withVerifiedUid } from '../../../server/auth';
+import { getMetrics } from '../../../server/metrics';
+import { tokensFromOpenAIUsage, tokensFromGeminiUsage, estimateTextTokens, estimatePromptTokens } from '../../../server/pricing';
+import { resolvePersona, personaInstructions, personaTemperature, personaMaxTokens } from '../../../server/personas';
+import { geminiRequestOptions, openaiClientOptions } from '../../../server/provider-urls';
+
+// Only reached with the caller's verified Firebase uid (set by server.js)
+export const POST = withVerifiedUid(async (request, userId) => {
+  // Known once the body is parsed; used to attribute errors in the status metrics
+  let providerName = 'unknown';
+  let requestModel;
 
-
-export async function POST(request) {
   try {
     const body = await request.json();
-    const { messages, model, apiKey, tokenLimit, provider } = body;
+    const { messages, model, tokenLimit, provider, stream } = body;
+    // Optional system prompt/temperature/length, validated like the WebSocket one
+    const persona = resolvePersona(body.persona);
 
-    if (!apiKey) {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return NextResponse.json(
-        { error: 'API key is required' },
+        { error: 'Messages array is required' },
         { status: 400 }
       );
     }
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    const isGemini = provider === 'gemini' || model?.includes('gemini');
+    providerName = isGemini ? 'gemini' : 'openai';
+    requestModel = model;
+
+    // The caller's saved key (server/key-vault.js), else the server's own
+    const apiKey = getKeyVault().resolve(userId, providerName);
+    if (!apiKey) {
       return NextResponse.json(
-        { error: 'Messages array is required' },
+        { error: `No ${isGemini ? 'Gemini' : 'OpenAI'} API key configured. Add one on the Setup page.` },
         { status: 400 }
       );
     }
 
+    // Refuse before calling the provider once the user's (or everyone's) hourly budget is spent
+    const budget = getCostBudget().exhausted(providerName, userId);
+    if (budget) {
+      console.log(`[API] ${providerName} chat refused for user ${userId}: ${budget.scope} hourly budget spent`);
+      return NextResponse.json(
+        { error: costLimitMessage(budget), code: 'cost_limit' },
+        { status: 429 }
+      );
+    }
+
+    getMetrics().countRequest(providerName, model);
+
+    // Opt-in Server-Sent Events mode: reply text arrives as it is generated
+    if (stream) {
+      return createEventStreamResponse(isGemini
+        ? streamGeminiChat(messages, model, apiKey, tokenLimit, userId, persona)
+        : streamOpenAIChat(messages, model, apiKey, tokenLimit, userId, persona),
+        () => getMetrics().countError(providerName, model));
+    }
+
     // Handle Gemini models
-    if (provider === 'gemini' || model?.includes('gemini')) {
-      return handleGeminiChat(messages, model, apiKey, tokenLimit);
+    if (isGemini) {
+      return handleGeminiChat(messages, model, apiKey, tokenLimit, userId, persona);
     }
 
     // Handle OpenAI models
-    return handleOpenAIChat(messages, model, apiKey, tokenLimit);
+    return handleOpenAIChat(messages, model, apiKey, tokenLimit, userId, persona);
 
   } catch (error) {
     console.error('[API] Chat error:', error);
     console.error('[API] Error message:', error.message);
-
-    let userMessage = 'Failed to process chat request';
-
-    if (error.message?.includes('API key') || error.message?.includes('apiKey')) {
-      userMessage = 'Invalid API key';
-    } else if (error.message?.includes('rate limit') || error.message?.includes('RATE_LIMIT')) {
-      userMessage = 'Rate limit exceeded. Please try again later';
-    } else if (error.message?.includes('timeout')) {
-      userMessage = 'Request timed out. Please try again';
-    } else if (error.message?.includes('model')) {
-      userMessage = 'Invalid model or model not available';
-    } else if (error.message?.includes('content') || error.message?.includes('image')) {
-      userMessage = 'Image processing error. Try fewer or smaller images.';
-    } else if (error.message?.includes('maximum context length') || error.message?.includes('token')) {
-      userMessage = 'Request too large. Try with fewer images or a shorter message.';
-    } else if (error.message?.includes('quota') || error.message?.includes('RESOURCE_EXHAUSTED')) {
-      userMessage = 'API quota exceeded. Please check your billing or wait for quota reset.';
-    }
+    getMetrics().countError(providerName, requestModel);
 
     return NextResponse.json(
-      { error: userMessage, details: error.message },
+      { error: getUserErrorMessage(error), details: error.message },
       { status: error.status || 500 }
     );
   }
+});
+
+// Map provider errors to a short message that is safe to show in the UI
+function getUserErrorMessage(error) {
+  let userMessage = 'Failed to process chat request';
+
+  if (error.message?.includes('API key') || error.message?.includes('apiKey')) {
+    userMessage = 'Invalid API key';
+  } else if (error.message?.includes('rate limit') || error.message?.includes('RATE_LIMIT')) {
+    userMessage = 'Rate limit exceeded. Please try again later';
+  } else if (error.message?.includes('timeout')) {
+    userMessage = 'Request timed out. Please try again';
+  } else if (error.message?.includes('model')) {
+    userMessage = 'Invalid model or model not available';
+  } else if (error.message?.includes('content') || error.message?.includes('image')) {
+    userMessage = 'Image processing error. Try fewer or smaller images.';
+  } else if (error.message?.includes('maximum context length') || error.message?.includes('token')) {
+    userMessage = 'Request too large. Try with fewer images or a shorter message.';
+  } else if (error.message?.includes('quota') || error.message?.includes('RESOURCE_EXHAUSTED')) {
+    userMessage = 'API quota exceeded. Please check your billing or wait for quota reset.';
+  }
+
+  return userMessage;
 }
 
-// Handle OpenAI chat requests
-async function handleOpenAIChat(messages, model, apiKey, tokenLimit) {
-  const openai = new OpenAI({ apiKey });
+// Record provider-reported token usage in the server's shared cost ledger
+function recordUsage(provider, userId, model, tokens) {
+  getCostLedger().record({ provider, userId, model, tokens, source: 'api' });
+}
+
+// Wrap an async generator of { event, data } items in a text/event-stream response.
+// Errors thrown by the generator are reported as a final `error` event (and to onError).
+function createEventStreamResponse(events, onError) {
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const emit = (event, data) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        for await (const { event, data } of events) {
+          // Client went away - leaving the loop stops pulling from the provider
+          if (cancelled) break;
+          emit(event, data);
+        }
+      } catch (error) {
+        console.error('[API] Chat stream error:', error.message);
+        onError?.(error);
+        if (!cancelled) {
+          emit('error', { error: getUserErrorMessage(error), details: error.message });
+        }
+      }
 
+      if (!cancelled) {
+        controller.close();
+      }
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+// Build Chat Completions parameters for OpenAI models
+function buildOpenAICompletionParams(messages, model, tokenLimit, persona) {
   let completionParams = {
     model: model || 'gpt-4o',
-    messages: messages
+    messages: persona
+      ? [{ role: 'system', content: personaInstructions(persona) }, ...messages]
+      : messages
   };
 
   // Add o3-specific parameters
@@ -93,10 +188,18 @@ async function handleOpenAIChat(messages, model, apiKey, tokenLimit) {
     console.log(`[API] o3 request - Token limit: ${limit}, Reasoning: ${reasoningEffort}, Images: ${imageCount}`);
   } else {
     // For GPT-4o and other models
-    completionParams.max_tokens = 4096;
-    completionParams.temperature = 0.7;
+    completionParams.max_tokens = persona ? personaMaxTokens(persona, 'chat') : 4096;
+    completionParams.temperature = persona ? personaTemperature(persona, 'openai', 0.7) : 0.7;
   }
 
+  return completionParams;
+}
+
+// Handle OpenAI chat requests
+async function handleOpenAIChat(messages, model, apiKey, tokenLimit, userId, persona) {
+  const openai = new OpenAI(openaiClientOptions(apiKey));
+  const completionParams = buildOpenAICompletionParams(messages, model, tokenLimit, persona);
+
   console.log(`[API] Calling OpenAI ${model} with ${messages.length} messages`);
 
   const completion = await openai.chat.completions.create(completionParams);
@@ -104,6 +207,8 @@ async function handleOpenAIChat(messages, model, apiKey, tokenLimit) {
 
   console.log(`[API] Response received from ${model}`);
 
+  recordUsage('openai', userId, completionParams.model, tokensFromOpenAIUsage(completion.usage));
+
   return NextResponse.json({
     success: true,
     text: responseText,
@@ -112,8 +217,47 @@ async function handleOpenAIChat(messages, model, apiKey, tokenLimit) {
   });
 }
 
-// Handle Gemini chat requests
-async function handleGeminiChat(messages, model, apiKey, tokenLimit) {
+// Stream OpenAI chat requests as delta events followed by a usage event
+async function* streamOpenAIChat(messages, model, apiKey, tokenLimit, userId, persona) {
+  const openai = new OpenAI(openaiClientOptions(apiKey));
+  const completionParams = buildOpenAICompletionParams(messages, model, tokenLimit, persona);
+  completionParams.stream = true;
+  completionParams.stream_options = { include_usage: true }; // Usage arrives in the last chunk
+
+  console.log(`[API] Streaming OpenAI ${model} with ${messages.length} messages`);
+
+  const stream = await openai.chat.completions.create(completionParams);
+  let responseText = '';
+  let usage = null;
+
+  try {
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        responseText += delta;
+        yield { event: 'delta', data: { text: delta } };
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+  } finally {
+    // Also runs when the client cancels (the response stream returns this
+    // generator early): without the final usage chunk, count the prompt and
+    // the text streamed so far instead
+    recordUsage('openai', userId, completionParams.model, tokensFromOpenAIUsage(usage || {
+      prompt_tokens: estimatePromptTokens(completionParams.messages),
+      completion_tokens: estimateTextTokens(responseText)
+    }));
+  }
+
+  console.log(`[API] Stream finished from ${model}`);
+
+  yield { event: 'usage', data: { model, usage } };
+}
+
+// Convert OpenAI-style messages into a Gemini chat session and the parts to send
+function prepareGeminiChat(messages, model, apiKey, persona) {
   const { GoogleGenerativeAI } = require('@google/generative-ai');
   const genAI = new GoogleGenerativeAI(apiKey);
 
@@ -128,8 +272,8 @@ async function handleGeminiChat(messages, model, apiKey, tokenLimit) {
 
   // Configure generation settings - keep it simple for compatibility
   const generationConfig = {
-    temperature: 0.7,
-    maxOutputTokens: 8192,
+    temperature: persona ? personaTemperature(persona, 'gemini', 0.7) : 0.7,
+    maxOutputTokens: persona ? personaMaxTokens(persona, 'chat') : 8192,
   };
 
   // Convert messages to Gemini format
@@ -184,35 +328,86 @@ async function handleGeminiChat(messages, model, apiKey, tokenLimit) {
     }
   }
 
-  console.log(`[API] Calling Gemini ${currentModel} with ${geminiHistory.length} history messages`);
+  const geminiModel = genAI.getGenerativeModel({
+    model: currentModel,
+    generationConfig: generationConfig,
+    ...(persona && { systemInstruction: personaInstructions(persona) })
+  }, geminiRequestOptions());
 
-  try {
-    const geminiModel = genAI.getGenerativeModel({
-      model: currentModel,
-      generationConfig: generationConfig
-    });
+  const chat = geminiModel.startChat({
+    history: geminiHistory
+  });
 
-    const chat = geminiModel.startChat({
-      history: geminiHistory
-    });
+  return { chat, currentParts, currentModel, historyLength: geminiHistory.length };
+}
+
+// Map Gemini usageMetadata onto the OpenAI usage shape the client expects
+function toOpenAIUsage(usageMetadata) {
+  return {
+    prompt_tokens: usageMetadata?.promptTokenCount || 0,
+    completion_tokens: usageMetadata?.candidatesTokenCount || 0,
+    total_tokens: usageMetadata?.totalTokenCount || 0
+  };
+}
+
+// Handle Gemini chat requests
+async function handleGeminiChat(messages, model, apiKey, tokenLimit, userId, persona) {
+  const { chat, currentParts, currentModel, historyLength } = prepareGeminiChat(messages, model, apiKey, persona);
+
+  console.log(`[API] Calling Gemini ${currentModel} with ${historyLength} history messages`);
 
+  try {
     const result = await chat.sendMessage(currentParts);
     const responseText = result.response.text() || 'No response generated';
 
     console.log(`[API] Response received from Gemini ${currentModel}`);
 
+    const { usageMetadata } = result.response;
+    recordUsage('gemini', userId, currentModel, tokensFromGeminiUsage(usageMetadata));
+
     return NextResponse.json({
       success: true,
       text: responseText,
       model: currentModel,
-      usage: {
-        prompt_tokens: 0,
-        completion_tokens: 0,
-        total_tokens: 0
-      }
+      usage: toOpenAIUsage(usageMetadata)
     });
   } catch (error) {
     console.error(`[API] Gemini error:`, error.message);
     throw error;
   }
 }
+
+// Stream Gemini chat requests as delta events followed by a usage event
+async function* streamGeminiChat(messages, model, apiKey, tokenLimit, userId, persona) {
+  const { chat, currentParts, currentModel, historyLength } = prepareGeminiChat(messages, model, apiKey, persona);
+
+  console.log(`[API] Streaming Gemini ${currentModel} with ${historyLength} history messages`);
+
+  const result = await chat.sendMessageStream(currentParts);
+  let responseText = '';
+  let usageMetadata;
+
+  try {
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        responseText += delta;
+        yield { event: 'delta', data: { text: delta } };
+      }
+    }
+  } finally {
+    // Also runs when the client cancels. The SDK keeps reading the response,
+    // so the final usage still arrives; if the request failed, count the
+    // prompt and the text streamed so far instead
+    const response = await result.response.catch(() => null);
+    usageMetadata = response?.usageMetadata || {
+      promptTokenCount: estimatePromptTokens(messages),
+      candidatesTokenCount: estimateTextTokens(responseText)
+    };
+    recordUsage('gemini', userId, currentModel, tokensFromGeminiUsage(usageMetadata));
+  }
+
+  console.log(`[API] Stream finished from Gemini ${currentModel}`);
+
+  yield { event: 'usage', data: { model: currentModel, usage: toOpenAIUsage(usageMetadata) } };
+}
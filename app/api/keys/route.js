@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { getKeyVault, UNKNOWN_PROVIDER, INVALID_API_KEY } from '../../../server/key-vault';
+import { withVerifiedUid } from '../../../server/auth';
+
+// The caller's provider API keys, kept encrypted by the server (server/key-vault.js):
+//   GET                      -> { keys: { gemini: { masked, updatedAt } | null, openai: ... } }
+//   PUT { provider, apiKey } -> save or rotate one key
+//   DELETE ?provider=...     -> remove one key
+// Raw keys are only ever accepted, never returned. Each handler is only reached
+// with the caller's verified Firebase uid (set by server.js).
+
+const NO_STORE = { 'Cache-Control': 'no-store' };
+
+export const GET = withVerifiedUid(async (request, userId) => {
+  return NextResponse.json({ keys: getKeyVault().list(userId) }, { headers: NO_STORE });
+});
+
+export const PUT = withVerifiedUid(async (request, userId) => {
+  try {
+    const { provider, apiKey } = await request.json();
+    const key = getKeyVault().set(userId, provider, apiKey);
+    console.log(`[API] Saved ${provider} API key for user ${userId}`);
+    return NextResponse.json({ provider, key }, { headers: NO_STORE });
+  } catch (error) {
+    if (error.code === UNKNOWN_PROVIDER || error.code === INVALID_API_KEY) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error('[API] Failed to save API key:', error.message);
+    return NextResponse.json({ error: 'Failed to save API key' }, { status: 500 });
+  }
+});
+
+export const DELETE = withVerifiedUid(async (request, userId) => {
+  const provider = new URL(request.url).searchParams.get('provider');
+  if (!getKeyVault().delete(userId, provider)) {
+    return NextResponse.json({ error: 'No saved key for this provider' }, { status: 404 });
+  }
+
+  console.log(`[API] Deleted ${provider} API key for user ${userId}`);
+  return NextResponse.json({ deleted: provider }, { headers: NO_STORE });
+});
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import OpenAI from 'openai';
+import { isRealtimeVoice } from '../../lib/voices';
+import { openaiClientOptions } from '../../../server/provider-urls';
+import { getKeyVault } from '../../../server/key-vault';
+import { withVerifiedUid } from '../../../server/auth';
+
+// Same sentence for every voice so they are easy to compare
+const PREVIEW_TEXT = 'Hi! This is how I sound. I can see what your camera sees and talk it through with you.';
+const PREVIEW_MODEL = 'gpt-4o-mini-tts';
+
+// Samples don't depend on who asks, so each voice is generated once per server process
+const previewCache = new Map(); // voice -> mp3 Buffer
+
+// Only reached with the caller's verified Firebase uid (set by server.js)
+export const POST = withVerifiedUid(async (request, userId) => {
+  try {
+    const { voice } = await request.json();
+
+    if (!isRealtimeVoice(voice)) {
+      return NextResponse.json(
+        { error: 'Unknown voice' },
+        { status: 400 }
+      );
+    }
+
+    if (!previewCache.has(voice)) {
+      // Previews are paid with the caller's saved OpenAI key
+      const apiKey = getKeyVault().resolve(userId, 'openai');
+      if (!apiKey) {
+        return NextResponse.json(
+          { error: 'No OpenAI API key configured. Add one on the Setup page.' },
+          { status: 400 }
+        );
+      }
+
+      const openai = new OpenAI(openaiClientOptions(apiKey));
+      const speech = await openai.audio.speech.create({
+        model: PREVIEW_MODEL,
+        voice,
+        input: PREVIEW_TEXT,
+        response_format: 'mp3'
+      });
+
+      previewCache.set(voice, Buffer.from(await speech.arrayBuffer()));
+      console.log(`[API] Generated preview for voice ${voice}`);
+    }
+
+    return new Response(previewCache.get(voice), {
+      headers: {
+        'Content-Type': 'audio/mpeg',
+        'Cache-Control': 'private, max-age=86400'
+      }
+    });
+  } catch (error) {
+    console.error('[API] Voice preview error:', error.message);
+    return NextResponse.json(
+      { error: 'Failed to generate voice preview', details: error.message },
+      { status: error.status || 500 }
+    );
+  }
+});
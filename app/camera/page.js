@@ -4,25 +4,41 @@ import { useEffect, useState, useRef, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { PCM16AudioCapture } from '../lib/audio-capture';
 import { PCM16AudioPlayer } from '../lib/audio-player';
+import { getFrameChangeThreshold, getProviderLimits, loadSpokenReplies, saveSpokenReplies } from '../lib/advanced-settings';
+import { applyToolEvent, describeToolEvent } from '../lib/tool-events';
+import { PROTOCOL_VERSION, parseServerEvent } from '../lib/protocol';
+import { DEFAULT_FRAME_PACING, adaptFramePacing } from '../lib/frame-pacing';
+import { computeFrameHash, isSceneChanged } from '../lib/frame-change';
+import { DEFAULT_PERSONA_ID, getPersonaPayload, loadSelectedPersonaId, saveSelectedPersonaId } from '../lib/personas';
+import { DEFAULT_VOICE, REALTIME_VOICES, loadVoice, saveVoice } from '../lib/voices';
 import ProtectedRoute from '../components/ProtectedRoute';
 import Header from '../components/Header';
+import PersonaSelector from '../components/PersonaSelector';
+import VoicePicker from '../components/VoicePicker';
 import { useAuth } from '../contexts/AuthContext';
 
 function CameraPageContent() {
   const router = useRouter();
-  const { logout } = useAuth();
+  const { logout, user, getIdToken } = useAuth();
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const [aiResponse, setAiResponse] = useState('Select a model and click Start to begin');
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState('');
+  const [warning, setWarning] = useState(''); // Latest server warning (quota, budget, capped limits)
   const [sessionTime, setSessionTime] = useState(0);
   const [selectedProvider, setSelectedProvider] = useState('gemini');
   const [selectedModel, setSelectedModel] = useState('gemini-1.5-pro');
+  const [spokenReplies, setSpokenReplies] = useState(false); // Gemini answers with native audio
+  const [toolEvents, setToolEvents] = useState([]); // Latest tool calls made by the AI
+  const [personaId, setPersonaId] = useState(DEFAULT_PERSONA_ID); // System prompt/temperature/length preset
+  const [voice, setVoice] = useState(DEFAULT_VOICE); // OpenAI Realtime voice
   const [showModelSelector, setShowModelSelector] = useState(false);
   const [hasStarted, setHasStarted] = useState(false); // Track if user has started the session
   const [userTranscription, setUserTranscription] = useState(''); // Store user's spoken words
   const [isUserSpeaking, setIsUserSpeaking] = useState(false); // Track if user is speaking (OpenAI VAD)
+  const [isAiSpeaking, setIsAiSpeaking] = useState(false); // AI voice is playing (can be interrupted)
+  const [framePacing, setFramePacing] = useState(DEFAULT_FRAME_PACING); // Frame interval/quality, adapted to server load
 
   // Available AI providers
   const availableProviders = [
@@ -78,16 +94,20 @@ function CameraPageContent() {
 
   const wsRef = useRef(null);
   const mediaStreamRef = useRef(null);
-  const frameIntervalRef = useRef(null);
+  const frameIntervalRef = useRef(null); // Timeout for the next camera frame
+  const framePacingRef = useRef(DEFAULT_FRAME_PACING);
+  const lastFlowReportRef = useRef(null); // Previous flow_control event, to spot newly dropped frames
   const mediaRecorderRef = useRef(null);
   const sessionTimerRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const pcm16CaptureRef = useRef(null); // For OpenAI PCM16 audio capture
-  const audioPlayerRef = useRef(null); // For OpenAI audio playback
+  const audioPlayerRef = useRef(null); // For AI voice playback (OpenAI, Gemini spoken replies)
+  const audioResponseActiveRef = useRef(false); // Audio chunks belong to a response already started
+  const discardAudioRef = useRef(false); // Interrupted: drop audio until the server confirms
 
   // Cleanup function - defined before useEffect to avoid reference error
   const cleanup = useCallback(() => {
-    if (frameIntervalRef.current) clearInterval(frameIntervalRef.current);
+    if (frameIntervalRef.current) clearTimeout(frameIntervalRef.current);
     if (sessionTimerRef.current) clearInterval(sessionTimerRef.current);
     if (reconnectTimeoutRef.current) clearTimeout(reconnectTimeoutRef.current);
     if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
@@ -116,6 +136,31 @@ function CameraPageContent() {
     };
   }, [cleanup]);
 
+  // Restore the saved Gemini spoken replies preference and persona
+  useEffect(() => {
+    setSpokenReplies(loadSpokenReplies());
+    setPersonaId(loadSelectedPersonaId());
+  }, []);
+
+  const handlePersonaChange = (id) => {
+    setPersonaId(id);
+    saveSelectedPersonaId(id);
+  };
+
+  // Voice is remembered per signed-in user
+  useEffect(() => {
+    setVoice(loadVoice(user?.uid));
+  }, [user]);
+
+  // Mid-session changes are applied by the server with a new session.update
+  const handleVoiceChange = (id) => {
+    setVoice(id);
+    saveVoice(user?.uid, id);
+    if (hasStarted && wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'voice_change', voice: id }));
+    }
+  };
+
   const handleStart = async () => {
     setHasStarted(true);
     setAiResponse('Initializing camera and microphone...');
@@ -155,14 +200,24 @@ function CameraPageContent() {
     }
   };
 
-  const connectWebSocket = (stream) => {
+  const connectWebSocket = async (stream) => {
     // Determine WebSocket URL based on provider
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsEndpoint = selectedProvider === 'openai' ? '/ws/openai' : '/ws/gemini';
     const wsUrl = `${protocol}//${window.location.host}${wsEndpoint}`;
 
+    // The server only accepts the socket with a valid Firebase ID token
+    let idToken;
+    try {
+      idToken = await getIdToken();
+    } catch (err) {
+      console.error('Failed to get ID token:', err);
+      setError('Your session has expired. Please log in again.');
+      return;
+    }
+
     console.log('Connecting to WebSocket:', wsUrl, 'Provider:', selectedProvider);
-    const ws = new WebSocket(wsUrl);
+    const ws = new WebSocket(`${wsUrl}?token=${encodeURIComponent(idToken)}`);
     wsRef.current = ws;
 
     ws.onopen = () => {
@@ -172,24 +227,33 @@ function CameraPageContent() {
       setAiResponse('AI is watching and listening...');
       setSessionTime(0);
 
-      // Get API keys from sessionStorage
-      const geminiApiKey = sessionStorage.getItem('gemini_api_key');
-      const openaiApiKey = sessionStorage.getItem('openai_api_key');
-
-      // Send model selection to server with API key
+      // Send model selection to server
       const modelSelection = {
         type: 'model_selection',
+        protocolVersion: PROTOCOL_VERSION,
         model: selectedModel,
         mode: 'vision+audio'  // Camera mode includes both video and audio
       };
 
-      // Add appropriate API key based on provider
+      // Rate limits from the settings page (server caps them at its maximums)
+      modelSelection.limits = getProviderLimits(selectedProvider);
+
+      // Persona: system prompt, temperature and reply length
+      modelSelection.persona = getPersonaPayload(personaId);
+
+      // Gemini Live replies with speech (plus a transcript) instead of text
       if (selectedProvider === 'gemini') {
-        modelSelection.apiKey = geminiApiKey;
-      } else if (selectedProvider === 'openai') {
-        modelSelection.apiKey = openaiApiKey;
+        modelSelection.responseMode = spokenReplies ? 'audio' : 'text';
+      }
+
+      // Realtime voice (OpenAI)
+      if (selectedProvider === 'openai') {
+        modelSelection.voice = voice;
       }
 
+      audioResponseActiveRef.current = false;
+      discardAudioRef.current = false;
+
       ws.send(JSON.stringify(modelSelection));
 
       // Start session timer
@@ -211,12 +275,34 @@ function CameraPageContent() {
     };
 
     ws.onmessage = async (event) => {
+      const data = parseServerEvent(event.data);
+      if (!data) return;
+
       try {
-        const data = JSON.parse(event.data);
+        if (data.type === 'protocol_accepted') {
+          console.log(`Protocol v${data.version} accepted`);
+        }
+
+        // The server lost its provider connection and restored the conversation
+        if (data.type === 'session_resumed') {
+          console.log(`Provider session resumed (${data.method}, ${data.turns} turns)`);
+        }
 
-        // Handle user speech detection (OpenAI VAD)
+        // Server backlog: slow down (or speed back up) the camera
+        if (data.type === 'flow_control') {
+          const next = adaptFramePacing(framePacingRef.current, data, lastFlowReportRef.current);
+          lastFlowReportRef.current = data;
+          if (next !== framePacingRef.current) {
+            console.log(`Camera frames every ${next.intervalMs / 1000}s at ${Math.round(next.quality * 100)}% quality (queue: ${data.queueDepth}, dropped: ${data.framesDropped})`);
+            framePacingRef.current = next;
+            setFramePacing(next);
+          }
+        }
+
+        // Handle user speech detection (OpenAI VAD) - speaking over the AI interrupts it
         if (data.type === 'user_speaking_started') {
           setIsUserSpeaking(true);
+          interruptAssistant();
         }
 
         if (data.type === 'user_speaking_stopped') {
@@ -228,29 +314,59 @@ function CameraPageContent() {
           setUserTranscription(data.transcription);
         }
 
-        // Handle AI audio response (OpenAI voice)
-        if (data.type === 'audio_response_delta' && data.audio) {
+        // Tools the AI ran on the server (time, calculator, notes, ...)
+        if (data.type === 'tool_call' || data.type === 'tool_result') {
+          setToolEvents(prev => applyToolEvent(prev, data));
+        }
+
+        // Handle AI audio response (OpenAI voice, Gemini spoken replies)
+        if (data.type === 'audio_response_delta' && data.audio && !discardAudioRef.current) {
           if (!audioPlayerRef.current) {
-            audioPlayerRef.current = new PCM16AudioPlayer();
+            audioPlayerRef.current = new PCM16AudioPlayer({ onIdle: () => setIsAiSpeaking(false) });
             await audioPlayerRef.current.initialize();
           }
-          audioPlayerRef.current.addChunk(data.audio);
+          if (!audioResponseActiveRef.current) {
+            audioPlayerRef.current.markResponseStart();
+            audioResponseActiveRef.current = true;
+          }
+          audioPlayerRef.current.addChunk(data.audio, data.sampleRate);
+          setIsAiSpeaking(true);
         }
 
         if (data.type === 'audio_response_complete') {
           console.log('AI finished speaking');
+          audioResponseActiveRef.current = false;
+        }
+
+        // The reply was cut off (our interrupt was applied, or Gemini heard the user)
+        if (data.type === 'audio_interrupted') {
+          audioPlayerRef.current?.clear();
+          audioResponseActiveRef.current = false;
+          discardAudioRef.current = false;
+          setIsAiSpeaking(false);
         }
 
         // Handle AI response text
-        if (data.text) {
+        // Only show actual AI responses (and voice switch / reconnect notices), not transcriptions or notices
+        if (data.text && (data.type === 'ai_response_delta' || data.type === 'ai_response_complete' || data.type === 'voice_changed' || data.type === 'session_resumed')) {
           setAiResponse(data.text);
         }
 
-        if (data.error) {
+        if (data.type === 'status') {
+          console.log('Server status:', data.text);
+        }
+
+        // Budget, quota and settings notices - the session goes on
+        if (data.type === 'warning') {
+          console.warn(`Server warning (${data.code}):`, data.text);
+          setWarning(data.text);
+        }
+
+        if (data.type === 'error') {
           setError(data.error);
         }
       } catch (err) {
-        console.error('Message parse error:', err);
+        console.error('Message handling error:', err);
       }
     };
 
@@ -280,11 +396,16 @@ function CameraPageContent() {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
 
+    // Still scenes: only send a frame once the view has changed (new connections start fresh)
+    const hashCanvas = document.createElement('canvas');
+    const changeThreshold = getFrameChangeThreshold();
+    let lastSentHash = null;
+
     const sendFrame = () => {
       if (!videoRef.current || !ws || ws.readyState !== WebSocket.OPEN) return;
 
-      // OpenAI Realtime API doesn't support video - only send to Gemini
-      if (selectedProvider === 'openai') return;
+      // Both providers take frames; for OpenAI the server adds them to the
+      // Realtime conversation as images (throttled, latest frame only)
 
       const video = videoRef.current;
       if (video.readyState !== 4) return; // Video not ready
@@ -293,6 +414,9 @@ function CameraPageContent() {
       canvas.height = video.videoHeight;
       ctx.drawImage(video, 0, 0);
 
+      const hash = computeFrameHash(canvas, hashCanvas);
+      if (!isSceneChanged(lastSentHash, hash, changeThreshold)) return;
+
       // Gemini 2.0 Flash image limits:
       // - Maximum images per prompt: 3,000
       // - Maximum image size: 7 MB
@@ -312,21 +436,35 @@ function CameraPageContent() {
               ws.send(JSON.stringify({
                 type: 'video_frame',
                 data: base64,
+                hash, // For debugging; the server hashes frames itself
                 timestamp: Date.now()
               }));
+              lastSentHash = hash;
             }
           };
           reader.readAsDataURL(blob);
         },
         'image/jpeg', // Supported MIME type
-        0.8 // Quality (0-1) - lower quality = smaller file size
+        framePacingRef.current.quality // Quality (0-1) - lowered while the server is behind
       );
     };
 
-    // Send frames every 8000ms (8 seconds) to stay within 2025 free tier limits
-    // Free tier: ~8-10 requests/min max. Sending every 8s = ~7.5 frames/min (safe)
-    // Adjust this value based on your tier: Paid tier can use 1000ms (1 second)
-    frameIntervalRef.current = setInterval(sendFrame, 8000);
+    // Start at one frame every 8 seconds (~7.5 frames/min, safe for the free
+    // tier's ~8-10 requests/min). flow_control reports from the server then
+    // stretch or shorten the interval, so each frame schedules the next.
+    // Counters restart with every connection.
+    framePacingRef.current = DEFAULT_FRAME_PACING;
+    lastFlowReportRef.current = null;
+    setFramePacing(DEFAULT_FRAME_PACING);
+
+    const scheduleFrame = () => {
+      frameIntervalRef.current = setTimeout(() => {
+        sendFrame();
+        scheduleFrame();
+      }, framePacingRef.current.intervalMs);
+    };
+    clearTimeout(frameIntervalRef.current); // Stop the previous connection's frames
+    scheduleFrame();
 
     // Audio capture - different methods for different providers
     const audioTracks = stream.getAudioTracks();
@@ -425,6 +563,23 @@ function CameraPageContent() {
     }
   };
 
+  // Barge-in: stop the AI's voice and tell the server how much was heard, so it
+  // can cancel the reply and cut the conversation to what was actually played
+  const interruptAssistant = () => {
+    const player = audioPlayerRef.current;
+    if (!player?.isPlaying) return;
+
+    const playedMs = player.clear();
+    audioResponseActiveRef.current = false;
+    setIsAiSpeaking(false);
+
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      // Chunks already on their way are dropped until audio_interrupted comes back
+      discardAudioRef.current = true;
+      wsRef.current.send(JSON.stringify({ type: 'interrupt', playedMs: Math.round(playedMs) }));
+    }
+  };
+
   const handleStopStreaming = () => {
     // Stop camera, mic, and WebSocket
     cleanup();
@@ -448,7 +603,10 @@ function CameraPageContent() {
     setIsConnected(false);
     setAiResponse('Select a model and click Start to begin');
     setError('');
+    setWarning('');
     setSessionTime(0);
+    setToolEvents([]);
+    setIsAiSpeaking(false);
   };
 
   const handleLogout = async () => {
@@ -506,11 +664,35 @@ function CameraPageContent() {
                     </span>
                   )}
                 </div>
-                {isConnected && (
-                  <span className="text-white/60 text-xs sm:text-sm pl-5 sm:pl-0">
-                    Session: {formatTime(sessionTime)}
-                  </span>
-                )}
+                <div className="flex items-center gap-2 pl-5 sm:pl-0">
+                  {isAiSpeaking && (
+                    <button
+                      type="button"
+                      onClick={interruptAssistant}
+                      className="bg-black/60 border border-white/20 rounded text-white/80 hover:text-white text-xs px-2 py-1"
+                    >
+                      ■ Stop talking
+                    </button>
+                  )}
+                  {/* Voice can be switched mid-session (OpenAI) */}
+                  {selectedProvider === 'openai' && (
+                    <select
+                      value={voice}
+                      onChange={(e) => handleVoiceChange(e.target.value)}
+                      title="Voice"
+                      className="bg-black/60 border border-white/20 rounded text-white/80 text-xs p-1 focus:outline-none"
+                    >
+                      {REALTIME_VOICES.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  {isConnected && (
+                    <span className="text-white/60 text-xs sm:text-sm">
+                      Session: {formatTime(sessionTime)}
+                    </span>
+                  )}
+                </div>
               </div>
             )}
 
@@ -600,6 +782,43 @@ function CameraPageContent() {
               </div>
             )}
 
+            {/* Persona Selection - Before start */}
+            {!hasStarted && (
+              <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-black/80 rounded-lg sm:rounded-xl border border-white/20">
+                <h3 className="text-white text-xs sm:text-sm font-semibold mb-2">Choose Persona</h3>
+                <PersonaSelector value={personaId} onChange={handlePersonaChange} compact />
+              </div>
+            )}
+
+            {/* Voice Selection - OpenAI only, before start */}
+            {!hasStarted && selectedProvider === 'openai' && (
+              <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-black/80 rounded-lg sm:rounded-xl border border-white/20">
+                <h3 className="text-white text-xs sm:text-sm font-semibold mb-2">Choose Voice</h3>
+                <VoicePicker value={voice} onChange={handleVoiceChange} compact />
+              </div>
+            )}
+
+            {/* Spoken Replies - Gemini only, before start */}
+            {!hasStarted && selectedProvider === 'gemini' && (
+              <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-black/80 rounded-lg sm:rounded-xl border border-white/20">
+                <label className="flex items-center justify-between gap-2 cursor-pointer">
+                  <div>
+                    <div className="text-white text-xs sm:text-sm font-semibold">Spoken replies</div>
+                    <p className="text-white/60 text-[10px] sm:text-xs mt-0.5">Gemini answers out loud, with a transcript</p>
+                  </div>
+                  <input
+                    type="checkbox"
+                    checked={spokenReplies}
+                    onChange={(e) => {
+                      setSpokenReplies(e.target.checked);
+                      saveSpokenReplies(e.target.checked);
+                    }}
+                    className="w-4 h-4 accent-gray-400 flex-shrink-0"
+                  />
+                </label>
+              </div>
+            )}
+
             {/* User Transcription - Show what user is saying */}
             {hasStarted && userTranscription && (
               <div className="mb-2 sm:mb-3 p-2 sm:p-2.5 bg-blue-500/20 border border-blue-500/50 rounded-md sm:rounded-lg">
@@ -612,6 +831,28 @@ function CameraPageContent() {
               </div>
             )}
 
+            {/* Tool Calls - What the AI looked up or saved */}
+            {hasStarted && toolEvents.length > 0 && (
+              <div className="mb-2 sm:mb-3 p-2 sm:p-2.5 bg-white/5 border border-white/15 rounded-md sm:rounded-lg">
+                <span className="text-white/60 text-[10px] sm:text-xs font-semibold">TOOLS:</span>
+                {toolEvents.map(event => (
+                  <p
+                    key={event.id}
+                    className={`text-[10px] sm:text-xs font-mono mt-0.5 ${event.status === 'error' ? 'text-red-300' : 'text-white/80'}`}
+                  >
+                    {describeToolEvent(event)}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {/* Camera slowed down while the server catches up */}
+            {hasStarted && framePacing.intervalMs > DEFAULT_FRAME_PACING.intervalMs && (
+              <p className="mb-2 sm:mb-3 text-yellow-300/90 text-[10px] sm:text-xs">
+                Server busy - sending a camera frame every {Math.round(framePacing.intervalMs / 1000)}s
+              </p>
+            )}
+
             {/* AI Response */}
             <div className="text-white">
               <p className="text-sm sm:text-base md:text-lg lg:text-xl leading-relaxed font-light">
@@ -619,6 +860,13 @@ function CameraPageContent() {
               </p>
             </div>
 
+            {/* Warning Display */}
+            {warning && (
+              <div className="mt-2 sm:mt-3 p-2 sm:p-2.5 bg-yellow-500/20 border border-yellow-500/50 rounded-md sm:rounded-lg">
+                <p className="text-yellow-200 text-xs sm:text-sm lg:text-base">{warning}</p>
+              </div>
+            )}
+
             {/* Error Display */}
             {error && (
               <div className="mt-2 sm:mt-3 p-2 sm:p-2.5 bg-red-500/20 border border-red-500/50 rounded-md sm:rounded-lg">
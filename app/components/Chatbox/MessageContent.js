@@ -5,7 +5,15 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import remarkGfm from 'remark-gfm';
 
+// Close a dangling code fence so partial markdown renders cleanly while streaming
+const closeOpenFences = (text) => {
+    const fenceCount = (text.match(/^\s*```/gm) || []).length;
+    return fenceCount % 2 === 1 ? `${text}\n\`\`\`` : text;
+};
+
 export default function MessageContent({ message, getFileIcon }) {
+    const markdown = message.isStreaming ? closeOpenFences(message.text || '') : message.text;
+
     return (
         <>
             {/* Text content with markdown rendering */}
@@ -100,8 +108,12 @@ export default function MessageContent({ message, getFileIcon }) {
                             },
                         }}
                     >
-                        {message.text}
+                        {markdown}
                     </ReactMarkdown>
+                    {/* Blinking cursor while the reply is still arriving */}
+                    {message.isStreaming && (
+                        <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-300 animate-pulse" />
+                    )}
                 </div>
             )}
 
@@ -144,17 +156,19 @@ export default function MessageContent({ message, getFileIcon }) {
             )}
 
             {/* Timestamp and Token Usage */}
-            <div className="flex items-center gap-2 text-xs opacity-70 mt-2">
-                <span>{new Date(message.timestamp).toLocaleTimeString()}</span>
-                {message.usage && (
-                    <span
-                        className="text-blue-300 cursor-help"
-                        title={`Input: ${message.usage.prompt_tokens?.toLocaleString()} ($${((message.usage.prompt_tokens || 0) * 0.000002).toFixed(4)}) | Output: ${message.usage.completion_tokens?.toLocaleString()} ($${((message.usage.completion_tokens || 0) * 0.000008).toFixed(4)}) | Total: ${message.usage.total_tokens?.toLocaleString()} tokens`}
-                    >
-                        • {message.usage.completion_tokens?.toLocaleString()} tokens (~${((message.usage.prompt_tokens || 0) * 0.000002 + (message.usage.completion_tokens || 0) * 0.000008).toFixed(4)})
-                    </span>
-                )}
-            </div>
+            {!message.isStreaming && (
+                <div className="flex items-center gap-2 text-xs opacity-70 mt-2">
+                    <span>{new Date(message.timestamp).toLocaleTimeString()}</span>
+                    {message.usage && (
+                        <span
+                            className="text-blue-300 cursor-help"
+                            title={`Input: ${message.usage.prompt_tokens?.toLocaleString()} ($${((message.usage.prompt_tokens || 0) * 0.000002).toFixed(4)}) | Output: ${message.usage.completion_tokens?.toLocaleString()} ($${((message.usage.completion_tokens || 0) * 0.000008).toFixed(4)}) | Total: ${message.usage.total_tokens?.toLocaleString()} tokens`}
+                        >
+                            • {message.usage.completion_tokens?.toLocaleString()} tokens (~${((message.usage.prompt_tokens || 0) * 0.000002 + (message.usage.completion_tokens || 0) * 0.000008).toFixed(4)})
+                        </span>
+                    )}
+                </div>
+            )}
         </>
     );
 }
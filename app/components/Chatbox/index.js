@@ -282,8 +282,8 @@ export default function Chatbox({
                         ))
                     )}
 
-                    {/* Loading indicator */}
-                    {isLoading && (
+                    {/* Loading indicator - hidden once a streamed reply starts rendering */}
+                    {isLoading && !messages[messages.length - 1]?.isStreaming && (
                         <div className="flex justify-start">
                             <div className="bg-gray-700/60 rounded-2xl p-4">
                                 <div className="flex gap-2">
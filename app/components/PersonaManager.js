@@ -0,0 +1,148 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import {
+  BUILT_IN_PERSONAS,
+  RESPONSE_LENGTHS,
+  createCustomPersona,
+  loadCustomPersonas,
+  saveCustomPersonas
+} from '../lib/personas';
+
+const EMPTY_FORM = { name: '', systemPrompt: '', temperature: 0.7, responseLength: 'medium' };
+
+// Settings page section for creating and deleting user-defined personas
+export default function PersonaManager() {
+  const [personas, setPersonas] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setPersonas(loadCustomPersonas());
+  }, []);
+
+  const updatePersonas = (next) => {
+    setPersonas(next);
+    saveCustomPersonas(next);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!form.name.trim() || !form.systemPrompt.trim()) {
+      setError('A persona needs a name and a system prompt');
+      return;
+    }
+
+    const temperature = Number(form.temperature);
+    if (!(temperature >= 0 && temperature <= 2)) {
+      setError('Temperature must be between 0 and 2');
+      return;
+    }
+
+    updatePersonas([...personas, createCustomPersona({ ...form, temperature })]);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleDelete = (id) => {
+    updatePersonas(personas.filter(persona => persona.id !== id));
+  };
+
+  return (
+    <form onSubmit={handleAdd} className="mt-8 bg-white/10 backdrop-blur-lg p-8 lg:p-10 xl:p-12 rounded-2xl lg:rounded-3xl shadow-2xl border border-white/20">
+      <h2 className="text-xl lg:text-2xl xl:text-3xl font-semibold text-white mb-2 flex items-center">
+        <span className="bg-purple-500 w-2 h-6 lg:h-8 mr-3 lg:mr-4 rounded"></span>
+        Personas
+      </h2>
+      <p className="text-white/60 mb-6 text-sm lg:text-base">
+        A persona sets the AI&apos;s system prompt, temperature and reply length. Pick one on the camera, live talk and chat screens.
+        Built-in: {BUILT_IN_PERSONAS.map(persona => persona.name).join(', ')}.
+      </p>
+
+      {personas.length > 0 && (
+        <div className="space-y-2 mb-6">
+          {personas.map(persona => (
+            <div key={persona.id} className="flex items-start justify-between gap-3 p-3 bg-white/5 border border-white/10 rounded-lg">
+              <div className="min-w-0">
+                <div className="text-white font-medium">{persona.name}</div>
+                <p className="text-white/60 text-xs mt-0.5 line-clamp-2">{persona.systemPrompt}</p>
+                <p className="text-white/40 text-xs mt-0.5">Temperature {persona.temperature} · {persona.responseLength} replies</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(persona.id)}
+                className="text-red-300 hover:text-red-200 text-sm flex-shrink-0"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-white/80 font-medium mb-2">Name</label>
+          <input
+            type="text"
+            maxLength={60}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-white/80 font-medium mb-2">System Prompt</label>
+          <textarea
+            rows={4}
+            maxLength={4000}
+            value={form.systemPrompt}
+            onChange={(e) => setForm({ ...form, systemPrompt: e.target.value })}
+            className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="flex-1">
+            <label className="block text-white/80 font-medium mb-2">Temperature</label>
+            <input
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={form.temperature}
+              onChange={(e) => setForm({ ...form, temperature: e.target.value })}
+              className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <p className="text-white/50 text-xs mt-1">OpenAI voice sessions use 0.6 - 1.2</p>
+          </div>
+          <div className="flex-1">
+            <label className="block text-white/80 font-medium mb-2">Response Length</label>
+            <select
+              value={form.responseLength}
+              onChange={(e) => setForm({ ...form, responseLength: e.target.value })}
+              className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {RESPONSE_LENGTHS.map(length => (
+                <option key={length.id} value={length.id} className="bg-gray-800">{length.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && (
+          <p className="text-red-300 text-sm">{error}</p>
+        )}
+
+        <button
+          type="submit"
+          className="w-full bg-purple-600 hover:bg-purple-700 text-white p-4 rounded-lg font-semibold transition-all"
+        >
+          Add Persona
+        </button>
+      </div>
+    </form>
+  );
+}
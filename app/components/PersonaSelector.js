@@ -0,0 +1,49 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { BUILT_IN_PERSONAS, getAllPersonas } from '../lib/personas';
+
+// Dropdown of built-in and user-defined personas (presets are managed on the settings page)
+export default function PersonaSelector({ value, onChange, compact = false }) {
+  const [personas, setPersonas] = useState(BUILT_IN_PERSONAS);
+
+  useEffect(() => {
+    // Custom personas live in localStorage, so load them in the browser only
+    setPersonas(getAllPersonas());
+  }, []);
+
+  const selected = personas.find(persona => persona.id === value) || personas[0];
+  const builtIn = personas.filter(persona => !persona.custom);
+  const custom = personas.filter(persona => persona.custom);
+
+  return (
+    <div>
+      <select
+        value={selected.id}
+        onChange={(e) => onChange(e.target.value)}
+        className={`w-full bg-gray-800/60 border border-gray-600/50 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-gray-500 ${compact ? 'p-2 text-xs sm:text-sm' : 'p-3 text-sm sm:text-base'}`}
+      >
+        <optgroup label="Built-in">
+          {builtIn.map(persona => (
+            <option key={persona.id} value={persona.id}>{persona.name}</option>
+          ))}
+        </optgroup>
+        {custom.length > 0 && (
+          <optgroup label="Your presets">
+            {custom.map(persona => (
+              <option key={persona.id} value={persona.id}>{persona.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <p className={`text-gray-400 mt-1.5 line-clamp-2 ${compact ? 'text-[10px] sm:text-xs' : 'text-xs sm:text-sm'}`}>
+        {selected.systemPrompt}
+      </p>
+      <p className={`text-gray-500 mt-1 ${compact ? 'text-[10px] sm:text-xs' : 'text-xs'}`}>
+        Temperature {selected.temperature} · {selected.responseLength} replies ·{' '}
+        <Link href="/settings" className="underline hover:text-gray-300">Manage presets</Link>
+      </p>
+    </div>
+  );
+}
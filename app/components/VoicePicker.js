@@ -0,0 +1,108 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { REALTIME_VOICES } from '../lib/voices';
+
+// Preview samples fetched this page load (voice -> object URL)
+const previewUrls = new Map();
+
+// OpenAI Realtime voice list with a play button per voice
+export default function VoicePicker({ value, onChange, compact = false }) {
+  const { getIdToken } = useAuth();
+  const audioRef = useRef(null);
+  const [loadingVoice, setLoadingVoice] = useState(null);
+  const [playingVoice, setPlayingVoice] = useState(null);
+  const [error, setError] = useState('');
+
+  // Stop the sample when the picker goes away
+  useEffect(() => {
+    return () => {
+      audioRef.current?.pause();
+    };
+  }, []);
+
+  const playPreview = async (voice) => {
+    setError('');
+    audioRef.current?.pause();
+
+    // Second click on the playing voice just stops it
+    if (playingVoice === voice) {
+      setPlayingVoice(null);
+      return;
+    }
+
+    try {
+      if (!previewUrls.has(voice)) {
+        setLoadingVoice(voice);
+        const idToken = await getIdToken();
+        const response = await fetch('/api/voice-preview', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+          },
+          body: JSON.stringify({ voice })
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `HTTP ${response.status}`);
+        }
+
+        previewUrls.set(voice, URL.createObjectURL(await response.blob()));
+      }
+
+      const audio = new Audio(previewUrls.get(voice));
+      audio.onended = () => setPlayingVoice(null);
+      audioRef.current = audio;
+      setPlayingVoice(voice);
+      await audio.play();
+    } catch (err) {
+      console.error('Voice preview failed:', err);
+      setError(`Preview unavailable: ${err.message}`);
+      setPlayingVoice(null);
+    } finally {
+      setLoadingVoice(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className={`grid grid-cols-2 ${compact ? 'gap-1.5' : 'gap-2'}`}>
+        {REALTIME_VOICES.map((voice) => (
+          <div
+            key={voice.id}
+            className={`flex items-center gap-1 rounded-lg border transition-all ${value === voice.id
+              ? 'bg-gray-700/60 border-gray-600'
+              : 'bg-white/5 border-white/10 hover:bg-white/10'
+              }`}
+          >
+            <button
+              type="button"
+              onClick={() => onChange(voice.id)}
+              className={`flex-1 min-w-0 text-left ${compact ? 'p-1.5 sm:p-2' : 'p-2 sm:p-3'}`}
+            >
+              <div className={`text-white font-medium ${compact ? 'text-xs' : 'text-sm'}`}>
+                {voice.name}{value === voice.id && ' ✓'}
+              </div>
+              <div className={`text-white/50 truncate ${compact ? 'text-[10px]' : 'text-xs'}`}>{voice.description}</div>
+            </button>
+            <button
+              type="button"
+              onClick={() => playPreview(voice.id)}
+              disabled={loadingVoice !== null}
+              aria-label={`Preview ${voice.name}`}
+              className="px-2 text-white/70 hover:text-white disabled:opacity-40 text-xs flex-shrink-0"
+            >
+              {loadingVoice === voice.id ? '…' : playingVoice === voice.id ? '■' : '▶'}
+            </button>
+          </div>
+        ))}
+      </div>
+      {error && (
+        <p className="text-red-300 text-[10px] sm:text-xs mt-1.5">{error}</p>
+      )}
+    </div>
+  );
+}
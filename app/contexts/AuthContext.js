@@ -61,21 +61,30 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    // Clear API keys and settings from sessionStorage (only in browser)
+    // Clear settings from sessionStorage (only in browser); API keys stay in
+    // the server's key vault until deleted on the setup page
     if (typeof window !== 'undefined') {
-      sessionStorage.removeItem('gemini_api_key');
-      sessionStorage.removeItem('openai_api_key');
       sessionStorage.removeItem('advanced_settings');
     }
     return signOut(auth);
   };
 
+  // Firebase ID token, sent when opening provider WebSockets so the server can verify us
+  // (the SDK refreshes it when it is about to expire)
+  const getIdToken = async () => {
+    if (!auth || !auth.currentUser) {
+      throw new Error('Not signed in');
+    }
+    return auth.currentUser.getIdToken();
+  };
+
   return (
     <AuthContext.Provider value={{
       user,
       loading,
       loginWithGoogle,
-      logout
+      logout,
+      getIdToken
     }}>
       {children}
     </AuthContext.Provider>
@@ -0,0 +1,92 @@
+/**
+ * Advanced settings (rate limits, cost controls, camera) saved by the settings page
+ * The server applies the limits to this user's limiter, capped at its own maximums
+ */
+
+import { DEFAULT_FRAME_CHANGE_THRESHOLD } from './frame-change';
+
+export const ADVANCED_SETTINGS_KEY = 'advanced_settings';
+
+export const DEFAULT_ADVANCED_SETTINGS = {
+  geminiRpmLimit: 15,
+  geminiRpdLimit: 1500,
+  openaiRpmLimit: 100,
+  openaiRpdLimit: 10000,
+  openaiMaxCostHour: 0.30,
+  frameChangeThreshold: DEFAULT_FRAME_CHANGE_THRESHOLD
+};
+
+/**
+ * Read saved advanced settings from localStorage
+ * @returns {Object|null} - Saved settings, or null if none were saved
+ */
+export function loadAdvancedSettings() {
+  if (typeof window === 'undefined') return null;
+
+  const savedSettings = localStorage.getItem(ADVANCED_SETTINGS_KEY);
+  if (!savedSettings) return null;
+
+  try {
+    return JSON.parse(savedSettings);
+  } catch (e) {
+    console.error('Failed to parse saved settings:', e);
+    return null;
+  }
+}
+
+/**
+ * Limits to send with model_selection for one provider
+ * @param {string} provider - 'gemini' or 'openai'
+ * @returns {Object|undefined} - { requestsPerMinute, requestsPerDay, maxCostPerHour? },
+ *   or undefined when nothing was saved (the server then uses its defaults)
+ */
+export function getProviderLimits(provider) {
+  const settings = loadAdvancedSettings();
+  if (!settings) return undefined;
+
+  if (provider === 'gemini') {
+    return {
+      requestsPerMinute: settings.geminiRpmLimit,
+      requestsPerDay: settings.geminiRpdLimit
+    };
+  }
+
+  if (provider === 'openai') {
+    return {
+      requestsPerMinute: settings.openaiRpmLimit,
+      requestsPerDay: settings.openaiRpdLimit,
+      maxCostPerHour: settings.openaiMaxCostHour
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * How different a camera frame must be from the last one sent
+ * @returns {number} - Minimum differing hash bits (0 sends every frame)
+ */
+export function getFrameChangeThreshold() {
+  const settings = loadAdvancedSettings();
+  const threshold = settings ? Number(settings.frameChangeThreshold) : NaN;
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_FRAME_CHANGE_THRESHOLD;
+}
+
+export const SPOKEN_REPLIES_KEY = 'gemini_spoken_replies';
+
+/**
+ * Whether Gemini should answer with native audio instead of text
+ * @returns {boolean} - Saved preference (off by default)
+ */
+export function loadSpokenReplies() {
+  if (typeof window === 'undefined') return false;
+  return localStorage.getItem(SPOKEN_REPLIES_KEY) === 'true';
+}
+
+/**
+ * Remember the Gemini spoken replies preference
+ * @param {boolean} enabled - true to request audio responses
+ */
+export function saveSpokenReplies(enabled) {
+  localStorage.setItem(SPOKEN_REPLIES_KEY, enabled ? 'true' : 'false');
+}
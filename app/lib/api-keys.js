@@ -0,0 +1,66 @@
+/**
+ * Provider API keys saved on the server (/api/keys)
+ * Keys are sent once and stored encrypted per user (server/key-vault.js);
+ * sessions and chat requests look them up by the signed-in user, so the
+ * browser only ever sees the masked form
+ */
+
+export const KEY_PROVIDERS = ['gemini', 'openai'];
+
+async function keysRequest(idToken, method, { body, query = '' } = {}) {
+  const response = await fetch(`/api/keys${query}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Masked keys saved for the signed-in user
+ * @param {string} idToken - Firebase ID token
+ * @returns {Promise<Object>} - { gemini: { masked, updatedAt } | null, openai: ... }
+ */
+export async function fetchSavedKeys(idToken) {
+  const { keys } = await keysRequest(idToken, 'GET');
+  return keys;
+}
+
+/**
+ * Save a key, replacing any saved one (rotation)
+ * @param {string} idToken - Firebase ID token
+ * @param {string} provider - 'gemini' or 'openai'
+ * @param {string} apiKey - The raw key
+ * @returns {Promise<Object>} - { masked, updatedAt }
+ */
+export async function saveApiKey(idToken, provider, apiKey) {
+  const { key } = await keysRequest(idToken, 'PUT', { body: { provider, apiKey } });
+  return key;
+}
+
+/**
+ * Delete a saved key
+ * @param {string} idToken - Firebase ID token
+ * @param {string} provider - 'gemini' or 'openai'
+ * @returns {Promise<void>}
+ */
+export async function deleteApiKey(idToken, provider) {
+  await keysRequest(idToken, 'DELETE', { query: `?provider=${encodeURIComponent(provider)}` });
+}
+
+/**
+ * Whether the user has saved a key for at least one provider
+ * @param {Object} keys - Result of fetchSavedKeys
+ * @returns {boolean}
+ */
+export function hasSavedKey(keys) {
+  return KEY_PROVIDERS.some(provider => keys && keys[provider]);
+}
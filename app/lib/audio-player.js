@@ -1,15 +1,54 @@
+const PLAYBACK_SAMPLE_RATE = 24000;
+
 /**
- * PCM16 Audio Player for OpenAI Realtime API
- * Plays back audio at 24kHz mono PCM16 format
+ * Linearly resample mono audio to a different sample rate
+ * @param {Float32Array} samples - Audio samples at the source rate
+ * @param {number} fromRate - Source sample rate in Hz
+ * @param {number} toRate - Target sample rate in Hz
+ * @returns {Float32Array} Resampled audio
+ */
+export function resampleLinear(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+
+  const ratio = fromRate / toRate;
+  const length = Math.max(1, Math.round(samples.length / ratio));
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+  }
+
+  return output;
+}
+
+/**
+ * PCM16 Audio Player for OpenAI Realtime and Gemini Live audio
+ * Plays back mono PCM16 audio at 24kHz, resampling chunks sent at other rates
+ * Tracks how much of the current response has actually been heard, for barge-in
  */
 export class PCM16AudioPlayer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onIdle] - Called when the queue has finished playing
+   */
+  constructor({ onIdle } = {}) {
     this.audioContext = null;
     this.queue = [];
     this.isPlaying = false;
     this.currentSource = null;
+    this.currentStartTime = 0;
     this.startTime = 0;
     this.nextStartTime = 0;
+    this.onIdle = onIdle || null;
+    // Sample counters at 24kHz: everything queued, fully played chunks, and
+    // where the current response started
+    this.queuedSamples = 0;
+    this.playedSamples = 0;
+    this.responseStartSample = 0;
   }
 
   /**
@@ -20,7 +59,7 @@ export class PCM16AudioPlayer {
 
     try {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: 24000
+        sampleRate: PLAYBACK_SAMPLE_RATE
       });
 
       // Resume context if suspended (browser autoplay policy)
@@ -38,8 +77,9 @@ export class PCM16AudioPlayer {
   /**
    * Add audio chunk to playback queue
    * @param {string} base64Audio - Base64 encoded PCM16 audio
+   * @param {number} [sampleRate=24000] - Sample rate of the chunk in Hz
    */
-  async addChunk(base64Audio) {
+  async addChunk(base64Audio, sampleRate = PLAYBACK_SAMPLE_RATE) {
     if (!this.audioContext) {
       await this.initialize();
     }
@@ -62,7 +102,9 @@ export class PCM16AudioPlayer {
         float32Array[i] = int16Array[i] / (int16Array[i] < 0 ? 0x8000 : 0x7FFF);
       }
 
-      this.queue.push(float32Array);
+      const samples = resampleLinear(float32Array, sampleRate, PLAYBACK_SAMPLE_RATE);
+      this.queue.push(samples);
+      this.queuedSamples += samples.length;
 
       // Start playback if not already playing
       if (!this.isPlaying) {
@@ -79,6 +121,8 @@ export class PCM16AudioPlayer {
   playNext() {
     if (this.queue.length === 0) {
       this.isPlaying = false;
+      this.currentSource = null;
+      if (this.onIdle) this.onIdle();
       return;
     }
 
@@ -90,7 +134,7 @@ export class PCM16AudioPlayer {
       const audioBuffer = this.audioContext.createBuffer(
         1, // mono
         audioData.length,
-        24000 // sample rate
+        PLAYBACK_SAMPLE_RATE
       );
 
       // Copy audio data to buffer
@@ -112,10 +156,12 @@ export class PCM16AudioPlayer {
 
       // Play next chunk when this one ends
       source.onended = () => {
+        this.playedSamples += audioData.length;
         this.playNext();
       };
 
       this.currentSource = source;
+      this.currentStartTime = startTime;
     } catch (err) {
       console.error('Error playing audio chunk:', err);
       this.isPlaying = false;
@@ -123,11 +169,37 @@ export class PCM16AudioPlayer {
   }
 
   /**
-   * Clear all queued audio
+   * Mark the start of a new response; getPlayedMs() counts from here
+   * (audio of the previous response may still be queued)
+   */
+  markResponseStart() {
+    this.responseStartSample = this.queuedSamples;
+  }
+
+  /**
+   * How much of the current response has been played so far
+   * @returns {number} Milliseconds of audio heard since markResponseStart()
+   */
+  getPlayedMs() {
+    let played = this.playedSamples;
+    if (this.currentSource && this.audioContext) {
+      const elapsed = this.audioContext.currentTime - this.currentStartTime;
+      played += Math.min(this.currentSource.buffer.length, Math.max(0, elapsed * PLAYBACK_SAMPLE_RATE));
+    }
+    return Math.max(0, played - this.responseStartSample) / PLAYBACK_SAMPLE_RATE * 1000;
+  }
+
+  /**
+   * Stop playback immediately and clear all queued audio
+   * @returns {number} Milliseconds of the current response that were played
    */
   clear() {
+    const playedMs = this.getPlayedMs();
+
     this.queue = [];
     if (this.currentSource) {
+      // Stopping fires onended; don't count the chunk or start the next one
+      this.currentSource.onended = null;
       try {
         this.currentSource.stop();
       } catch (err) {
@@ -137,6 +209,11 @@ export class PCM16AudioPlayer {
     }
     this.isPlaying = false;
     this.nextStartTime = 0;
+    this.queuedSamples = 0;
+    this.playedSamples = 0;
+    this.responseStartSample = 0;
+
+    return playedMs;
   }
 
   /**
@@ -0,0 +1,61 @@
+/**
+ * Minimal Server-Sent Events reader for fetch() responses
+ * Used for streamed /api/chat replies (POST, so EventSource can't be used)
+ */
+
+/**
+ * Read a text/event-stream response body and invoke a callback per event
+ * @param {Response} response - fetch response with an event-stream body
+ * @param {Function} onEvent - Called with (eventName, parsedData) for each event
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+
+    if (dataLines.length === 0) return;
+
+    try {
+      onEvent(eventName, JSON.parse(dataLines.join('\n')));
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        console.error('Malformed event-stream data:', dataLines.join('\n'));
+        return;
+      }
+      throw err;
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+      dispatch(block);
+    }
+  }
+
+  // Flush a trailing event without a final blank line
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Scene-change detection for camera frames
+ * Each frame is reduced to a 64-bit difference hash (dHash): the frame is
+ * scaled down to 9x8 grayscale pixels and every bit records whether a pixel
+ * is brighter than its right neighbour. Similar images give hashes that differ
+ * in few bits, so frames of a static scene can be skipped instead of costing
+ * a provider request. The server hashes the decoded frames the same way and
+ * applies the same check to every client (server/frame-dedup.js)
+ */
+
+export const FRAME_HASH_WIDTH = 9;
+export const FRAME_HASH_HEIGHT = 8;
+
+// Frames whose hashes differ in fewer bits than this count as unchanged (0 sends every frame)
+export const DEFAULT_FRAME_CHANGE_THRESHOLD = 5;
+
+/**
+ * Perceptual hash of whatever is drawn on a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas holding the full-size frame
+ * @param {HTMLCanvasElement} scratch - Reusable canvas for the downscaled copy
+ * @returns {string} - 16 hex characters
+ */
+export function computeFrameHash(canvas, scratch) {
+  scratch.width = FRAME_HASH_WIDTH;
+  scratch.height = FRAME_HASH_HEIGHT;
+  const ctx = scratch.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, FRAME_HASH_WIDTH, FRAME_HASH_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, FRAME_HASH_WIDTH, FRAME_HASH_HEIGHT);
+
+  // Rec. 601 luma of each pixel (RGBA)
+  const luma = [];
+  for (let i = 0; i < data.length; i += 4) {
+    luma.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+  }
+
+  let hash = '';
+  for (let y = 0; y < FRAME_HASH_HEIGHT; y++) {
+    let row = 0;
+    for (let x = 0; x < FRAME_HASH_WIDTH - 1; x++) {
+      const index = y * FRAME_HASH_WIDTH + x;
+      row = (row << 1) | (luma[index] > luma[index + 1] ? 1 : 0);
+    }
+    hash += row.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Number of bits that differ between two frame hashes
+ * @param {string} a - Hash from computeFrameHash
+ * @param {string} b - Hash from computeFrameHash
+ * @returns {number} - 0 (identical) to 64
+ */
+export function frameHashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let bits = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Whether a frame differs enough from the last one sent to be worth sending
+ * @param {string|null} lastHash - Hash of the last frame sent (null for none)
+ * @param {string} hash - Hash of the new frame
+ * @param {number} threshold - Minimum number of differing bits
+ * @returns {boolean}
+ */
+export function isSceneChanged(lastHash, hash, threshold = DEFAULT_FRAME_CHANGE_THRESHOLD) {
+  return !lastHash || threshold <= 0 || frameHashDistance(lastHash, hash) >= threshold;
+}
@@ -0,0 +1,61 @@
+/**
+ * Adaptive camera frame rate for the vision page
+ * The server sends `flow_control` events with its backlog for this session
+ * (queueDepth, framesDropped) and the rate limiter's headroom; the page slows
+ * down and lowers JPEG quality while the server is behind, and speeds back up
+ * once it has caught up (see server/flow-control.js)
+ */
+
+// Starting point: 8s keeps a free-tier Gemini key (~8-10 requests/min) usable
+export const DEFAULT_FRAME_PACING = { intervalMs: 8000, quality: 0.8 };
+
+export const FRAME_INTERVAL_RANGE = { min: 4000, max: 32000 };
+export const FRAME_QUALITY_RANGE = { min: 0.4, max: 0.8 };
+
+// Queue depth at which the server counts as congested
+const CONGESTED_QUEUE_DEPTH = 3;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Next frame interval and quality after a flow_control report
+ * @param {Object} pacing - Current { intervalMs, quality }
+ * @param {Object} report - flow_control event from the server
+ * @param {Object} previous - The report before this one (null for the first)
+ * @returns {Object} - Updated { intervalMs, quality } (the same object if nothing changes)
+ */
+export function adaptFramePacing(pacing, report, previous) {
+  const { queueDepth = 0, framesDropped = 0, headroom = {} } = report;
+  const newlyDropped = previous ? framesDropped > previous.framesDropped : framesDropped > 0;
+  const requestsPerMinute = headroom.requestsPerMinute || 0;
+  const remainingShare = requestsPerMinute > 0 ? headroom.requestsRemaining / requestsPerMinute : 1;
+  const budgetLow = headroom.budgetRemaining !== undefined && headroom.budgetRemaining < 0.2;
+
+  let { intervalMs, quality } = pacing;
+
+  if (headroom.backoffMs > 0 || queueDepth >= CONGESTED_QUEUE_DEPTH || newlyDropped || budgetLow) {
+    // Behind: halve the frame rate and send smaller frames
+    intervalMs *= 2;
+    quality -= 0.1;
+  } else if (queueDepth === 0 && remainingShare >= 0.5) {
+    // Caught up with room to spare: speed up, but leave at least half of
+    // the remaining requests this minute for audio and text
+    const sustainableMs = requestsPerMinute > 0
+      ? 60000 / Math.max(1, headroom.requestsRemaining / 2)
+      : FRAME_INTERVAL_RANGE.min;
+    intervalMs = Math.max(intervalMs * 0.75, sustainableMs);
+    quality += 0.05;
+  } else {
+    return pacing;
+  }
+
+  const next = {
+    intervalMs: Math.round(clamp(intervalMs, FRAME_INTERVAL_RANGE)),
+    quality: Math.round(clamp(quality, FRAME_QUALITY_RANGE) * 100) / 100
+  };
+
+  if (next.intervalMs === pacing.intervalMs && next.quality === pacing.quality) {
+    return pacing;
+  }
+  return next;
+}
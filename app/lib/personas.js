@@ -0,0 +1,135 @@
+/**
+ * Persona presets: a system prompt, temperature and response length
+ * Built-in presets ship with the app; user-defined ones are kept in localStorage.
+ * The chosen persona is sent with model_selection, chat_message and /api/chat
+ * requests, where the server validates it (see server/personas.js)
+ */
+
+export const CUSTOM_PERSONAS_KEY = 'custom_personas';
+export const SELECTED_PERSONA_KEY = 'selected_persona';
+
+export const RESPONSE_LENGTHS = [
+  { id: 'short', name: 'Short' },
+  { id: 'medium', name: 'Medium' },
+  { id: 'long', name: 'Long' }
+];
+
+export const BUILT_IN_PERSONAS = [
+  {
+    id: 'concise',
+    name: 'Concise Assistant',
+    systemPrompt: 'You are a helpful AI assistant that can see and hear the user. Answer briefly and directly.',
+    temperature: 0.7,
+    responseLength: 'short'
+  },
+  {
+    id: 'describer',
+    name: 'Scene Describer',
+    systemPrompt: 'You help the user understand their surroundings. Describe what the camera shows clearly: people, objects, readable text and anything that matters for safety. Point out what changed since your last description.',
+    temperature: 0.5,
+    responseLength: 'medium'
+  },
+  {
+    id: 'tutor',
+    name: 'Patient Tutor',
+    systemPrompt: 'You are a patient tutor. Explain things step by step in simple language, use examples, and check understanding with a short question.',
+    temperature: 0.7,
+    responseLength: 'medium'
+  },
+  {
+    id: 'creative',
+    name: 'Creative Partner',
+    systemPrompt: 'You are an imaginative creative partner. Brainstorm freely, offer unexpected ideas and build on what the user suggests.',
+    temperature: 1.0,
+    responseLength: 'long'
+  }
+];
+
+export const DEFAULT_PERSONA_ID = BUILT_IN_PERSONAS[0].id;
+
+/**
+ * Read user-defined personas from localStorage
+ * @returns {Array} - Custom personas ({ id, name, systemPrompt, temperature, responseLength, custom: true })
+ */
+export function loadCustomPersonas() {
+  if (typeof window === 'undefined') return [];
+
+  const saved = localStorage.getItem(CUSTOM_PERSONAS_KEY);
+  if (!saved) return [];
+
+  try {
+    const personas = JSON.parse(saved);
+    return Array.isArray(personas) ? personas : [];
+  } catch (e) {
+    console.error('Failed to parse saved personas:', e);
+    return [];
+  }
+}
+
+/**
+ * Save user-defined personas to localStorage
+ * @param {Array} personas - Custom personas
+ */
+export function saveCustomPersonas(personas) {
+  localStorage.setItem(CUSTOM_PERSONAS_KEY, JSON.stringify(personas));
+}
+
+/**
+ * Create a user-defined persona
+ * @param {Object} fields - { name, systemPrompt, temperature, responseLength }
+ * @returns {Object} - New persona with a unique id
+ */
+export function createCustomPersona({ name, systemPrompt, temperature, responseLength }) {
+  return {
+    id: `custom-${Date.now()}`,
+    name: name.trim(),
+    systemPrompt: systemPrompt.trim(),
+    temperature: Number(temperature),
+    responseLength,
+    custom: true
+  };
+}
+
+/**
+ * Built-in followed by user-defined personas
+ * @returns {Array} - All selectable personas
+ */
+export function getAllPersonas() {
+  return [...BUILT_IN_PERSONAS, ...loadCustomPersonas()];
+}
+
+/**
+ * Look up a persona by id
+ * @param {string} id - Persona id
+ * @returns {Object} - The persona, or the default one if it no longer exists
+ */
+export function getPersona(id) {
+  return getAllPersonas().find(persona => persona.id === id) || BUILT_IN_PERSONAS[0];
+}
+
+/**
+ * Id of the persona picked last time
+ * @returns {string} - Saved id, or the default persona's id
+ */
+export function loadSelectedPersonaId() {
+  if (typeof window === 'undefined') return DEFAULT_PERSONA_ID;
+  return localStorage.getItem(SELECTED_PERSONA_KEY) || DEFAULT_PERSONA_ID;
+}
+
+/**
+ * Remember the selected persona
+ * @param {string} id - Persona id
+ */
+export function saveSelectedPersonaId(id) {
+  localStorage.setItem(SELECTED_PERSONA_KEY, id);
+}
+
+/**
+ * Persona fields sent to the server
+ * @param {string} id - Persona id
+ * @returns {Object} - { name, systemPrompt, temperature, responseLength }
+ */
+export function getPersonaPayload(id) {
+  const { name, systemPrompt, temperature, responseLength } = getPersona(id);
+  return { name, systemPrompt, temperature, responseLength };
+}
@@ -0,0 +1,42 @@
+/**
+ * Client side of the WebSocket protocol (see server/protocol.js)
+ * Every server event arrives as { v, type, ts, ...fields }. Errors are
+ * type 'error' with a machine-readable code, a short `error` title and a
+ * `text` explanation; chat errors also carry scope: 'chat'. Warnings are type
+ * 'warning' with a code (WARNING_CODES in server/protocol.js) and a `text`.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Parse one WebSocket message from the server into an event
+ * Messages from servers that predate the envelope ({ text }, { error, text },
+ * { warning, text }) are given the matching type so pages only check `type`
+ * @param {string} raw - event.data from the WebSocket
+ * @returns {Object|null} - The event, or null if the message isn't valid JSON
+ */
+export function parseServerEvent(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    console.error('Unparseable server message:', raw);
+    return null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  if (data.v === undefined) {
+    if (data.error) return { ...data, v: 0, type: 'error', code: data.code || 'unknown' };
+    if (data.warning) return { ...data, v: 0, type: 'warning', code: data.warning };
+    if (!data.type) return { ...data, v: 0, type: 'status' };
+    return { ...data, v: 0 };
+  }
+
+  if (data.v > PROTOCOL_VERSION) {
+    console.warn(`Server speaks protocol v${data.v}, this page v${PROTOCOL_VERSION}`);
+  }
+  return data;
+}
@@ -0,0 +1,47 @@
+/**
+ * Tool call events from realtime sessions (see server/tools.js)
+ * The server sends `tool_call` when the model runs a tool and
+ * `tool_result` once it has finished; pages show the latest few
+ */
+
+export const MAX_TOOL_EVENTS = 5;
+
+/**
+ * Fold a tool_call / tool_result message into the list shown in the UI
+ * @param {Array} events - Current tool events, oldest first
+ * @param {Object} data - Message from the server
+ * @returns {Array} - Updated events (the same array if the message is not a tool event)
+ */
+export function applyToolEvent(events, data) {
+  if (data.type === 'tool_call') {
+    const event = { id: data.id, name: data.name, args: data.args || {}, status: 'running' };
+    return [...events, event].slice(-MAX_TOOL_EVENTS);
+  }
+
+  if (data.type === 'tool_result') {
+    return events.map(event => event.id === data.id
+      ? { ...event, status: data.error ? 'error' : 'done', result: data.result, error: data.error }
+      : event);
+  }
+
+  return events;
+}
+
+/**
+ * One-line summary of a tool event, e.g. "calculate(2 + 2) → 4"
+ * @param {Object} event - Entry from applyToolEvent
+ * @returns {string} - Text to display
+ */
+export function describeToolEvent(event) {
+  const args = Object.values(event.args).map(value => String(value)).join(', ');
+  const call = `${event.name}(${args})`;
+
+  if (event.status === 'running') return `${call}…`;
+  if (event.status === 'error') return `${call} failed: ${event.error}`;
+
+  const result = event.result || {};
+  if (result.result !== undefined) return `${call} → ${result.result}`;
+  if (result.local) return `${call} → ${result.local}`;
+  if (result.saved) return `${call} → saved`;
+  return `${call} → done`;
+}
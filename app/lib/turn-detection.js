@@ -0,0 +1,48 @@
+/**
+ * Turn detection settings for live talk
+ * 'vad' lets the provider detect when the user stops speaking (tuned below);
+ * 'push_to_talk' only sends audio while the talk button or Space is held.
+ * Sent with model_selection; the server clamps them (server/turn-detection.js)
+ */
+
+export const TURN_DETECTION_KEY = 'turn_detection';
+
+export const DEFAULT_TURN_DETECTION = {
+  mode: 'vad',
+  threshold: 0.5,
+  prefixPaddingMs: 300,
+  silenceDurationMs: 700
+};
+
+// Slider ranges for the VAD settings
+export const VAD_SETTING_RANGES = {
+  threshold: { min: 0.1, max: 0.9, step: 0.05 },
+  prefixPaddingMs: { min: 0, max: 1000, step: 50 },
+  silenceDurationMs: { min: 200, max: 3000, step: 100 }
+};
+
+/**
+ * Read saved turn detection settings from localStorage
+ * @returns {Object} - Saved settings merged over the defaults
+ */
+export function loadTurnDetection() {
+  if (typeof window === 'undefined') return DEFAULT_TURN_DETECTION;
+
+  const saved = localStorage.getItem(TURN_DETECTION_KEY);
+  if (!saved) return DEFAULT_TURN_DETECTION;
+
+  try {
+    return { ...DEFAULT_TURN_DETECTION, ...JSON.parse(saved) };
+  } catch (e) {
+    console.error('Failed to parse saved turn detection settings:', e);
+    return DEFAULT_TURN_DETECTION;
+  }
+}
+
+/**
+ * Remember turn detection settings
+ * @param {Object} settings - { mode, threshold, prefixPaddingMs, silenceDurationMs }
+ */
+export function saveTurnDetection(settings) {
+  localStorage.setItem(TURN_DETECTION_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Realtime voices
+ * The chosen voice is sent with model_selection (and voice_change mid-session)
+ * and remembered per signed-in user in localStorage
+ */
+
+export const REALTIME_VOICES = [
+  { id: 'alloy', name: 'Alloy', description: 'Neutral and balanced' },
+  { id: 'ash', name: 'Ash', description: 'Clear and precise' },
+  { id: 'ballad', name: 'Ballad', description: 'Melodic and smooth' },
+  { id: 'coral', name: 'Coral', description: 'Warm and friendly' },
+  { id: 'echo', name: 'Echo', description: 'Resonant and deep' },
+  { id: 'sage', name: 'Sage', description: 'Calm and thoughtful' },
+  { id: 'shimmer', name: 'Shimmer', description: 'Bright and energetic' },
+  { id: 'verse', name: 'Verse', description: 'Versatile and expressive' }
+];
+
+export const DEFAULT_VOICE = 'alloy';
+
+/**
+ * Check a voice id against the supported voices
+ * @param {string} voice - Voice id
+ * @returns {boolean} - true if OpenAI Realtime supports it
+ */
+export function isRealtimeVoice(voice) {
+  return REALTIME_VOICES.some(({ id }) => id === voice);
+}
+
+const voiceKey = (userId) => `openai_voice:${userId || 'anonymous'}`;
+
+/**
+ * Voice this user picked last time
+ * @param {string} userId - Firebase uid
+ * @returns {string} - Saved voice id, or the default voice
+ */
+export function loadVoice(userId) {
+  if (typeof window === 'undefined') return DEFAULT_VOICE;
+  const voice = localStorage.getItem(voiceKey(userId));
+  return isRealtimeVoice(voice) ? voice : DEFAULT_VOICE;
+}
+
+/**
+ * Remember this user's voice
+ * @param {string} userId - Firebase uid
+ * @param {string} voice - Voice id
+ */
+export function saveVoice(userId, voice) {
+  localStorage.setItem(voiceKey(userId), voice);
+}
@@ -4,10 +4,19 @@ import { useEffect, useState, useRef, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { PCM16AudioCapture } from '../lib/audio-capture';
 import { PCM16AudioPlayer } from '../lib/audio-player';
+import { getProviderLimits, loadSpokenReplies, saveSpokenReplies } from '../lib/advanced-settings';
+import { applyToolEvent, describeToolEvent } from '../lib/tool-events';
+import { PROTOCOL_VERSION, parseServerEvent } from '../lib/protocol';
+import { DEFAULT_PERSONA_ID, getPersonaPayload, loadSelectedPersonaId, saveSelectedPersonaId } from '../lib/personas';
+import { DEFAULT_VOICE, REALTIME_VOICES, loadVoice, saveVoice } from '../lib/voices';
+import { DEFAULT_TURN_DETECTION, VAD_SETTING_RANGES, loadTurnDetection, saveTurnDetection } from '../lib/turn-detection';
 import ProtectedRoute from '../components/ProtectedRoute';
 import Header from '../components/Header';
+import PersonaSelector from '../components/PersonaSelector';
+import VoicePicker from '../components/VoicePicker';
 import { useAuth } from '../contexts/AuthContext';
 import Chatbox from '../components/Chatbox';
+import { readEventStream } from '../lib/event-stream';
 import {
   saveO3ChatSession,
   updateO3ChatSession,
@@ -17,15 +26,31 @@ import {
   generateChatTitle
 } from '../lib/o3-chat-history';
 
+// Stop the cursor on a streamed reply that will get no more text (error, dropped connection)
+function finishStreamingMessage(messages) {
+  const last = messages[messages.length - 1];
+  if (last && last.role === 'assistant' && last.isStreaming) {
+    return [...messages.slice(0, -1), { ...last, isStreaming: false }];
+  }
+  return messages;
+}
+
 function LiveTalkPageContent() {
   const router = useRouter();
-  const { logout, user } = useAuth();
+  const { logout, user, getIdToken } = useAuth();
   const [aiResponse, setAiResponse] = useState('Select a model and click Start to begin');
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState('');
   const [sessionTime, setSessionTime] = useState(0);
   const [selectedProvider, setSelectedProvider] = useState('gemini');
   const [selectedModel, setSelectedModel] = useState('gemini-2.5-flash-live');
+  const [spokenReplies, setSpokenReplies] = useState(false); // Gemini answers with native audio
+  const [toolEvents, setToolEvents] = useState([]); // Latest tool calls made by the AI
+  const [personaId, setPersonaId] = useState(DEFAULT_PERSONA_ID); // System prompt/temperature/length preset
+  const [voice, setVoice] = useState(DEFAULT_VOICE); // OpenAI Realtime voice
+  const [turnDetection, setTurnDetection] = useState(DEFAULT_TURN_DETECTION); // VAD tuning or push-to-talk
+  const [isTalking, setIsTalking] = useState(false); // Push-to-talk button/Space held
+  const [isAiSpeaking, setIsAiSpeaking] = useState(false); // AI voice is playing (can be interrupted)
   const [hasStarted, setHasStarted] = useState(false);
   const [userTranscription, setUserTranscription] = useState(''); // Store user's spoken words
   const [isUserSpeaking, setIsUserSpeaking] = useState(false); // Track if user is speaking (OpenAI VAD)
@@ -129,7 +154,12 @@ function LiveTalkPageContent() {
   const sessionTimerRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const pcm16CaptureRef = useRef(null); // For OpenAI PCM16 audio capture
-  const audioPlayerRef = useRef(null); // For OpenAI audio playback
+  const audioPlayerRef = useRef(null); // For AI voice playback (OpenAI, Gemini spoken replies)
+  const pushToTalkRef = useRef(false); // Current session only sends audio while talking
+  const isTalkingRef = useRef(false); // Read by the audio capture callbacks
+  const pttReleasePendingRef = useRef(false); // Gemini: send ptt_end after the last recorded chunk
+  const audioResponseActiveRef = useRef(false); // Audio chunks belong to a response already started
+  const discardAudioRef = useRef(false); // Interrupted: drop audio until the server confirms
 
   // Cleanup function
   const cleanup = useCallback(() => {
@@ -161,6 +191,112 @@ function LiveTalkPageContent() {
     };
   }, [cleanup]);
 
+  // Restore the saved Gemini spoken replies preference, persona and turn detection
+  useEffect(() => {
+    setSpokenReplies(loadSpokenReplies());
+    setPersonaId(loadSelectedPersonaId());
+    setTurnDetection(loadTurnDetection());
+  }, []);
+
+  const handleTurnDetectionChange = (changes) => {
+    const next = { ...turnDetection, ...changes };
+    setTurnDetection(next);
+    saveTurnDetection(next);
+  };
+
+  // Barge-in: stop the AI's voice and tell the server how much was heard, so it
+  // can cancel the reply and cut the conversation to what was actually played
+  const interruptAssistant = useCallback(() => {
+    const player = audioPlayerRef.current;
+    if (!player?.isPlaying) return;
+
+    const playedMs = player.clear();
+    audioResponseActiveRef.current = false;
+    setIsAiSpeaking(false);
+
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      // Chunks already on their way are dropped until audio_interrupted comes back
+      discardAudioRef.current = true;
+      wsRef.current.send(JSON.stringify({ type: 'interrupt', playedMs: Math.round(playedMs) }));
+    }
+  }, []);
+
+  // Push-to-talk: audio is only sent between ptt_start and ptt_end
+  const startTalking = useCallback(() => {
+    const ws = wsRef.current;
+    if (!pushToTalkRef.current || isTalkingRef.current || ws?.readyState !== WebSocket.OPEN) return;
+
+    interruptAssistant();
+    isTalkingRef.current = true;
+    pttReleasePendingRef.current = false;
+    setIsTalking(true);
+    ws.send(JSON.stringify({ type: 'ptt_start' }));
+  }, [interruptAssistant]);
+
+  const stopTalking = useCallback(() => {
+    if (!isTalkingRef.current) return;
+
+    isTalkingRef.current = false;
+    setIsTalking(false);
+
+    if (selectedProvider === 'gemini') {
+      // Gemini audio goes out in 1 second recordings; the one in progress is
+      // still sent, and ptt_end follows it (see startAudioStreaming)
+      pttReleasePendingRef.current = true;
+    } else if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'ptt_end' }));
+    }
+  }, [selectedProvider]);
+
+  // Hold Space to talk (ignored while typing in a field)
+  useEffect(() => {
+    if (!hasStarted || isChatMode || turnDetection.mode !== 'push_to_talk') return;
+
+    const isTyping = (target) => {
+      return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTyping(e.target)) return;
+      e.preventDefault();
+      if (!e.repeat) startTalking();
+    };
+
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space' || isTyping(e.target)) return;
+      e.preventDefault();
+      stopTalking();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', stopTalking);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', stopTalking);
+    };
+  }, [hasStarted, isChatMode, turnDetection.mode, startTalking, stopTalking]);
+
+  const handlePersonaChange = (id) => {
+    setPersonaId(id);
+    saveSelectedPersonaId(id);
+  };
+
+  // Voice is remembered per signed-in user
+  useEffect(() => {
+    setVoice(loadVoice(user?.uid));
+  }, [user]);
+
+  // Mid-session changes are applied by the server with a new session.update
+  const handleVoiceChange = (id) => {
+    setVoice(id);
+    saveVoice(user?.uid, id);
+    if (hasStarted && wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'voice_change', voice: id }));
+    }
+  };
+
   // Load O3 chat sessions when user changes or model is O3
   useEffect(() => {
     if (user && selectedModel === 'o3') {
@@ -359,14 +495,24 @@ function LiveTalkPageContent() {
     }
   };
 
-  const connectWebSocket = (stream) => {
+  const connectWebSocket = async (stream) => {
     // Determine WebSocket URL based on provider
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsEndpoint = selectedProvider === 'openai' ? '/ws/openai' : '/ws/gemini';
     const wsUrl = `${protocol}//${window.location.host}${wsEndpoint}`;
 
+    // The server only accepts the socket with a valid Firebase ID token
+    let idToken;
+    try {
+      idToken = await getIdToken();
+    } catch (err) {
+      console.error('Failed to get ID token:', err);
+      setError('Your session has expired. Please log in again.');
+      return;
+    }
+
     console.log('Connecting to WebSocket:', wsUrl, 'Provider:', selectedProvider);
-    const ws = new WebSocket(wsUrl);
+    const ws = new WebSocket(`${wsUrl}?token=${encodeURIComponent(idToken)}`);
     wsRef.current = ws;
 
     ws.onopen = () => {
@@ -376,24 +522,38 @@ function LiveTalkPageContent() {
       setAiResponse('AI is listening...');
       setSessionTime(0);
 
-      // Get API keys from sessionStorage
-      const geminiApiKey = sessionStorage.getItem('gemini_api_key');
-      const openaiApiKey = sessionStorage.getItem('openai_api_key');
-
-      // Send model selection and audio-only mode to server with API key
+      // Send model selection and audio-only mode to server
       const modelSelection = {
         type: 'model_selection',
+        protocolVersion: PROTOCOL_VERSION,
         model: selectedModel,
         mode: 'audio_only'
       };
 
-      // Add appropriate API key based on provider
+      // Rate limits from the settings page (server caps them at its maximums)
+      modelSelection.limits = getProviderLimits(selectedProvider);
+
+      // Persona: system prompt, temperature and reply length
+      modelSelection.persona = getPersonaPayload(personaId);
+
+      // Gemini Live replies with speech (plus a transcript) instead of text
       if (selectedProvider === 'gemini') {
-        modelSelection.apiKey = geminiApiKey;
-      } else if (selectedProvider === 'openai') {
-        modelSelection.apiKey = openaiApiKey;
+        modelSelection.responseMode = spokenReplies ? 'audio' : 'text';
       }
 
+      // Realtime voice (OpenAI)
+      if (selectedProvider === 'openai') {
+        modelSelection.voice = voice;
+      }
+
+      // VAD tuning, or push-to-talk (audio is held back until the talk button is down)
+      modelSelection.turnDetection = turnDetection;
+      pushToTalkRef.current = turnDetection.mode === 'push_to_talk';
+      isTalkingRef.current = false;
+      setIsTalking(false);
+      audioResponseActiveRef.current = false;
+      discardAudioRef.current = false;
+
       ws.send(JSON.stringify(modelSelection));
 
       // Start session timer
@@ -420,12 +580,23 @@ function LiveTalkPageContent() {
     };
 
     ws.onmessage = async (event) => {
+      const data = parseServerEvent(event.data);
+      if (!data) return;
+
       try {
-        const data = JSON.parse(event.data);
+        if (data.type === 'protocol_accepted') {
+          console.log(`Protocol v${data.version} accepted`);
+        }
+
+        // The server lost its provider connection and restored the conversation
+        if (data.type === 'session_resumed') {
+          console.log(`Provider session resumed (${data.method}, ${data.turns} turns)`);
+        }
 
-        // Handle user speech detection (OpenAI VAD)
+        // Handle user speech detection (OpenAI VAD) - speaking over the AI interrupts it
         if (data.type === 'user_speaking_started') {
           setIsUserSpeaking(true);
+          interruptAssistant();
         }
 
         if (data.type === 'user_speaking_stopped') {
@@ -437,42 +608,94 @@ function LiveTalkPageContent() {
           setUserTranscription(data.transcription);
         }
 
-        // Handle AI audio response (OpenAI voice)
-        if (data.type === 'audio_response_delta' && data.audio) {
+        // Tools the AI ran on the server (time, calculator, notes, ...)
+        if (data.type === 'tool_call' || data.type === 'tool_result') {
+          setToolEvents(prev => applyToolEvent(prev, data));
+        }
+
+        // Handle AI audio response (OpenAI voice, Gemini spoken replies)
+        if (data.type === 'audio_response_delta' && data.audio && !discardAudioRef.current) {
           if (!audioPlayerRef.current) {
-            audioPlayerRef.current = new PCM16AudioPlayer();
+            audioPlayerRef.current = new PCM16AudioPlayer({ onIdle: () => setIsAiSpeaking(false) });
             await audioPlayerRef.current.initialize();
           }
-          audioPlayerRef.current.addChunk(data.audio);
+          if (!audioResponseActiveRef.current) {
+            audioPlayerRef.current.markResponseStart();
+            audioResponseActiveRef.current = true;
+          }
+          audioPlayerRef.current.addChunk(data.audio, data.sampleRate);
+          setIsAiSpeaking(true);
         }
 
         if (data.type === 'audio_response_complete') {
           console.log('AI finished speaking');
+          audioResponseActiveRef.current = false;
+        }
+
+        // The reply was cut off (our interrupt was applied, or Gemini heard the user)
+        if (data.type === 'audio_interrupted') {
+          audioPlayerRef.current?.clear();
+          audioResponseActiveRef.current = false;
+          discardAudioRef.current = false;
+          setIsAiSpeaking(false);
+        }
+
+        // Handle streamed chat reply - append each delta to the in-progress AI message
+        if (data.type === 'chat_response_delta' && data.text) {
+          setChatMessages(prev => {
+            const last = prev[prev.length - 1];
+            if (last && last.role === 'assistant' && last.isStreaming) {
+              return [...prev.slice(0, -1), { ...last, text: last.text + data.text }];
+            }
+            return [...prev, {
+              role: 'assistant',
+              text: data.text,
+              timestamp: Date.now(),
+              isStreaming: true
+            }];
+          });
         }
 
-        // Handle chat message response
-        if (data.type === 'chat_response') {
+        // Streamed chat reply finished - replace partial text with the full answer
+        if (data.type === 'chat_response_done') {
+          setChatMessages(prev => {
+            const last = prev[prev.length - 1];
+            const finalMessage = {
+              role: 'assistant',
+              text: data.text,
+              timestamp: last?.isStreaming ? last.timestamp : Date.now()
+            };
+            if (last && last.role === 'assistant' && last.isStreaming) {
+              return [...prev.slice(0, -1), finalMessage];
+            }
+            return [...prev, finalMessage];
+          });
+          setIsAiTyping(false);
+        }
+
+        // A failed chat reply is shown in the conversation as well
+        if (data.type === 'error' && data.scope === 'chat') {
           const aiMessage = {
             role: 'assistant',
             text: data.text,
             timestamp: Date.now()
           };
-          setChatMessages(prev => [...prev, aiMessage]);
+          setChatMessages(prev => [...finishStreamingMessage(prev), aiMessage]);
           setIsAiTyping(false); // AI finished typing
         }
 
         // Handle AI response text (for voice mode)
-        // Only show actual AI responses, not user transcription
-        if (data.text && (data.type === 'ai_response_delta' || data.type === 'ai_response_complete')) {
+        // Only show actual AI responses (and voice switch / reconnect notices), not user transcription
+        if (data.text && (data.type === 'ai_response_delta' || data.type === 'ai_response_complete' || data.type === 'voice_changed' || data.type === 'session_resumed')) {
           setAiResponse(data.text);
         }
 
-        if (data.error) {
+        if (data.type === 'error') {
           setError(data.error);
           setIsAiTyping(false); // Stop typing indicator on error
         }
       } catch (err) {
-        console.error('Message parse error:', err);
+        console.error('Message handling error:', err);
       }
     };
 
@@ -485,6 +708,7 @@ function LiveTalkPageContent() {
     ws.onclose = () => {
       console.log('WebSocket closed');
       setIsConnected(false);
+      setChatMessages(finishStreamingMessage); // A reply cut off mid-stream keeps what arrived
       clearInterval(sessionTimerRef.current);
       clearTimeout(reconnectTimeoutRef.current);
 
@@ -506,6 +730,7 @@ function LiveTalkPageContent() {
           pcm16CaptureRef.current = new PCM16AudioCapture(
             stream,
             (base64Audio) => {
+              if (pushToTalkRef.current && !isTalkingRef.current) return;
               if (ws.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify({
                   type: 'audio_chunk',
@@ -550,8 +775,19 @@ function LiveTalkPageContent() {
             }
           };
 
+          // Push-to-talk: send ptt_end once the last recording after release is out
+          const sendPttEnd = () => {
+            if (ws.readyState === WebSocket.OPEN) {
+              ws.send(JSON.stringify({ type: 'ptt_end' }));
+            }
+          };
+
           mediaRecorder.onstop = () => {
-            if (audioChunks.length > 0 && ws.readyState === WebSocket.OPEN) {
+            const endTurn = pttReleasePendingRef.current;
+            pttReleasePendingRef.current = false;
+            const shouldSend = !pushToTalkRef.current || isTalkingRef.current || endTurn;
+
+            if (shouldSend && audioChunks.length > 0 && ws.readyState === WebSocket.OPEN) {
               const audioBlob = new Blob(audioChunks, { type: mimeType });
               const reader = new FileReader();
               reader.onloadend = () => {
@@ -562,8 +798,11 @@ function LiveTalkPageContent() {
                   mimeType: mimeType,
                   timestamp: Date.now()
                 }));
+                if (endTurn) sendPttEnd();
               };
               reader.readAsDataURL(audioBlob);
+            } else if (endTurn) {
+              sendPttEnd();
             }
             audioChunks.length = 0;
           };
@@ -616,6 +855,9 @@ function LiveTalkPageContent() {
     setAiResponse('Audio stopped - Continue chatting via text');
     setUserTranscription('');
     setIsUserSpeaking(false);
+    isTalkingRef.current = false;
+    setIsTalking(false);
+    setIsAiSpeaking(false);
   };
 
   const handleEndSession = () => {
@@ -635,6 +877,9 @@ function LiveTalkPageContent() {
     setAiResponse('Select a model and click Start to begin');
     setError('');
     setSessionTime(0);
+    setToolEvents([]);
+    setIsTalking(false);
+    setIsAiSpeaking(false);
     setIsChatMode(false);
     setChatMessages([]);
     setIsAiTyping(false);
@@ -758,19 +1003,6 @@ function LiveTalkPageContent() {
     // This avoids the need for WebSocket connection in chat mode
     if (isChatMode) {
       try {
-        // Get API key based on provider
-        const isGemini = selectedProvider === 'gemini' || selectedModel.includes('gemini');
-        const apiKey = isGemini
-          ? sessionStorage.getItem('gemini_api_key')
-          : sessionStorage.getItem('openai_api_key');
-
-        if (!apiKey) {
-          const providerName = isGemini ? 'Gemini' : 'OpenAI';
-          setError(`${providerName} API key not configured. Please set it in Settings.`);
-          setIsAiTyping(false);
-          return;
-        }
-
         // Build messages array for API
         const messages = updatedChatMessages.map((msg, index) => {
           const isCurrentMessage = index === updatedChatMessages.length - 1;
@@ -801,52 +1033,86 @@ function LiveTalkPageContent() {
           };
         });
 
-        // Call unified API route for all models
+        // Call unified API route for all models (streamed so long replies appear progressively)
         try {
+          // The server verifies the ID token, uses this user's saved key and bills usage to them
+          const idToken = await getIdToken();
           const response = await fetch('/api/chat', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${idToken}`
+            },
             body: JSON.stringify({
               messages,
               model: selectedModel,
-              apiKey: apiKey,
               tokenLimit: tokenLimit,
-              provider: selectedProvider
+              provider: selectedProvider,
+              persona: getPersonaPayload(personaId),
+              stream: true
             })
           });
 
-          // Check HTTP status
+          // Check HTTP status (validation errors are returned as JSON before streaming starts)
           if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
           }
 
-          const data = await response.json();
+          const aiTimestamp = Date.now();
+          let streamedText = '';
+          let streamError = null;
+          let usage = null;
+
+          // Create or update the in-progress AI message
+          const upsertAiMessage = (fields) => {
+            setChatMessages(prev => {
+              const last = prev[prev.length - 1];
+              if (last && last.role === 'assistant' && last.timestamp === aiTimestamp) {
+                return [...prev.slice(0, -1), { ...last, ...fields }];
+              }
+              return [...prev, { role: 'assistant', timestamp: aiTimestamp, ...fields }];
+            });
+          };
 
-          if (data.error) {
-            setError(data.error);
-            setIsAiTyping(false);
-            return;
+          try {
+            await readEventStream(response, (event, data) => {
+              if (event === 'delta') {
+                streamedText += data.text;
+                upsertAiMessage({ text: streamedText, isStreaming: true });
+              } else if (event === 'usage') {
+                usage = data.usage;
+              } else if (event === 'error') {
+                streamError = data.error || 'Failed to generate response';
+              }
+            });
+          } catch (readError) {
+            // Connection dropped or the read was aborted mid-reply: handled like a stream error
+            streamError = readError.message || 'Connection lost while receiving the reply';
+          }
+
+          if (streamError) {
+            // Drop the partial answer so Retry resends from the user message
+            setChatMessages(prev => prev.filter(msg => msg.timestamp !== aiTimestamp || msg.role !== 'assistant'));
+            throw new Error(streamError);
           }
 
           // Track token usage
-          if (data.usage) {
+          if (usage) {
             setTokenUsage(prev => ({
-              prompt_tokens: (prev?.prompt_tokens || 0) + (data.usage.prompt_tokens || 0),
-              completion_tokens: (prev?.completion_tokens || 0) + (data.usage.completion_tokens || 0),
-              total_tokens: (prev?.total_tokens || 0) + (data.usage.total_tokens || 0),
-              last_request: data.usage
+              prompt_tokens: (prev?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+              completion_tokens: (prev?.completion_tokens || 0) + (usage.completion_tokens || 0),
+              total_tokens: (prev?.total_tokens || 0) + (usage.total_tokens || 0),
+              last_request: usage
             }));
           }
 
-          // Add AI response to chat
-          const aiMessage = {
-            role: 'assistant',
-            text: data.text,
-            timestamp: Date.now(),
-            usage: data.usage // Store usage with message
-          };
-          setChatMessages(prev => [...prev, aiMessage]);
+          // Finalize AI response in chat
+          upsertAiMessage({
+            text: streamedText || 'No response generated',
+            isStreaming: false,
+            usage: usage || undefined // Store usage with message
+          });
           setIsAiTyping(false);
           setLastFailedMessage(null); // Clear on success
 
@@ -894,6 +1160,7 @@ function LiveTalkPageContent() {
       files: filesData, // Only current message files with base64 data
       model: selectedModel,
       tokenLimit: tokenLimit,
+      persona: getPersonaPayload(personaId), // May differ from the one picked at start
       conversationHistory: conversationHistory, // Text-only history without file data
       timestamp: Date.now()
     }));
@@ -978,6 +1245,20 @@ function LiveTalkPageContent() {
                   </span>
                 )}
 
+                {/* Voice can be switched mid-session (OpenAI realtime) */}
+                {!isChatMode && selectedProvider === 'openai' && selectedModel.includes('realtime') && (
+                  <select
+                    value={voice}
+                    onChange={(e) => handleVoiceChange(e.target.value)}
+                    title="Voice"
+                    className="bg-gray-800/60 border border-gray-600/50 rounded-lg text-gray-300 text-xs px-2 py-1.5 focus:outline-none"
+                  >
+                    {REALTIME_VOICES.map(option => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                )}
+
                 {/* Stop Audio button - only show in voice mode for voice-capable models */}
                 {!isChatMode && (selectedModel.includes('realtime') || selectedModel.includes('live')) && (
                   <button
@@ -1115,6 +1396,105 @@ function LiveTalkPageContent() {
             </div>
           )}
 
+          {/* Persona Selection - Before Start */}
+          {!hasStarted && (
+            <div className="mb-4 sm:mb-6">
+              <h3 className="text-white text-base sm:text-lg md:text-xl font-semibold mb-2 sm:mb-3">Choose Persona</h3>
+              <PersonaSelector value={personaId} onChange={handlePersonaChange} />
+            </div>
+          )}
+
+          {/* Voice Selection - OpenAI realtime models, before start */}
+          {!hasStarted && selectedProvider === 'openai' && selectedModel.includes('realtime') && (
+            <div className="mb-4 sm:mb-6">
+              <h3 className="text-white text-base sm:text-lg md:text-xl font-semibold mb-2 sm:mb-3">Choose Voice</h3>
+              <VoicePicker value={voice} onChange={handleVoiceChange} />
+            </div>
+          )}
+
+          {/* Spoken Replies - Gemini only, before start */}
+          {!hasStarted && selectedProvider === 'gemini' && (
+            <div className="mb-4 sm:mb-6">
+              <label className="flex items-center justify-between gap-3 p-3 sm:p-4 rounded-lg sm:rounded-xl border bg-gray-800/30 border-gray-700/50 cursor-pointer">
+                <div>
+                  <div className="text-white text-sm sm:text-base font-medium">Spoken replies</div>
+                  <p className="text-gray-400 text-xs sm:text-sm mt-0.5">Gemini answers out loud, with a transcript</p>
+                </div>
+                <input
+                  type="checkbox"
+                  checked={spokenReplies}
+                  onChange={(e) => {
+                    setSpokenReplies(e.target.checked);
+                    saveSpokenReplies(e.target.checked);
+                  }}
+                  className="w-5 h-5 accent-gray-400 flex-shrink-0"
+                />
+              </label>
+            </div>
+          )}
+
+          {/* Turn Detection - voice models, before start */}
+          {!hasStarted && (selectedModel.includes('realtime') || selectedModel.includes('live')) && (
+            <div className="mb-4 sm:mb-6">
+              <h3 className="text-white text-base sm:text-lg md:text-xl font-semibold mb-2 sm:mb-3">Turn Detection</h3>
+              <div className="grid grid-cols-2 gap-2 sm:gap-3 mb-3">
+                {[
+                  { id: 'vad', name: 'Automatic', description: 'AI replies when you pause' },
+                  { id: 'push_to_talk', name: 'Push to talk', description: 'Hold the button or Space' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => handleTurnDetectionChange({ mode: option.id })}
+                    className={`p-3 sm:p-4 rounded-lg sm:rounded-xl border text-left transition-all ${turnDetection.mode === option.id
+                      ? 'bg-gray-700/60 border-gray-600'
+                      : 'bg-gray-800/30 border-gray-700/50 hover:bg-gray-700/40'
+                      }`}
+                  >
+                    <div className="text-white text-sm sm:text-base font-medium">{option.name}</div>
+                    <p className="text-gray-400 text-xs sm:text-sm mt-0.5">{option.description}</p>
+                  </button>
+                ))}
+              </div>
+
+              {turnDetection.mode === 'vad' && (
+                <div className="space-y-3 p-3 sm:p-4 rounded-lg sm:rounded-xl border bg-gray-800/30 border-gray-700/50">
+                  {[
+                    { field: 'threshold', label: 'Sensitivity threshold', format: value => value.toFixed(2), hint: 'Higher ignores more background noise' },
+                    { field: 'prefixPaddingMs', label: 'Prefix padding', format: value => `${value} ms`, hint: 'Audio kept from just before you start speaking' },
+                    { field: 'silenceDurationMs', label: 'Silence duration', format: value => `${value} ms`, hint: 'Pause that ends your turn' }
+                  ].map(({ field, label, format, hint }) => (
+                    <div key={field}>
+                      <div className="flex items-center justify-between text-xs sm:text-sm">
+                        <label htmlFor={`vad-${field}`} className="text-gray-200 font-medium">{label}</label>
+                        <span className="text-gray-400 font-mono">{format(turnDetection[field])}</span>
+                      </div>
+                      <input
+                        id={`vad-${field}`}
+                        type="range"
+                        {...VAD_SETTING_RANGES[field]}
+                        value={turnDetection[field]}
+                        onChange={(e) => handleTurnDetectionChange({ [field]: Number(e.target.value) })}
+                        className="w-full accent-gray-400"
+                      />
+                      <p className="text-gray-500 text-[10px] sm:text-xs">{hint}</p>
+                    </div>
+                  ))}
+                  {selectedProvider === 'gemini' && (
+                    <p className="text-gray-500 text-[10px] sm:text-xs">Gemini only has low/default/high sensitivity, so the threshold is rounded to one of those.</p>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleTurnDetectionChange(DEFAULT_TURN_DETECTION)}
+                    className="text-gray-400 hover:text-gray-200 text-xs underline"
+                  >
+                    Reset to defaults
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Token Limit Input - For o3 model only */}
           {!hasStarted && selectedModel === 'o3' && (
             <div className="mb-4 sm:mb-6">
@@ -1173,6 +1553,10 @@ function LiveTalkPageContent() {
           {/* Chat Mode - Show Chatbox */}
           {hasStarted && isChatMode ? (
             <div className="mb-0 sm:mb-6 flex-1 min-h-0">
+              {/* Persona can be switched between chat messages */}
+              <div className="mb-3 px-2 sm:px-0">
+                <PersonaSelector value={personaId} onChange={handlePersonaChange} compact />
+              </div>
               <Chatbox
                 messages={chatMessages}
                 onSendMessage={handleSendChatMessage}
@@ -1211,10 +1595,65 @@ function LiveTalkPageContent() {
                 </div>
               )}
 
+              {/* Voice Mode - Tool Calls */}
+              {hasStarted && toolEvents.length > 0 && (
+                <div className="mb-4 sm:mb-6">
+                  <h3 className="text-gray-400 text-xs sm:text-sm font-medium mb-2 sm:mb-3">Tools Used</h3>
+                  <div className="bg-gray-800/30 border border-gray-700/50 rounded-xl sm:rounded-2xl p-3 sm:p-4 space-y-1">
+                    {toolEvents.map(event => (
+                      <p
+                        key={event.id}
+                        className={`text-xs sm:text-sm font-mono ${event.status === 'error' ? 'text-red-300' : 'text-gray-300'}`}
+                      >
+                        {describeToolEvent(event)}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Voice Mode - Push to Talk */}
+              {hasStarted && turnDetection.mode === 'push_to_talk' && (selectedModel.includes('realtime') || selectedModel.includes('live')) && (
+                <div className="mb-4 sm:mb-6 flex flex-col items-center gap-2">
+                  <button
+                    type="button"
+                    onPointerDown={(e) => {
+                      e.currentTarget.setPointerCapture(e.pointerId);
+                      startTalking();
+                    }}
+                    onPointerUp={stopTalking}
+                    onPointerCancel={stopTalking}
+                    onContextMenu={(e) => e.preventDefault()}
+                    disabled={!isConnected}
+                    className={`w-full sm:w-auto px-10 py-4 rounded-xl font-bold text-base sm:text-lg select-none touch-none transition-all disabled:opacity-50 ${isTalking
+                      ? 'bg-blue-600 text-white shadow-lg shadow-blue-600/30 scale-95'
+                      : 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                      }`}
+                  >
+                    {isTalking ? 'Listening… release to send' : 'Hold to talk'}
+                  </button>
+                  <p className="text-gray-500 text-xs hidden sm:block">or hold Space</p>
+                </div>
+              )}
+
               {/* Voice Mode - AI Response Display */}
               {hasStarted && (
                 <div className="mb-4 sm:mb-6">
-                  <h3 className="text-gray-400 text-xs sm:text-sm lg:text-base font-medium mb-2 sm:mb-3">AI Response</h3>
+                  <div className="flex items-center justify-between mb-2 sm:mb-3">
+                    <h3 className="text-gray-400 text-xs sm:text-sm lg:text-base font-medium">AI Response</h3>
+                    {isAiSpeaking && (
+                      <button
+                        type="button"
+                        onClick={interruptAssistant}
+                        className="px-3 py-1.5 bg-gray-700/60 hover:bg-gray-600/60 text-gray-200 rounded-lg text-xs font-medium transition-all flex items-center gap-1"
+                      >
+                        <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
+                          <rect x="5" y="5" width="10" height="10" rx="1" />
+                        </svg>
+                        Stop talking
+                      </button>
+                    )}
+                  </div>
                   <div className="bg-gradient-to-br from-gray-700/40 to-gray-800/40 rounded-xl sm:rounded-2xl p-4 sm:p-6 lg:p-8 min-h-[150px] sm:min-h-[200px] lg:min-h-[250px] border border-gray-700/50">
                     <p className="text-gray-100 text-sm sm:text-base md:text-lg lg:text-xl leading-relaxed whitespace-pre-wrap">
                       {aiResponse}
@@ -3,11 +3,12 @@
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from './contexts/AuthContext';
+import { fetchSavedKeys, hasSavedKey } from './lib/api-keys';
 
 export default function LoginPage() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { loginWithGoogle } = useAuth();
+  const { loginWithGoogle, getIdToken } = useAuth();
   const router = useRouter();
 
   const handleGoogleLogin = async () => {
@@ -17,21 +18,9 @@ export default function LoginPage() {
     try {
       await loginWithGoogle();
       
-      // Check if user has API keys set up (only in browser)
-      if (typeof window !== 'undefined') {
-        const hasGeminiKey = sessionStorage.getItem('gemini_api_key');
-        const hasOpenAIKey = sessionStorage.getItem('openai_api_key');
-
-        // Redirect to setup if no API keys, otherwise go to camera
-        if (!hasGeminiKey && !hasOpenAIKey) {
-          router.push('/setup');
-        } else {
-          router.push('/camera');
-        }
-      } else {
-        // Fallback for SSR (though this shouldn't happen in practice)
-        router.push('/camera');
-      }
+      // Send users without saved API keys (server/key-vault.js) to the setup page first
+      const savedKeys = await getIdToken().then(fetchSavedKeys).catch(() => null);
+      router.push(hasSavedKey(savedKeys) ? '/camera' : '/setup');
     } catch (err) {
       console.error('Google login error:', err);
       
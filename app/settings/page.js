@@ -4,15 +4,12 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import ProtectedRoute from '../components/ProtectedRoute';
 import Header from '../components/Header';
-
-// Default settings
-const DEFAULT_SETTINGS = {
-  geminiRpmLimit: 15,
-  geminiRpdLimit: 1500,
-  openaiRpmLimit: 100,
-  openaiRpdLimit: 10000,
-  openaiMaxCostHour: 0.30
-};
+import PersonaManager from '../components/PersonaManager';
+import {
+  ADVANCED_SETTINGS_KEY,
+  DEFAULT_ADVANCED_SETTINGS as DEFAULT_SETTINGS,
+  loadAdvancedSettings
+} from '../lib/advanced-settings';
 
 function SettingsPageContent() {
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
@@ -21,16 +18,9 @@ function SettingsPageContent() {
 
   useEffect(() => {
     // Load existing settings from localStorage if any (only in browser)
-    if (typeof window !== 'undefined') {
-      const savedSettings = localStorage.getItem('advanced_settings');
-      if (savedSettings) {
-        try {
-          const parsed = JSON.parse(savedSettings);
-          setSettings({ ...DEFAULT_SETTINGS, ...parsed });
-        } catch (e) {
-          console.error('Failed to parse saved settings:', e);
-        }
-      }
+    const savedSettings = loadAdvancedSettings();
+    if (savedSettings) {
+      setSettings({ ...DEFAULT_SETTINGS, ...savedSettings });
     }
   }, []);
 
@@ -54,9 +44,14 @@ function SettingsPageContent() {
       return;
     }
 
+    if (settings.frameChangeThreshold < 0 || settings.frameChangeThreshold > 32) {
+      alert('Camera change threshold must be between 0 and 32');
+      return;
+    }
+
     // Save to localStorage (only in browser)
     if (typeof window !== 'undefined') {
-      localStorage.setItem('advanced_settings', JSON.stringify(settings));
+      localStorage.setItem(ADVANCED_SETTINGS_KEY, JSON.stringify(settings));
     }
     setSuccess('Settings saved successfully!');
 
@@ -70,7 +65,7 @@ function SettingsPageContent() {
     setSettings(DEFAULT_SETTINGS);
     // Remove from localStorage (only in browser)
     if (typeof window !== 'undefined') {
-      localStorage.removeItem('advanced_settings');
+      localStorage.removeItem(ADVANCED_SETTINGS_KEY);
     }
     setSuccess('Settings reset to defaults!');
     setTimeout(() => {
@@ -86,7 +81,7 @@ function SettingsPageContent() {
           <form onSubmit={handleSave} className="bg-white/10 backdrop-blur-lg p-8 lg:p-10 xl:p-12 rounded-2xl lg:rounded-3xl shadow-2xl border border-white/20">
             <h1 className="text-3xl lg:text-4xl xl:text-5xl font-bold mb-2 lg:mb-3 text-center text-white">Advanced Settings</h1>
             <p className="text-white/60 text-center mb-8 lg:mb-10 text-sm lg:text-base xl:text-lg">
-              Configure rate limits and cost controls for AI providers
+              Configure rate limits, cost controls and camera frames for AI providers
             </p>
 
             {success && (
@@ -186,10 +181,36 @@ function SettingsPageContent() {
               </div>
             </div>
 
+            {/* Camera Settings */}
+            <div className="mb-8 lg:mb-10">
+              <h2 className="text-xl lg:text-2xl xl:text-3xl font-semibold text-white mb-4 lg:mb-5 flex items-center">
+                <span className="bg-purple-500 w-2 h-6 lg:h-8 mr-3 lg:mr-4 rounded"></span>
+                Camera
+              </h2>
+              <div className="space-y-4 lg:space-y-5 pl-5 lg:pl-6">
+                <div>
+                  <label className="block text-white/80 font-medium mb-2">
+                    Scene Change Threshold
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="32"
+                    value={settings.frameChangeThreshold}
+                    onChange={(e) => setSettings({...settings, frameChangeThreshold: parseInt(e.target.value) || 0})}
+                    className="w-full p-3 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <p className="text-white/50 text-xs mt-1">
+                    Frames are only sent when the view changed by at least this much (0 = send every frame). Higher saves requests on still scenes
+                  </p>
+                </div>
+              </div>
+            </div>
+
             {/* Info Box */}
             <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-4 mb-6">
               <p className="text-yellow-200 text-sm">
-                <strong>Note:</strong> These settings are stored locally in your browser. Adjust based on your API provider&apos;s tier and quota limits to avoid rate limit errors or unexpected costs.
+                <strong>Note:</strong> These settings are stored locally in your browser and applied to your sessions when you start the camera or a live talk. The server caps them at its configured maximums. Adjust based on your API provider&apos;s tier and quota limits to avoid rate limit errors or unexpected costs.
               </p>
             </div>
 
@@ -219,6 +240,8 @@ function SettingsPageContent() {
               </button>
             </div>
           </form>
+
+          <PersonaManager />
         </div>
       </div>
     </div>
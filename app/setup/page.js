@@ -4,69 +4,199 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import ProtectedRoute from '../components/ProtectedRoute';
 import Header from '../components/Header';
+import { useAuth } from '../contexts/AuthContext';
+import { fetchSavedKeys, saveApiKey, deleteApiKey, hasSavedKey } from '../lib/api-keys';
+
+const PROVIDERS = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini API Key',
+    placeholder: 'Enter your Gemini API key',
+    helpUrl: 'https://aistudio.google.com/apikey',
+    helpName: 'Google AI Studio'
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI API Key',
+    placeholder: 'Enter your OpenAI API key',
+    helpUrl: 'https://platform.openai.com/api-keys',
+    helpName: 'OpenAI Platform'
+  }
+];
 
 function SetupPageContent() {
-  const [geminiKey, setGeminiKey] = useState('');
-  const [openaiKey, setOpenaiKey] = useState('');
+  const [savedKeys, setSavedKeys] = useState(null); // null while loading
+  const [drafts, setDrafts] = useState({ gemini: '', openai: '' });
+  const [rotating, setRotating] = useState({ gemini: false, openai: false });
+  const [busyProvider, setBusyProvider] = useState(null);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
+  const { getIdToken } = useAuth();
   const router = useRouter();
 
   useEffect(() => {
-    // Load existing keys from sessionStorage if any (only in browser)
-    if (typeof window !== 'undefined') {
-      const savedGeminiKey = sessionStorage.getItem('gemini_api_key') || '';
-      const savedOpenaiKey = sessionStorage.getItem('openai_api_key') || '';
-      setGeminiKey(savedGeminiKey);
-      setOpenaiKey(savedOpenaiKey);
-    }
-  }, []);
+    // Keys are kept on the server now; drop any left in the browser by older versions
+    sessionStorage.removeItem('gemini_api_key');
+    sessionStorage.removeItem('openai_api_key');
+
+    getIdToken()
+      .then(fetchSavedKeys)
+      .then(setSavedKeys)
+      .catch((err) => {
+        console.error('Failed to load saved keys:', err);
+        setError('Could not load your saved keys. Please reload the page.');
+        setSavedKeys({ gemini: null, openai: null });
+      });
+  }, [getIdToken]);
 
-  const handleSave = (e) => {
-    e.preventDefault();
+  const updateDraft = (provider, value) => {
+    setDrafts(prev => ({ ...prev, [provider]: value }));
+  };
+
+  const setRotatingFor = (provider, value) => {
+    setRotating(prev => ({ ...prev, [provider]: value }));
+    updateDraft(provider, '');
+  };
+
+  const handleSave = async (provider) => {
     setError('');
     setSuccess('');
 
-    // Validate that at least one key is provided
-    if (!geminiKey.trim() && !openaiKey.trim()) {
-      setError('Please provide at least one API key (Gemini or OpenAI)');
+    if (!drafts[provider].trim()) {
+      setError('Please enter a key first');
       return;
     }
 
-    // Save keys to sessionStorage (not database)
-    if (geminiKey.trim()) {
-      sessionStorage.setItem('gemini_api_key', geminiKey.trim());
-    } else {
-      sessionStorage.removeItem('gemini_api_key');
+    setBusyProvider(provider);
+    try {
+      const key = await saveApiKey(await getIdToken(), provider, drafts[provider].trim());
+      setSavedKeys(prev => ({ ...prev, [provider]: key }));
+      setRotatingFor(provider, false);
+      setSuccess(`${provider === 'gemini' ? 'Gemini' : 'OpenAI'} key saved`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyProvider(null);
     }
+  };
 
-    if (openaiKey.trim()) {
-      sessionStorage.setItem('openai_api_key', openaiKey.trim());
-    } else {
-      sessionStorage.removeItem('openai_api_key');
-    }
+  const handleDelete = async (provider) => {
+    setError('');
+    setSuccess('');
 
-    setSuccess('API keys saved successfully!');
+    if (!window.confirm('Delete this API key from the server?')) {
+      return;
+    }
 
-    // Redirect to camera page after 1.5 seconds
-    setTimeout(() => {
-      router.push('/camera');
-    }, 1500);
+    setBusyProvider(provider);
+    try {
+      await deleteApiKey(await getIdToken(), provider);
+      setSavedKeys(prev => ({ ...prev, [provider]: null }));
+      setRotatingFor(provider, false);
+      setSuccess(`${provider === 'gemini' ? 'Gemini' : 'OpenAI'} key deleted`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyProvider(null);
+    }
   };
 
-  const handleSkip = () => {
+  const handleContinue = () => {
     router.push('/camera');
   };
 
+  const renderProvider = ({ id, label, placeholder, helpUrl, helpName }) => {
+    const saved = savedKeys && savedKeys[id];
+    const isBusy = busyProvider === id;
+
+    return (
+      <div key={id}>
+        <label className="block text-white font-semibold mb-2 lg:mb-3 text-base lg:text-lg">
+          {label}
+        </label>
+
+        {saved && !rotating[id] ? (
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 p-4 lg:p-5 bg-white/5 border border-white/20 rounded-lg">
+            <div className="flex-1">
+              <span className="font-mono text-white text-base lg:text-lg">{saved.masked}</span>
+              <p className="text-white/50 text-xs lg:text-sm mt-1">
+                Saved {new Date(saved.updatedAt).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setRotatingFor(id, true)}
+                disabled={isBusy}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg text-sm font-semibold transition-all"
+              >
+                Rotate
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(id)}
+                disabled={isBusy}
+                className="px-4 py-2 bg-red-600/80 hover:bg-red-600 disabled:opacity-50 text-white rounded-lg text-sm font-semibold transition-all"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="password"
+              autoComplete="off"
+              placeholder={rotating[id] ? 'Enter the new key' : placeholder}
+              value={drafts[id]}
+              onChange={(e) => updateDraft(id, e.target.value)}
+              disabled={!savedKeys || isBusy}
+              className="flex-1 p-4 lg:p-5 bg-white/10 border border-white/20 rounded-lg text-white text-base lg:text-lg placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="button"
+              onClick={() => handleSave(id)}
+              disabled={!savedKeys || isBusy}
+              className="px-6 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white p-4 rounded-lg font-semibold transition-all"
+            >
+              {isBusy ? 'Saving...' : 'Save'}
+            </button>
+            {rotating[id] && (
+              <button
+                type="button"
+                onClick={() => setRotatingFor(id, false)}
+                className="px-6 bg-gray-700 hover:bg-gray-600 text-white p-4 rounded-lg font-semibold transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        )}
+
+        <p className="text-white/50 text-xs lg:text-sm mt-2">
+          Get your key from{' '}
+          <a
+            href={helpUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-400 hover:text-blue-300 underline"
+          >
+            {helpName}
+          </a>
+        </p>
+      </div>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black">
       <Header />
       <div className="flex items-center justify-center p-4 lg:p-8 pt-20 lg:pt-24">
         <div className="w-full max-w-2xl lg:max-w-3xl xl:max-w-4xl">
-          <form onSubmit={handleSave} className="bg-white/10 backdrop-blur-lg p-8 lg:p-10 xl:p-12 rounded-2xl shadow-2xl border border-white/20">
+          <div className="bg-white/10 backdrop-blur-lg p-8 lg:p-10 xl:p-12 rounded-2xl shadow-2xl border border-white/20">
             <h1 className="text-3xl lg:text-4xl xl:text-5xl font-bold mb-2 lg:mb-3 text-center text-white">API Key Setup</h1>
             <p className="text-white/60 text-center mb-8 lg:mb-10 text-sm lg:text-base xl:text-lg">
-              Enter your API keys to use the AI Vision features. Your keys are stored only in your browser session and never saved to a database.
+              Add your API keys once to use the AI Vision features. They are stored encrypted on the server and used for your sessions only.
             </p>
 
             {error && (
@@ -82,78 +212,35 @@ function SetupPageContent() {
             )}
 
             <div className="space-y-6 lg:space-y-8">
-              <div>
-                <label className="block text-white font-semibold mb-2 lg:mb-3 text-base lg:text-lg">
-                  Google Gemini API Key
-                </label>
-                <input
-                  type="password"
-                  placeholder="Enter your Gemini API key (optional)"
-                  value={geminiKey}
-                  onChange={(e) => setGeminiKey(e.target.value)}
-                  className="w-full p-4 lg:p-5 bg-white/10 border border-white/20 rounded-lg text-white text-base lg:text-lg placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <p className="text-white/50 text-xs lg:text-sm mt-2">
-                  Get your key from{' '}
-                  <a
-                    href="https://aistudio.google.com/apikey"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-400 hover:text-blue-300 underline"
-                  >
-                    Google AI Studio
-                  </a>
-                </p>
-              </div>
-
-              <div>
-                <label className="block text-white font-semibold mb-2 lg:mb-3 text-base lg:text-lg">
-                  OpenAI API Key
-                </label>
-                <input
-                  type="password"
-                  placeholder="Enter your OpenAI API key (optional)"
-                  value={openaiKey}
-                  onChange={(e) => setOpenaiKey(e.target.value)}
-                  className="w-full p-4 lg:p-5 bg-white/10 border border-white/20 rounded-lg text-white text-base lg:text-lg placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <p className="text-white/50 text-xs lg:text-sm mt-2">
-                  Get your key from{' '}
-                  <a
-                    href="https://platform.openai.com/api-keys"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-400 hover:text-blue-300 underline"
-                  >
-                    OpenAI Platform
-                  </a>
-                </p>
-              </div>
+              {PROVIDERS.map(renderProvider)}
 
               <div className="bg-blue-500/10 border border-blue-500/30 rounded-lg p-4 lg:p-5">
                 <p className="text-blue-200 text-sm lg:text-base">
-                  <strong>Privacy Notice:</strong> Your API keys are stored only in your browser&apos;s session storage.
-                  They are never sent to our servers for storage and will be cleared when you logout or close the browser.
+                  <strong>Privacy Notice:</strong> Your keys are encrypted with a server-side master key before they are stored.
+                  Only the first and last characters are ever shown again, and your browser never keeps a copy.
+                  Rotate a key to replace it, or delete it to remove it from the server.
                 </p>
               </div>
             </div>
 
             <div className="flex flex-col sm:flex-row gap-4 lg:gap-5 mt-8 lg:mt-10">
               <button
-                type="submit"
-                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white p-4 lg:p-5 rounded-lg text-base lg:text-lg font-semibold transition-all transform hover:scale-[1.02] active:scale-[0.98]"
+                type="button"
+                onClick={handleContinue}
+                disabled={!hasSavedKey(savedKeys)}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:hover:scale-100 text-white p-4 lg:p-5 rounded-lg text-base lg:text-lg font-semibold transition-all transform hover:scale-[1.02] active:scale-[0.98]"
               >
-                Save Keys
+                Continue
               </button>
               <button
                 type="button"
-                onClick={handleSkip}
+                onClick={handleContinue}
                 className="px-6 lg:px-8 bg-gray-700 hover:bg-gray-600 text-white p-4 lg:p-5 rounded-lg text-base lg:text-lg font-semibold transition-all"
               >
                 Skip
               </button>
             </div>
-          </form>
+          </div>
         </div>
       </div>
     </div>
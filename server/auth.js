@@ -0,0 +1,141 @@
+// Authentication for WebSocket upgrades and the API routes that spend credit.
+// The browser passes its Firebase ID token as the `token` query parameter
+// (WebSockets) or as an `Authorization: Bearer` header (HTTP); the request is
+// only served once a verifier has turned it into a user identity.
+//
+// A verifier is an async function: verifyToken(token) -> { uid, email }.
+// It must throw when the token is missing, expired or otherwise invalid.
+
+// Set by server.js on verified HTTP requests so API routes know the caller
+// (any client-supplied value is stripped first)
+const VERIFIED_UID_HEADER = 'x-verified-uid';
+
+function getBearerToken(request) {
+  const header = request.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Verifies tokens against Firebase Auth (only the project id is needed,
+// Google's public signing keys are fetched and cached by firebase-admin)
+function createFirebaseVerifier({ projectId }) {
+  if (!projectId) {
+    throw new Error('FIREBASE_PROJECT_ID (or NEXT_PUBLIC_FIREBASE_PROJECT_ID) is required to verify WebSocket connections');
+  }
+
+  const { initializeApp, getApps } = require('firebase-admin/app');
+  const { getAuth } = require('firebase-admin/auth');
+
+  const appName = 'ws-auth';
+  const app = getApps().find(existing => existing.name === appName) || initializeApp({ projectId }, appName);
+  const auth = getAuth(app);
+
+  return async function verifyFirebaseToken(token) {
+    if (!token) {
+      throw new Error('Missing ID token');
+    }
+    const decoded = await auth.verifyIdToken(token);
+    return { uid: decoded.uid, email: decoded.email };
+  };
+}
+
+// Local stand-in for tests and offline development: a fixed token -> uid table
+function createStaticVerifier(tokens) {
+  const table = new Map(Object.entries(tokens));
+
+  return async function verifyStaticToken(token) {
+    if (!token || !table.has(token)) {
+      throw new Error('Unknown token');
+    }
+    return { uid: table.get(token) };
+  };
+}
+
+// Parse "token1:uid1,token2:uid2"
+function parseStaticTokens(value = '') {
+  const tokens = {};
+  for (const pair of value.split(',')) {
+    const [token, uid] = pair.split(':').map(part => part && part.trim());
+    if (token && uid) {
+      tokens[token] = uid;
+    }
+  }
+  return tokens;
+}
+
+// Pick a verifier from WS_AUTH_VERIFIER ('firebase' by default, or 'static')
+function createTokenVerifier(env = process.env) {
+  const type = (env.WS_AUTH_VERIFIER || 'firebase').toLowerCase();
+
+  switch (type) {
+    case 'firebase':
+      return createFirebaseVerifier({
+        projectId: env.FIREBASE_PROJECT_ID || env.NEXT_PUBLIC_FIREBASE_PROJECT_ID
+      });
+    case 'static':
+      console.warn('[Auth] Using static WebSocket tokens (WS_AUTH_STATIC_TOKENS) - do not use in production');
+      return createStaticVerifier(parseStaticTokens(env.WS_AUTH_STATIC_TOKENS));
+    default:
+      throw new Error(`Unknown WS_AUTH_VERIFIER "${type}" (expected "firebase" or "static")`);
+  }
+}
+
+// HTTP step of server.js. Strips any client-supplied verified uid, then for the
+// given API routes verifies the Bearer token and sets the header, or answers 401.
+// Returns whether the request may go on to Next.js.
+function createApiAuthenticator({ verifyToken, routes }) {
+  return async function authenticateApiRequest(req, res, pathname) {
+    delete req.headers[VERIFIED_UID_HEADER];
+    if (!routes.has(pathname)) {
+      return true;
+    }
+
+    try {
+      const user = await verifyToken(getBearerToken(req));
+      req.headers[VERIFIED_UID_HEADER] = user.uid;
+      return true;
+    } catch (error) {
+      console.warn(`[Auth] Rejected ${pathname} request: ${error.message}`);
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Authentication required' }));
+      return false;
+    }
+  };
+}
+
+// Upgrade step of server.js: the user for the `token` query parameter, or null
+// after answering 401 and closing the socket
+async function authenticateUpgrade(verifyToken, socket, pathname, token) {
+  try {
+    return await verifyToken(token);
+  } catch (error) {
+    console.warn(`[Auth] Rejected ${pathname} connection: ${error.message}`);
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return null;
+  }
+}
+
+// Wraps an API route handler as handler(request, userId, ...rest). Requests
+// without the verified uid never reach it and get a 401: they did not come
+// through server.js's check (e.g. plain `next dev`).
+function withVerifiedUid(handler) {
+  return function handleVerifiedRequest(request, ...rest) {
+    const userId = request.headers.get(VERIFIED_UID_HEADER);
+    if (!userId) {
+      return Response.json({ error: 'Authentication required' }, { status: 401 });
+    }
+    return handler(request, userId, ...rest);
+  };
+}
+
+module.exports = {
+  VERIFIED_UID_HEADER,
+  getBearerToken,
+  createFirebaseVerifier,
+  createStaticVerifier,
+  parseStaticTokens,
+  createTokenVerifier,
+  createApiAuthenticator,
+  authenticateUpgrade,
+  withVerifiedUid
+};
@@ -0,0 +1,271 @@
+// Built-in local tools: current time, calculator, unit conversion and notes.
+// They run entirely on this server (no network calls), see server/tools.js.
+
+// --- Calculator -------------------------------------------------------------
+// A small recursive-descent parser; expressions are never passed to eval.
+//   expression := term (('+' | '-') term)*
+//   term       := power (('*' | '/' | '%') power)*
+//   power      := unary ('^' power)?
+//   unary      := ('-' | '+') unary | primary
+//   primary    := number | constant | function '(' expression ')' | '(' expression ')'
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp
+};
+const MAX_EXPRESSION_LENGTH = 500;
+
+function evaluateExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Expression is required');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = expression.toLowerCase().match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|\*\*|[-+*/%^()]|\S/g);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}"`);
+    }
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parsePower();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parsePower();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parsePower = () => {
+    const base = parseUnary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parsePower()); // Right-associative
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+    if (token in CONSTANTS) {
+      return CONSTANTS[token];
+    }
+    if (token in FUNCTIONS) {
+      expect('(');
+      const value = parseExpression();
+      expect(')');
+      return FUNCTIONS[token](value);
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+}
+
+// --- Unit conversion --------------------------------------------------------
+// Factors to each dimension's base unit (metre, kilogram, litre, metre/second, second)
+const UNITS = {
+  length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254 },
+  mass: { kg: 1, g: 0.001, mg: 0.000001, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+  volume: { l: 1, ml: 0.001, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444 },
+  time: { s: 1, min: 60, h: 3600, day: 86400, week: 604800 }
+};
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+  centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm',
+  mile: 'mi', miles: 'mi', yard: 'yd', yards: 'yd',
+  foot: 'ft', feet: 'ft', inch: 'in', inches: 'in',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg', gram: 'g', grams: 'g', milligram: 'mg', milligrams: 'mg',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', stone: 'st',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml',
+  gallon: 'gal', gallons: 'gal', quart: 'qt', quarts: 'qt', pint: 'pt', pints: 'pt', cups: 'cup',
+  'fl oz': 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+  kph: 'km/h', kmh: 'km/h', knot: 'kn', knots: 'kn', mps: 'm/s',
+  second: 's', seconds: 's', sec: 's', minute: 'min', minutes: 'min',
+  hour: 'h', hours: 'h', hr: 'h', days: 'day', weeks: 'week',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+const TEMPERATURE_TO_CELSIUS = {
+  c: value => value,
+  f: value => (value - 32) * 5 / 9,
+  k: value => value - 273.15
+};
+const TEMPERATURE_FROM_CELSIUS = {
+  c: value => value,
+  f: value => value * 9 / 5 + 32,
+  k: value => value + 273.15
+};
+
+const normalizeUnit = (unit) => {
+  const name = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[name] || name;
+};
+
+const findDimension = (unit) => Object.keys(UNITS).find(dimension => unit in UNITS[dimension]);
+
+function convertUnits(value, fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error('Value must be a number');
+  }
+
+  if (from in TEMPERATURE_TO_CELSIUS && to in TEMPERATURE_FROM_CELSIUS) {
+    return TEMPERATURE_FROM_CELSIUS[to](TEMPERATURE_TO_CELSIUS[from](value));
+  }
+
+  const dimension = findDimension(from);
+  if (!dimension) {
+    throw new Error(`Unknown unit "${fromUnit}"`);
+  }
+  if (!(to in UNITS[dimension])) {
+    throw new Error(`Cannot convert ${dimension} (${fromUnit}) to "${toUnit}"`);
+  }
+
+  return value * UNITS[dimension][from] / UNITS[dimension][to];
+}
+
+// Keep answers readable when spoken (no 0.30000000000000004)
+const tidy = (number) => parseFloat(number.toPrecision(12));
+
+// --- Tool definitions -------------------------------------------------------
+function createBuiltinTools({ noteStore }) {
+  return [
+    {
+      name: 'get_current_time',
+      description: 'Get the current date and time, optionally in a specific IANA time zone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timeZone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Paris". Defaults to the server time zone.' }
+        }
+      },
+      execute({ timeZone }) {
+        const now = new Date();
+        const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        let local;
+        try {
+          local = now.toLocaleString('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' });
+        } catch (error) {
+          throw new Error(`Unknown time zone "${timeZone}"`);
+        }
+        return { iso: now.toISOString(), timeZone: zone, local };
+      }
+    },
+    {
+      name: 'calculate',
+      description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'The expression, e.g. "(12.5 * 4) / 3"' }
+        },
+        required: ['expression']
+      },
+      execute({ expression }) {
+        return { expression, result: tidy(evaluateExpression(expression)) };
+      }
+    },
+    {
+      name: 'convert_units',
+      description: 'Convert a value between units of length, mass, volume, speed, time or temperature.',
+      parameters: {
+        type: 'object',
+        properties: {
+          value: { type: 'number', description: 'The value to convert' },
+          from: { type: 'string', description: 'Unit to convert from, e.g. "km", "lb", "°F"' },
+          to: { type: 'string', description: 'Unit to convert to, e.g. "mi", "kg", "°C"' }
+        },
+        required: ['value', 'from', 'to']
+      },
+      execute({ value, from, to }) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return { value: number, from, to, result: tidy(convertUnits(number, from, to)) };
+      }
+    },
+    {
+      name: 'save_note',
+      description: "Save a note to the user's history when they ask you to remember or write something down.",
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: 'The note text' },
+          title: { type: 'string', description: 'Optional short title' }
+        },
+        required: ['text']
+      },
+      execute({ text, title }, { userId }) {
+        if (!text || !String(text).trim()) {
+          throw new Error('Note text is required');
+        }
+        const { note, count } = noteStore.add(userId, { text, title });
+        return { saved: true, id: note.id, title: note.title, totalNotes: count };
+      }
+    }
+  ];
+}
+
+module.exports = { createBuiltinTools, evaluateExpression, convertUnits };
@@ -0,0 +1,15 @@
+// Time source for the rate limiters and cost ledger. Production code uses the
+// system clock; tests pass a fake one (test/helpers/fake-clock.js) so windows,
+// backoff and hourly resets can be stepped through without waiting.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+// Promise that resolves after ms on the given clock
+function sleep(clock, ms) {
+  return new Promise(resolve => clock.setTimeout(resolve, ms));
+}
+
+module.exports = { systemClock, sleep };
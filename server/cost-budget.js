@@ -0,0 +1,77 @@
+// Hourly spend budgets, checked before a priced provider call is made.
+// Spend comes from the shared cost ledger (server/cost-ledger.js). Each provider
+// has a per-user budget and a global one across all users; a call is refused
+// once the tighter of the two is spent.
+// OpenAI realtime sessions enforce the same budgets through their rate limiters
+// (which also carry the user's own setting from the settings page); this covers
+// /api/chat and Gemini, which have no cost-aware limiter.
+const { getCostLedger } = require('./cost-ledger');
+
+// USD per hour. The global budget defaults to the per-user one, like the limiters'.
+function costBudgetLimits(env = process.env) {
+  const openaiUser = parseFloat(env.OPENAI_MAX_COST_HOUR) || 0.30;
+  const geminiUser = parseFloat(env.GEMINI_MAX_COST_HOUR) || 1.00;
+
+  return {
+    openai: {
+      maxCostPerHour: openaiUser,
+      globalMaxCostPerHour: parseFloat(env.OPENAI_GLOBAL_MAX_COST_HOUR) || openaiUser
+    },
+    gemini: {
+      maxCostPerHour: geminiUser,
+      globalMaxCostPerHour: parseFloat(env.GEMINI_GLOBAL_MAX_COST_HOUR) || geminiUser
+    }
+  };
+}
+
+class CostBudget {
+  constructor({ costLedger, limits = costBudgetLimits() }) {
+    this.costLedger = costLedger;
+    this.limits = limits; // provider -> { maxCostPerHour, globalMaxCostPerHour }
+  }
+
+  // The tighter of the user's and the global budget, in the limiters' getStatus() shape
+  getStatus(provider, userId) {
+    const { maxCostPerHour, globalMaxCostPerHour } = this.limits[provider];
+    const user = this.bucketStatus(provider, userId, maxCostPerHour);
+    const global = this.bucketStatus(provider, undefined, globalMaxCostPerHour);
+
+    if (global.totalCostThisHour / global.maxCostPerHour > user.totalCostThisHour / user.maxCostPerHour) {
+      return { ...global, scope: 'global' };
+    }
+    return { ...user, scope: 'user' };
+  }
+
+  // The binding budget once it is spent, null while there is budget left
+  exhausted(provider, userId) {
+    const status = this.getStatus(provider, userId);
+    return status.totalCostThisHour >= status.maxCostPerHour ? status : null;
+  }
+
+  bucketStatus(provider, userId, maxCostPerHour) {
+    const { cost, resetTime } = this.costLedger.getSpend(provider, userId);
+    return {
+      totalCostThisHour: cost,
+      maxCostPerHour,
+      minutesUntilCostReset: Math.ceil((resetTime - this.costLedger.clock.now()) / 60000)
+    };
+  }
+}
+
+// Text for the cost_limit error, from an exhausted status
+function costLimitMessage(status) {
+  return `Hourly cost limit ($${status.maxCostPerHour}) reached. Resets in ${status.minutesUntilCostReset}min.`;
+}
+
+// One budget per process, over the shared ledger. Kept on globalThis for the
+// same reason as the ledger: /api/chat is bundled separately from server.js.
+const BUDGET_KEY = Symbol.for('ai-vision-app.costBudget');
+
+function getCostBudget() {
+  if (!globalThis[BUDGET_KEY]) {
+    globalThis[BUDGET_KEY] = new CostBudget({ costLedger: getCostLedger() });
+  }
+  return globalThis[BUDGET_KEY];
+}
+
+module.exports = { CostBudget, costBudgetLimits, costLimitMessage, getCostBudget };
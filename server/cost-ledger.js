@@ -0,0 +1,100 @@
+// Single hourly cost ledger for every provider call that costs money.
+// Realtime sessions, WebSocket chat and /api/chat all record their real token
+// usage here (priced by server/pricing.js); the OpenAI rate limiters and
+// server/cost-budget.js read spend from it to enforce the per-user and global
+// hourly budgets.
+const { calculateCost } = require('./pricing');
+const { systemClock } = require('./clock');
+
+const HOUR = 3600000;
+const GLOBAL = '*'; // Bucket holding every user's spend for a provider
+
+class CostLedger {
+  // clock: time source (server/clock.js); tests pass a fake one
+  constructor({ clock = systemClock } = {}) {
+    this.clock = clock;
+    this.buckets = new Map(); // `${provider}:${userId}` -> { cost, tokens, resetTime }
+  }
+
+  // Current-hour bucket (rolled over lazily, so no timers are needed)
+  getBucket(provider, userId = GLOBAL) {
+    const key = `${provider}:${userId}`;
+    const now = this.clock.now();
+    let bucket = this.buckets.get(key);
+
+    if (bucket && now >= bucket.resetTime) {
+      if (bucket.cost > 0 && userId === GLOBAL) {
+        console.log(`[Cost] ${provider} hourly usage reset. Previous hour: $${bucket.cost.toFixed(4)}, ${bucket.tokens} tokens`);
+      }
+      bucket = null;
+    }
+
+    if (!bucket) {
+      bucket = { cost: 0, tokens: 0, resetTime: now + HOUR };
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  // Record usage reported by a provider; returns the cost in USD
+  record({ provider, userId, model, tokens, source }) {
+    const cost = calculateCost(model, tokens);
+    const tokenCount = Object.values(tokens).reduce((sum, count) => sum + count, 0);
+
+    for (const bucket of [this.getBucket(provider, userId), this.getBucket(provider)]) {
+      bucket.cost += cost;
+      bucket.tokens += tokenCount;
+    }
+
+    console.log(`[Cost] ${provider} ${source} (${model}) user ${userId}: ${tokenCount} tokens, $${cost.toFixed(5)}`);
+    return cost;
+  }
+
+  // Spend this hour for one user, or for everyone when userId is omitted
+  getSpend(provider, userId) {
+    const bucket = this.getBucket(provider, userId);
+    return {
+      cost: bucket.cost,
+      tokens: bucket.tokens,
+      resetTime: bucket.resetTime
+    };
+  }
+
+  // Drop finished hours, mostly so idle users don't pile up
+  prune() {
+    const now = this.clock.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now >= bucket.resetTime) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  snapshot() {
+    this.prune();
+    return Object.fromEntries(this.buckets);
+  }
+
+  restore(snapshot) {
+    const now = this.clock.now();
+    for (const [key, bucket] of Object.entries(snapshot || {})) {
+      if (bucket.resetTime > now) {
+        this.buckets.set(key, { cost: bucket.cost || 0, tokens: bucket.tokens || 0, resetTime: bucket.resetTime });
+      }
+    }
+  }
+}
+
+// One ledger per process. Kept on globalThis because Next.js bundles API routes
+// separately, and /api/chat must record into the same ledger as server.js.
+const LEDGER_KEY = Symbol.for('ai-vision-app.costLedger');
+
+function getCostLedger() {
+  if (!globalThis[LEDGER_KEY]) {
+    globalThis[LEDGER_KEY] = new CostLedger();
+  }
+  return globalThis[LEDGER_KEY];
+}
+
+module.exports = { CostLedger, getCostLedger };
@@ -0,0 +1,162 @@
+// Round-robin request queue with priority classes.
+// Items are grouped by key (a connection id); shift() serves one item per key
+// in turn, so a connection with a long backlog can't starve the others.
+// Each item also has a priority: a class is only served once every more urgent
+// class is empty, so a burst of audio chunks or camera frames can't hold up
+// a setup message or a typed question.
+
+// Priority classes, most urgent first
+const PRIORITY = {
+  CONTROL: 0, // Session setup, tool responses, turn and response control
+  TEXT: 1, // Typed user messages
+  AUDIO: 2, // Microphone chunks
+  VIDEO: 3 // Camera frames
+};
+
+const DEFAULT_PRIORITY = PRIORITY.TEXT;
+
+// How long media stays worth sending. Older items are dropped from the queue
+// instead of spending a request on audio or a view the model is already past.
+const MAX_QUEUE_AGE_MS = {
+  [PRIORITY.AUDIO]: 15000,
+  [PRIORITY.VIDEO]: 10000
+};
+
+// Error code of the rejection for items dropped past their deadline
+const REQUEST_EXPIRED = 'REQUEST_EXPIRED';
+
+const PRIORITY_LEVELS = Object.values(PRIORITY).length;
+
+class FairQueue {
+  constructor() {
+    // One Map per priority; Map preserves insertion order, which doubles as
+    // the round-robin order
+    this.levels = Array.from({ length: PRIORITY_LEVELS }, () => new Map());
+    this.size = 0;
+  }
+
+  get length() {
+    return this.size;
+  }
+
+  // item.priority picks the class (DEFAULT_PRIORITY when unset)
+  push(key, item) {
+    const queues = this.levels[this.levelOf(item)];
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    queues.get(key).push(item);
+    this.size++;
+  }
+
+  shift() {
+    const queues = this.levels.find(level => level.size > 0);
+    if (!queues) {
+      return undefined;
+    }
+
+    const [key, items] = queues.entries().next().value;
+    const item = items.shift();
+    this.size--;
+
+    // Move this key to the back of the rotation
+    queues.delete(key);
+    if (items.length > 0) {
+      queues.set(key, items);
+    }
+
+    return item;
+  }
+
+  // Remove and return every item whose deadline is at or before now
+  removeExpired(now) {
+    const expired = [];
+    for (const queues of this.levels) {
+      for (const [key, items] of queues) {
+        const kept = items.filter(item => !(item.deadline && item.deadline <= now));
+        if (kept.length === items.length) {
+          continue;
+        }
+
+        expired.push(...items.filter(item => !kept.includes(item)));
+        if (kept.length > 0) {
+          queues.set(key, kept);
+        } else {
+          queues.delete(key);
+        }
+      }
+    }
+
+    this.size -= expired.length;
+    return expired;
+  }
+
+  // Number of items waiting for one key
+  lengthFor(key) {
+    return this.levels.reduce((sum, queues) => sum + (queues.has(key) ? queues.get(key).length : 0), 0);
+  }
+
+  levelOf(item) {
+    const priority = item.priority === undefined ? DEFAULT_PRIORITY : item.priority;
+    return Math.min(PRIORITY_LEVELS - 1, Math.max(0, priority));
+  }
+}
+
+// Deadline (epoch ms) for a request enqueued now, or null if it never goes stale.
+// Media gets MAX_QUEUE_AGE_MS unless options.maxAgeMs says otherwise.
+function requestDeadline({ priority = DEFAULT_PRIORITY, maxAgeMs = MAX_QUEUE_AGE_MS[priority], deadline } = {}, now) {
+  if (deadline !== undefined) {
+    return deadline;
+  }
+  return maxAgeMs ? now + maxAgeMs : null;
+}
+
+// Enqueue options for a forwarded client message (server/protocol.js).
+// Push-to-talk markers queue with the audio they delimit, so a commit can't
+// overtake the chunks before it, but never expire. Anything else not listed
+// (interrupts, ...) steers the session and is CONTROL.
+function messageQueueOptions(type) {
+  switch (type) {
+    case 'text':
+      return { priority: PRIORITY.TEXT };
+    case 'audio_chunk':
+      return { priority: PRIORITY.AUDIO };
+    case 'video_frame':
+      return { priority: PRIORITY.VIDEO };
+    case 'ptt_start':
+    case 'ptt_end':
+      return { priority: PRIORITY.AUDIO, maxAgeMs: 0 };
+    default:
+      return { priority: PRIORITY.CONTROL };
+  }
+}
+
+// Queue entry for a rate limiter request, from the enqueue options
+// ({ priority, maxAgeMs } or an absolute deadline)
+function createRequestItem(fields, options = {}, now) {
+  const priority = options.priority === undefined ? DEFAULT_PRIORITY : options.priority;
+  return { ...fields, priority, deadline: requestDeadline(options, now) };
+}
+
+// Reject queued requests that waited past their deadline; returns how many
+function dropExpiredRequests(queue, now) {
+  const expired = queue.removeExpired(now);
+  for (const { reject } of expired) {
+    const error = new Error('Request expired before it could be sent');
+    error.code = REQUEST_EXPIRED;
+    reject(error);
+  }
+  return expired.length;
+}
+
+module.exports = {
+  FairQueue,
+  PRIORITY,
+  DEFAULT_PRIORITY,
+  MAX_QUEUE_AGE_MS,
+  REQUEST_EXPIRED,
+  requestDeadline,
+  messageQueueOptions,
+  createRequestItem,
+  dropExpiredRequests
+};
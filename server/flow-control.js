@@ -0,0 +1,114 @@
+// Flow control between a ProxySession and its browser.
+// Messages that arrive before the provider is ready wait in a bounded
+// MessageBuffer, and the session periodically reports how backed up it is
+// (flow_control events) so the camera page can slow its frame rate and lower
+// JPEG quality instead of piling up work the rate limiter can't get through.
+
+const FLOW_REPORT_INTERVAL_MS = 2000;
+
+// Messages held while the provider connects. Only the newest camera frames are
+// worth sending late, so older ones are dropped first.
+const MAX_BUFFERED_MESSAGES = 200;
+const MAX_BUFFERED_FRAMES = 1;
+
+const isMedia = (data) => data.type === 'video_frame' || data.type === 'audio_chunk';
+
+class MessageBuffer {
+  constructor({ maxMessages = MAX_BUFFERED_MESSAGES, maxFrames = MAX_BUFFERED_FRAMES } = {}) {
+    this.maxMessages = maxMessages;
+    this.maxFrames = maxFrames;
+    this.messages = [];
+    this.frames = 0;
+  }
+
+  get length() {
+    return this.messages.length;
+  }
+
+  // Add a message; returns the message dropped to make room, or null.
+  // When the buffer is full of messages that can't be dropped (text, PTT),
+  // the new message itself is returned.
+  push(data) {
+    let dropped = null;
+
+    if (data.type === 'video_frame' && this.frames >= this.maxFrames) {
+      dropped = this.removeOldest(message => message.type === 'video_frame');
+    } else if (this.messages.length >= this.maxMessages) {
+      dropped = this.removeOldest(isMedia);
+      if (!dropped) {
+        return data;
+      }
+    }
+
+    this.messages.push(data);
+    if (data.type === 'video_frame') {
+      this.frames++;
+    }
+    return dropped;
+  }
+
+  removeOldest(predicate) {
+    const index = this.messages.findIndex(predicate);
+    if (index === -1) {
+      return null;
+    }
+    const [removed] = this.messages.splice(index, 1);
+    if (removed.type === 'video_frame') {
+      this.frames--;
+    }
+    return removed;
+  }
+
+  // Take every buffered message, oldest first
+  drain() {
+    const messages = this.messages;
+    this.messages = [];
+    this.frames = 0;
+    return messages;
+  }
+}
+
+// Requests this session can still make in the current minute, limited by both
+// the user's bucket and the provider-wide one (see server/limiter-pool.js)
+function limiterHeadroom(limiter) {
+  const status = limiter.getStatus();
+  const userRemaining = Math.max(0, limiter.requestsPerMinute - status.requestsLastMinute);
+  const globalRemaining = limiter.global && status.global
+    ? Math.max(0, limiter.global.requestsPerMinute - status.global.requestsLastMinute)
+    : userRemaining;
+
+  const headroom = {
+    requestsRemaining: Math.min(userRemaining, globalRemaining),
+    requestsPerMinute: limiter.requestsPerMinute,
+    backoffMs: status.backoffDelay
+  };
+
+  // OpenAI buckets also have an hourly budget
+  if (status.maxCostPerHour) {
+    headroom.budgetRemaining = Math.max(0, 1 - status.totalCostThisHour / status.maxCostPerHour);
+  }
+  return headroom;
+}
+
+// Body of a flow_control event for one session
+function flowReport(session) {
+  const limiter = session.rateLimiter;
+  const queued = limiter.user && limiter.user.queue.lengthFor
+    ? limiter.user.queue.lengthFor(session.connectionId)
+    : limiter.getStatus().queueLength;
+
+  return {
+    queueDepth: queued + session.messageBuffer.length,
+    framesDropped: session.framesDropped,
+    headroom: limiterHeadroom(limiter)
+  };
+}
+
+module.exports = {
+  FLOW_REPORT_INTERVAL_MS,
+  MAX_BUFFERED_MESSAGES,
+  MAX_BUFFERED_FRAMES,
+  MessageBuffer,
+  limiterHeadroom,
+  flowReport
+};
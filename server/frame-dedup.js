@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+
+// Near-duplicate camera frame detection.
+// Each frame is decoded on the server and reduced to a 64-bit perceptual hash
+// (dHash, 16 hex characters): the image is averaged down to 9x8 grayscale
+// pixels and every bit records whether a pixel is brighter than its right
+// neighbour, the same hash the camera page computes (app/lib/frame-change.js).
+// Frames whose hash is within the threshold of the last forwarded frame show
+// the same scene and are dropped before they cost a provider request.
+//
+// The hash a client sends with a frame is not trusted or needed here: every
+// client gets the same check. Frames that can't be decoded are only matched
+// byte for byte. Decoding a 640x480 frame takes a few tens of milliseconds,
+// which the client's own scene-change check and frame interval keep rare.
+
+// Fewer differing bits than this = same scene. Lower than the page's default
+// so a client that asked for more frames still gets most of them through.
+const DEFAULT_FRAME_CHANGE_THRESHOLD = 3;
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Camera frames are at most a few hundred kilobytes; refuse to decode
+// anything that would take more than this
+const DECODE_LIMITS = { maxResolutionInMP: 16, maxMemoryUsageInMB: 128 };
+
+// Number of bits that differ between two perceptual hashes
+function hashDistance(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (bits) {
+    distance += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return distance;
+}
+
+// dHash of a decoded RGB image ({ width, height, data })
+function imageHash({ width, height, data }) {
+  // Rec. 601 luma, averaged over the source pixels that fall in each cell
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * HASH_HEIGHT / height) * HASH_WIDTH;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.floor(x * HASH_WIDTH / width);
+      const i = (y * width + x) * 3;
+      sums[cell] += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      counts[cell]++;
+    }
+  }
+  const luma = Array.from(sums, (sum, cell) => sum / counts[cell]);
+
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let row = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      row = (row << 1) | (luma[index] > luma[index + 1] ? 1 : 0);
+    }
+    hash += row.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+// Perceptual hash of a base64 JPEG, or null when it can't be decoded
+function jpegHash(base64) {
+  try {
+    const image = jpeg.decode(Buffer.from(base64, 'base64'), { ...DECODE_LIMITS, useTArray: true, formatAsRGBA: false });
+    return image.width >= HASH_WIDTH && image.height >= HASH_HEIGHT ? imageHash(image) : null;
+  } catch {
+    return null;
+  }
+}
+
+// What a frame is compared by: a digest of its bytes, plus its perceptual hash
+// when it decodes. Byte-identical frames are caught without decoding.
+function frameSignature(data, previous = null) {
+  const digest = crypto.createHash('sha256').update(data.data).digest('hex');
+  if (previous && previous.digest === digest) {
+    return previous;
+  }
+  return { digest, hash: jpegHash(data.data) };
+}
+
+// Whether a frame shows the same scene as the previous one (null = no previous frame)
+function isDuplicateFrame(previous, current, threshold = DEFAULT_FRAME_CHANGE_THRESHOLD) {
+  if (!previous || threshold <= 0) {
+    return false;
+  }
+  if (previous.digest === current.digest) {
+    return true;
+  }
+  return !!previous.hash && !!current.hash && hashDistance(previous.hash, current.hash) < threshold;
+}
+
+module.exports = {
+  DEFAULT_FRAME_CHANGE_THRESHOLD,
+  hashDistance,
+  jpegHash,
+  frameSignature,
+  isDuplicateFrame
+};
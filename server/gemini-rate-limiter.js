@@ -0,0 +1,214 @@
+const { FairQueue, createRequestItem, dropExpiredRequests } = require('./fair-queue');
+const { systemClock, sleep } = require('./clock');
+
+// Rate limiting for Gemini free tier (2025 limits)
+// Free tier limits (Dec 2025):
+// - Gemini 2.5 Flash: 10 RPM, 20-250 RPD (recently reduced)
+// - Gemini 2.0 Flash: ~10 RPM, ~100-250 RPD
+// - Gemini 3 Pro Preview: ~5 RPM, ~100 RPD (preview model - stricter limits)
+class GeminiRateLimiter {
+  // clock: time source (server/clock.js); tests pass a fake one
+  constructor(requestsPerMinute = 8, requestsPerDay = 100, { clock = systemClock } = {}) { // Conservative defaults
+    this.clock = clock;
+    this.requestsPerMinute = requestsPerMinute;
+    this.requestsPerDay = requestsPerDay;
+    this.minuteWindow = [];
+    this.dayWindow = [];
+    this.queue = new FairQueue(); // Round-robin across connections
+    this.isProcessing = false;
+    this.backoffDelay = 0; // Exponential backoff delay in ms
+    this.backoffUntil = 0; // When the current backoff ends (epoch ms)
+    this.consecutiveErrors = 0;
+    this.expiredRequests = 0; // Media dropped from the queue past its deadline
+  }
+
+  // Stop pending timers (per-user limiters are discarded when idle)
+  dispose() {
+    this.clock.clearTimeout(this.backoffTimer);
+  }
+
+  // Check if we can make a request now
+  canMakeRequest() {
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+    const oneDayAgo = now - 86400000;
+
+    // Clean old entries
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+    this.dayWindow = this.dayWindow.filter(t => t > oneDayAgo);
+
+    // Check limits
+    const withinMinuteLimit = this.minuteWindow.length < this.requestsPerMinute;
+    const withinDayLimit = this.dayWindow.length < this.requestsPerDay;
+
+    return withinMinuteLimit && withinDayLimit && this.backoffDelay === 0;
+  }
+
+  // Get time until next request is allowed (in ms)
+  getWaitTime() {
+    if (this.backoffDelay > 0) {
+      return this.backoffDelay;
+    }
+
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+
+    // Clean old entries
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+
+    if (this.minuteWindow.length >= this.requestsPerMinute) {
+      // Calculate when the oldest request will age out
+      const oldestRequest = Math.min(...this.minuteWindow);
+      return Math.max(0, 60000 - (now - oldestRequest) + 100); // +100ms buffer
+    }
+
+    return 0;
+  }
+
+  // Record a successful request
+  recordRequest() {
+    const now = this.clock.now();
+    this.minuteWindow.push(now);
+    this.dayWindow.push(now);
+
+    // Reset backoff on success
+    if (this.consecutiveErrors > 0) {
+      console.log('Rate limit recovered, resetting backoff');
+      this.consecutiveErrors = 0;
+      this.backoffDelay = 0;
+      this.backoffUntil = 0;
+    }
+  }
+
+  // Handle rate limit error
+  handleRateLimitError() {
+    this.consecutiveErrors++;
+
+    // Exponential backoff: 2s, 4s, 8s, 16s, 32s (max)
+    const delay = Math.min(32000, Math.pow(2, this.consecutiveErrors) * 1000);
+
+    console.log(`Rate limit hit! Consecutive errors: ${this.consecutiveErrors}, Backing off for ${delay}ms`);
+
+    this.startBackoff(delay);
+  }
+
+  // Pause the queue for delay ms (backoffUntil lets a restart resume the pause)
+  startBackoff(delay) {
+    this.clock.clearTimeout(this.backoffTimer);
+    this.backoffDelay = delay;
+    this.backoffUntil = this.clock.now() + delay;
+
+    // Clear backoff after delay
+    this.backoffTimer = this.clock.setTimeout(() => {
+      console.log('Backoff period ended, resuming requests');
+      this.backoffDelay = 0;
+      this.backoffUntil = 0;
+      this.processQueue();
+    }, delay);
+  }
+
+  // Counters worth keeping across restarts
+  snapshot() {
+    return {
+      minuteWindow: this.minuteWindow,
+      dayWindow: this.dayWindow,
+      consecutiveErrors: this.consecutiveErrors,
+      backoffUntil: this.backoffUntil
+    };
+  }
+
+  restore(snapshot) {
+    const now = this.clock.now();
+    this.minuteWindow = (snapshot.minuteWindow || []).filter(t => t > now - 60000);
+    this.dayWindow = (snapshot.dayWindow || []).filter(t => t > now - 86400000);
+    this.consecutiveErrors = snapshot.consecutiveErrors || 0;
+
+    if (snapshot.backoffUntil > now) {
+      this.startBackoff(snapshot.backoffUntil - now);
+    }
+  }
+
+  // Change limits on a live limiter (per-user settings)
+  setLimits({ requestsPerMinute, requestsPerDay }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.requestsPerDay = requestsPerDay;
+    this.processQueue(); // Raised limits may unblock queued requests
+  }
+
+  // Add request to queue (key groups requests for fair round-robin processing).
+  // options: { priority, maxAgeMs } (see server/fair-queue.js); requests still
+  // queued past maxAgeMs are rejected with code REQUEST_EXPIRED without running.
+  async enqueueRequest(requestFn, errorCallback, key = 'default', options) {
+    return new Promise((resolve, reject) => {
+      this.queue.push(key, createRequestItem({ requestFn, resolve, reject, errorCallback }, options, this.clock.now()));
+      this.processQueue();
+    });
+  }
+
+  // Process queue with rate limiting
+  async processQueue() {
+    if (this.isProcessing || this.queue.length === 0) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    while (this.queue.length > 0) {
+      const expired = dropExpiredRequests(this.queue, this.clock.now());
+      if (expired > 0) {
+        this.expiredRequests += expired;
+        console.log(`Dropped ${expired} stale request(s) from the queue (Queue: ${this.queue.length})`);
+        continue;
+      }
+
+      if (!this.canMakeRequest()) {
+        const waitTime = this.getWaitTime();
+
+        if (waitTime > 0) {
+          console.log(`Rate limit: waiting ${waitTime}ms before next request (Queue: ${this.queue.length})`);
+          await sleep(this.clock, waitTime);
+          continue;
+        }
+      }
+
+      const { requestFn, resolve, reject, errorCallback } = this.queue.shift();
+
+      try {
+        this.recordRequest();
+        const result = await requestFn();
+        resolve(result);
+      } catch (error) {
+        if (errorCallback) {
+          errorCallback(error);
+        }
+        reject(error);
+      }
+
+      // Small delay between requests to avoid burst
+      await sleep(this.clock, 100);
+    }
+
+    this.isProcessing = false;
+  }
+
+  // Get current status
+  getStatus() {
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+    const oneDayAgo = now - 86400000;
+
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+    this.dayWindow = this.dayWindow.filter(t => t > oneDayAgo);
+
+    return {
+      requestsLastMinute: this.minuteWindow.length,
+      requestsToday: this.dayWindow.length,
+      queueLength: this.queue.length,
+      expiredRequests: this.expiredRequests,
+      backoffDelay: this.backoffDelay,
+      canMakeRequest: this.canMakeRequest()
+    };
+  }
+}
+
+module.exports = { GeminiRateLimiter };
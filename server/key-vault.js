@@ -0,0 +1,222 @@
+// Per-user provider API keys, encrypted at rest.
+// Users submit their Gemini/OpenAI keys once on the setup page (/api/keys);
+// they are stored AES-256-GCM encrypted with the server's KEY_VAULT_MASTER_KEY
+// and looked up by the verified uid whenever a WebSocket session, /api/chat or
+// /api/voice-preview needs one. The browser never keeps or resends a raw key,
+// and only masked keys are ever returned to it.
+// Stored in a JSON file (reusing the limiter store's atomic writes);
+// KEY_VAULT_STORE=memory keeps them in memory only.
+const crypto = require('crypto');
+const path = require('path');
+const { JsonFileStore, MemoryStore } = require('./limiter-store');
+
+const DEFAULT_VAULT_PATH = path.join(process.cwd(), '.data', 'api-keys.json');
+
+// Providers a key can be saved for, and the server-wide key each falls back to
+const KEY_PROVIDERS = {
+  gemini: 'GEMINI_API_KEY',
+  openai: 'OPENAI_API_KEY'
+};
+
+const MIN_KEY_LENGTH = 8;
+const MAX_KEY_LENGTH = 500;
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Error codes thrown by set(), for the API route to turn into a 400
+const UNKNOWN_PROVIDER = 'UNKNOWN_PROVIDER';
+const INVALID_API_KEY = 'INVALID_API_KEY';
+
+function vaultError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// 32 bytes, as 64 hex characters or base64 (e.g. `openssl rand -hex 32`)
+function parseMasterKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('KEY_VAULT_MASTER_KEY must be 32 bytes, hex or base64 encoded (e.g. `openssl rand -hex 32`)');
+  }
+  return key;
+}
+
+// Enough of a key to recognise it: "AIza…x9Qk", "sk-p…3fA1"
+function maskApiKey(apiKey) {
+  return apiKey.length < 12 ? '••••' : `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}`;
+}
+
+class KeyVault {
+  constructor(store, masterKey) {
+    this.store = store;
+    this.masterKey = masterKey;
+    // userId -> { provider: { iv, tag, data, masked, updatedAt } }
+    this.entries = this.store.load() || {};
+    this.isSaving = false;
+    this.pendingSave = false;
+  }
+
+  // Save or replace (rotate) a user's key; returns the masked summary
+  set(userId, provider, apiKey) {
+    if (!Object.prototype.hasOwnProperty.call(KEY_PROVIDERS, provider)) {
+      throw vaultError(UNKNOWN_PROVIDER, `Unknown provider "${provider}" (expected ${Object.keys(KEY_PROVIDERS).join(' or ')})`);
+    }
+
+    const key = typeof apiKey === 'string' ? apiKey.trim() : '';
+    if (key.length < MIN_KEY_LENGTH || key.length > MAX_KEY_LENGTH || /\s/.test(key)) {
+      throw vaultError(INVALID_API_KEY, `API key must be ${MIN_KEY_LENGTH}-${MAX_KEY_LENGTH} characters without spaces`);
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, this.masterKey, iv);
+    // Bound to its owner, so a ciphertext copied to another user's entry won't decrypt
+    cipher.setAAD(this.associatedData(userId, provider));
+    const data = Buffer.concat([cipher.update(key, 'utf8'), cipher.final()]);
+
+    const entry = {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      masked: maskApiKey(key),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.entries[userId] = { ...this.entries[userId], [provider]: entry };
+    this.persist();
+    return this.summarize(entry);
+  }
+
+  // The decrypted key, or null when none is saved (or it can't be decrypted)
+  get(userId, provider) {
+    const entry = this.entries[userId] && this.entries[userId][provider];
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.masterKey, Buffer.from(entry.iv, 'base64'));
+      decipher.setAAD(this.associatedData(userId, provider));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      // Usually a changed KEY_VAULT_MASTER_KEY; the user has to save the key again
+      console.error(`[Key Vault] Failed to decrypt ${provider} key for user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  // The user's saved key, else the server's own from the environment.
+  // Only for a verified uid: without one there is no key, not the server's
+  resolve(userId, provider, env = process.env) {
+    if (!userId) {
+      return null;
+    }
+    return this.get(userId, provider) || env[KEY_PROVIDERS[provider]] || null;
+  }
+
+  // Returns whether there was a key to delete
+  delete(userId, provider) {
+    if (!this.entries[userId] || !this.entries[userId][provider]) {
+      return false;
+    }
+
+    delete this.entries[userId][provider];
+    if (Object.keys(this.entries[userId]).length === 0) {
+      delete this.entries[userId];
+    }
+    this.persist();
+    return true;
+  }
+
+  // Masked keys for the setup page: { gemini: { masked, updatedAt } | null, openai: ... }
+  list(userId) {
+    const userEntries = this.entries[userId] || {};
+    return Object.fromEntries(Object.keys(KEY_PROVIDERS).map(provider => [
+      provider,
+      userEntries[provider] ? this.summarize(userEntries[provider]) : null
+    ]));
+  }
+
+  summarize({ masked, updatedAt }) {
+    return { masked, updatedAt };
+  }
+
+  associatedData(userId, provider) {
+    return Buffer.from(`${userId}\n${provider}`, 'utf8');
+  }
+
+  // Write in the background; saves requested mid-write are coalesced into one more write
+  async persist() {
+    if (this.isSaving) {
+      this.pendingSave = true;
+      return;
+    }
+
+    this.isSaving = true;
+    try {
+      do {
+        this.pendingSave = false;
+        await this.store.save(this.entries);
+      } while (this.pendingSave);
+    } catch (error) {
+      console.error('[Key Vault] Failed to save keys:', error.message);
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  // Write now, blocking; for shutdown, when a background write would never finish
+  persistSync() {
+    try {
+      this.store.saveSync(this.entries);
+    } catch (error) {
+      console.error('[Key Vault] Failed to save keys:', error.message);
+    }
+  }
+}
+
+// Pick a backing store from KEY_VAULT_STORE ('json' by default, or 'memory').
+// Without KEY_VAULT_MASTER_KEY keys are encrypted with a random per-process key
+// and kept in memory, so users have to enter them again after a restart.
+function createKeyVault(env = process.env) {
+  if (!env.KEY_VAULT_MASTER_KEY) {
+    console.warn('[Key Vault] KEY_VAULT_MASTER_KEY is not set - saved API keys are kept in memory and lost on restart');
+    return new KeyVault(new MemoryStore(), crypto.randomBytes(32));
+  }
+
+  const masterKey = parseMasterKey(env.KEY_VAULT_MASTER_KEY);
+  const type = (env.KEY_VAULT_STORE || 'json').toLowerCase();
+
+  switch (type) {
+    case 'json':
+      return new KeyVault(new JsonFileStore(env.KEY_VAULT_STORE_PATH || DEFAULT_VAULT_PATH), masterKey);
+    case 'memory':
+      return new KeyVault(new MemoryStore(), masterKey);
+    default:
+      throw new Error(`Unknown KEY_VAULT_STORE "${type}" (expected "json" or "memory")`);
+  }
+}
+
+// One vault per process. Kept on globalThis because Next.js bundles API routes
+// separately, and /api/keys must write to the vault server.js reads from.
+const VAULT_KEY = Symbol.for('ai-vision-app.keyVault');
+
+function getKeyVault() {
+  if (!globalThis[VAULT_KEY]) {
+    globalThis[VAULT_KEY] = createKeyVault();
+  }
+  return globalThis[VAULT_KEY];
+}
+
+module.exports = {
+  KeyVault,
+  KEY_PROVIDERS,
+  UNKNOWN_PROVIDER,
+  INVALID_API_KEY,
+  maskApiKey,
+  parseMasterKey,
+  createKeyVault,
+  getKeyVault
+};
@@ -0,0 +1,186 @@
+const { requestDeadline } = require('./fair-queue');
+
+// Per-user rate limiter buckets with a shared global ceiling.
+// Each user gets their own limiter (RPM, RPD and, for OpenAI, an hourly budget
+// checked against the cost ledger);
+// every request must also pass the provider-wide global limiter.
+
+// Keep idle buckets for a day so reconnecting can't reset a daily quota
+const DEFAULT_IDLE_TIMEOUT = 86400000;
+
+class LimiterPool {
+  // defaultLimits: limits for users who don't send their own
+  // maxLimits: admin ceiling for user-supplied limits (only these fields are accepted)
+  constructor({ name, createLimiter, globalLimiter, defaultLimits, maxLimits, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT }) {
+    this.name = name;
+    this.createLimiter = createLimiter;
+    this.globalLimiter = globalLimiter;
+    this.defaultLimits = defaultLimits;
+    this.maxLimits = maxLimits;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.users = new Map(); // userId -> { limiter, connections, lastUsed }
+
+    // Drop buckets nobody has used for a while
+    this.sweepTimer = setInterval(() => this.sweep(), 3600000);
+  }
+
+  getEntry(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, {
+        limiter: this.createLimiter(this.defaultLimits, userId),
+        connections: 0,
+        lastUsed: Date.now()
+      });
+    }
+    return this.users.get(userId);
+  }
+
+  // Limiter for one connection of one user
+  acquire(userId, connectionId) {
+    const entry = this.getEntry(userId);
+    entry.connections++;
+    entry.lastUsed = Date.now();
+    return new ScopedLimiter(entry.limiter, this.globalLimiter, userId, connectionId);
+  }
+
+  // Apply limits requested by the client (from the settings page) to a user's bucket.
+  // Invalid values fall back to the defaults, values above the admin maximum are capped.
+  // Returns the applied limits and the names of any fields that were capped.
+  setUserLimits(userId, requested) {
+    const limits = { ...this.defaultLimits };
+    const capped = [];
+
+    for (const [field, max] of Object.entries(this.maxLimits)) {
+      if (!requested || requested[field] === undefined) {
+        continue;
+      }
+
+      const value = Number(requested[field]);
+      if (!Number.isFinite(value) || value <= 0) {
+        console.warn(`[${this.name} Limiter] Ignoring invalid ${field} from user ${userId}:`, requested[field]);
+        continue;
+      }
+
+      if (value > max) {
+        limits[field] = max;
+        capped.push(field);
+      } else {
+        limits[field] = value;
+      }
+    }
+
+    this.getEntry(userId).limiter.setLimits(limits);
+    return { limits, capped };
+  }
+
+  release(userId) {
+    const entry = this.users.get(userId);
+    if (entry) {
+      entry.connections = Math.max(0, entry.connections - 1);
+      entry.lastUsed = Date.now();
+    }
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    for (const [userId, entry] of this.users) {
+      if (entry.connections === 0 && entry.lastUsed < cutoff && entry.limiter.queue.length === 0) {
+        entry.limiter.dispose();
+        this.users.delete(userId);
+      }
+    }
+  }
+
+  // Global and per-user counters, for persisting across restarts
+  snapshot() {
+    const users = {};
+    for (const [userId, entry] of this.users) {
+      users[userId] = { lastUsed: entry.lastUsed, limiter: entry.limiter.snapshot() };
+    }
+    return { global: this.globalLimiter.snapshot(), users };
+  }
+
+  restore(snapshot) {
+    if (snapshot.global) {
+      this.globalLimiter.restore(snapshot.global);
+    }
+
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    for (const [userId, saved] of Object.entries(snapshot.users || {})) {
+      if (saved.lastUsed < cutoff) {
+        continue; // Would be swept anyway
+      }
+      const entry = this.getEntry(userId);
+      entry.lastUsed = saved.lastUsed;
+      entry.limiter.restore(saved.limiter);
+    }
+
+    console.log(`[${this.name} Limiter] Restored counters for ${this.users.size} user(s)`);
+  }
+
+  getStatus() {
+    const entries = Array.from(this.users.values());
+    return {
+      global: this.globalLimiter.getStatus(),
+      users: this.users.size,
+      activeUsers: entries.filter(entry => entry.connections > 0).length,
+      // Requests waiting in users' own queues (not yet handed to the global queue)
+      queuedRequests: entries.reduce((sum, entry) => sum + entry.limiter.queue.length, 0),
+      // Stale media dropped from users' queues (see server/fair-queue.js)
+      expiredRequests: entries.reduce((sum, entry) => sum + entry.limiter.expiredRequests, 0),
+      usersInBackoff: entries.filter(entry => entry.limiter.backoffDelay > 0).length
+    };
+  }
+}
+
+// The limiter handed to adapters: the user's bucket, capped by the global one
+class ScopedLimiter {
+  constructor(userLimiter, globalLimiter, userId, connectionId) {
+    this.user = userLimiter;
+    this.global = globalLimiter;
+    this.userId = userId;
+    this.connectionId = connectionId;
+  }
+
+  get requestsPerMinute() {
+    return this.user.requestsPerMinute;
+  }
+
+  get requestsPerDay() {
+    return this.user.requestsPerDay;
+  }
+
+  // Queue fairly per connection in the user's bucket, then per user in the global one.
+  // The user queue runs one request at a time, so each user holds at most one
+  // slot in the global queue and heavy users can't crowd out everyone else.
+  // options ({ priority, maxAgeMs }, see server/fair-queue.js) apply in both
+  // queues, with one deadline counted from now.
+  enqueueRequest(requestFn, errorCallback, options = {}) {
+    const queued = { ...options, deadline: requestDeadline(options, this.user.clock.now()) };
+    return this.user.enqueueRequest(
+      () => this.global.enqueueRequest(requestFn, undefined, this.userId, queued),
+      errorCallback,
+      this.connectionId,
+      queued
+    );
+  }
+
+  // Provider 429s are tied to the API key in use, i.e. to this user
+  handleRateLimitError() {
+    this.user.handleRateLimitError();
+  }
+
+  getStatus() {
+    const status = this.user.getStatus();
+    const globalStatus = this.global.getStatus();
+
+    return {
+      ...status,
+      canMakeRequest: status.canMakeRequest && globalStatus.canMakeRequest,
+      backoffDelay: Math.max(status.backoffDelay, globalStatus.backoffDelay),
+      global: globalStatus
+    };
+  }
+}
+
+module.exports = { LimiterPool, ScopedLimiter };
@@ -0,0 +1,79 @@
+// Persistence for rate limiter and cost counters.
+// Without it a restart wipes every minute/day window, backoff and hourly cost
+// ledger, so a crash loop (or a deploy) would hand out fresh quota.
+//
+// A store is any object with:
+//   load()              -> snapshot object, or null when nothing is saved
+//   save(snapshot)      -> Promise, used for periodic flushes
+//   saveSync(snapshot)  -> used on shutdown, when the event loop is going away
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), '.data', 'rate-limits.json');
+
+// Local JSON file. Writes go to a temp file first and are renamed into place
+// so a crash mid-write can't leave a truncated snapshot behind.
+class JsonFileStore {
+  constructor(filePath = DEFAULT_STORE_PATH) {
+    this.filePath = filePath;
+    this.tempPath = `${filePath}.tmp`;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Limiter Store] Failed to read ${this.filePath}, starting with empty counters:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(snapshot) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(this.tempPath, this.filePath);
+  }
+
+  saveSync(snapshot) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.tempPath, JSON.stringify(snapshot));
+    fs.renameSync(this.tempPath, this.filePath);
+  }
+}
+
+// No persistence (counters reset on restart, the old behaviour)
+class MemoryStore {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  load() {
+    return this.snapshot;
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+
+  saveSync(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
+// Pick a store from RATE_LIMIT_STORE ('json' by default, or 'memory')
+function createLimiterStore(env = process.env) {
+  const type = (env.RATE_LIMIT_STORE || 'json').toLowerCase();
+
+  switch (type) {
+    case 'json':
+      return new JsonFileStore(env.RATE_LIMIT_STORE_PATH || DEFAULT_STORE_PATH);
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected "json" or "memory")`);
+  }
+}
+
+module.exports = { JsonFileStore, MemoryStore, createLimiterStore };
@@ -0,0 +1,42 @@
+// Per-model request and error counters for the status endpoint.
+// Counted by ProxySession (forwarded client messages, upstream errors), the
+// provider adapters (provider error events, rate limits, chat failures) and /api/chat.
+class Metrics {
+  constructor() {
+    this.startTime = Date.now();
+    this.models = new Map(); // `${provider}:${model}` -> { provider, model, requests, errors }
+  }
+
+  entry(provider, model) {
+    const key = `${provider}:${model}`;
+    if (!this.models.has(key)) {
+      this.models.set(key, { provider, model, requests: 0, errors: 0 });
+    }
+    return this.models.get(key);
+  }
+
+  countRequest(provider, model = 'unknown') {
+    this.entry(provider, model).requests++;
+  }
+
+  countError(provider, model = 'unknown') {
+    this.entry(provider, model).errors++;
+  }
+
+  getModelCounts() {
+    return Array.from(this.models.values()).map(counts => ({ ...counts }));
+  }
+}
+
+// One instance per process, on globalThis so the separately bundled
+// /api/chat route counts into the same place as server.js
+const METRICS_KEY = Symbol.for('ai-vision-app.metrics');
+
+function getMetrics() {
+  if (!globalThis[METRICS_KEY]) {
+    globalThis[METRICS_KEY] = new Metrics();
+  }
+  return globalThis[METRICS_KEY];
+}
+
+module.exports = { Metrics, getMetrics };
@@ -0,0 +1,590 @@
+// Offline stand-in for the Gemini and OpenAI APIs, for development and tests.
+// It speaks enough of each protocol for the adapters and /api/chat:
+//
+// - Gemini Live (BidiGenerateContent) WebSocket
+// - Gemini generateContent / streamGenerateContent (REST, SSE)
+// - OpenAI Realtime WebSocket
+// - OpenAI chat completions (plain and streamed)
+//
+// Every user turn gets a canned reply unless a script rule says otherwise.
+// Rules can make a turn close the socket (e.g. 1011 quota, 1008 rate limit),
+// send a provider error, answer an HTTP request with a status such as 429,
+// or reply with fixed text. See MockScript below and the README.
+//
+// Run it with `npm run mock-providers` and point the app at it with
+// GEMINI_BASE_URL / OPENAI_BASE_URL (see server/provider-urls.js).
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { GEMINI_LIVE_PATH } = require('./provider-urls');
+
+const DEFAULT_PORT = 8787;
+const OPENAI_REALTIME_PATH = '/v1/realtime';
+
+// Server VAD stand-in: this many appended audio chunks (~100ms each) make one turn
+const OPENAI_VAD_CHUNKS_PER_TURN = 10;
+// Gemini audio arrives as ~1s recordings; this many make one turn when automatic detection is on
+const GEMINI_AUDIO_CHUNKS_PER_TURN = 3;
+// Gap between streamed events, so a response can be cancelled part way
+const STREAM_STEP_MS = 20;
+const REPLY_AUDIO_MS = 300;
+const MOCK_TRANSCRIPT = '(mock transcript)';
+
+// Inline directives let a manual tester script a turn from the chat box,
+// e.g. "hello [mock:close:1011]", "[mock:status:429]" or "[mock:error]"
+const DIRECTIVE_RE = /\[mock:(close|status|error)(?::(\d+))?\]/;
+
+const estimateTokens = (text) => Math.max(1, Math.ceil((text || '').length / 4));
+const silence = (ms, sampleRate = 24000) => Buffer.alloc(Math.round(sampleRate * ms / 1000) * 2).toString('base64');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split a reply into a few pieces for streaming
+const splitReply = (text) => {
+  const words = text.split(' ');
+  const pieces = [];
+  for (let i = 0; i < words.length; i += 4) {
+    pieces.push((i > 0 ? ' ' : '') + words.slice(i, i + 4).join(' '));
+  }
+  return pieces;
+};
+
+// Scripted behaviour. A rule:
+//   { on: 'connect' | 'turn' | 'chat', provider?: 'gemini' | 'openai',
+//     match?: 'substring of the user text', times?: 1,
+//     close?: { code, reason }, status?: 429, error?: 'message', code?: 'error_code',
+//     reply?: 'text', delayMs?: 0 }
+// The first matching rule is used; it is dropped once it has been used `times` times.
+class MockScript {
+  constructor(rules = []) {
+    this.rules = [];
+    rules.forEach(rule => this.add(rule));
+  }
+
+  add(rule) {
+    this.rules.push({ times: 1, ...rule });
+    return this;
+  }
+
+  reset() {
+    this.rules = [];
+  }
+
+  take(provider, on, text = '') {
+    const index = this.rules.findIndex(rule => rule.on === on &&
+      (!rule.provider || rule.provider === provider) &&
+      (!rule.match || text.includes(rule.match)));
+
+    if (index === -1) {
+      return parseDirective(text);
+    }
+
+    const rule = this.rules[index];
+    rule.times--;
+    if (rule.times <= 0) {
+      this.rules.splice(index, 1);
+    }
+    return rule;
+  }
+}
+
+function parseDirective(text) {
+  const match = DIRECTIVE_RE.exec(text || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, kind, value] = match;
+  if (kind === 'close') {
+    return { close: { code: parseInt(value, 10) || 1011, reason: 'Mock close' } };
+  }
+  if (kind === 'status') {
+    return { status: parseInt(value, 10) || 429 };
+  }
+  return { error: 'Mock provider error' };
+}
+
+const defaultReply = (provider, text) => {
+  return text ? `Mock ${provider} reply to: ${text}` : `Mock ${provider} reply to your audio`;
+};
+
+// Error bodies in each provider's format
+const HTTP_ERRORS = {
+  400: ['INVALID_ARGUMENT', 'invalid_request_error'],
+  401: ['UNAUTHENTICATED', 'invalid_api_key'],
+  429: ['RESOURCE_EXHAUSTED', 'rate_limit_exceeded'],
+  500: ['INTERNAL', 'server_error'],
+  503: ['UNAVAILABLE', 'server_error']
+};
+
+const errorBody = (provider, status, message) => {
+  const [geminiStatus, openaiCode] = HTTP_ERRORS[status] || HTTP_ERRORS[500];
+  if (provider === 'gemini') {
+    return { error: { code: status, message, status: geminiStatus } };
+  }
+  return { error: { message, type: openaiCode, code: openaiCode } };
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Text of the last user message in an OpenAI chat request
+const openaiUserText = (messages = []) => {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || []).filter(part => part.type === 'text').map(part => part.text).join(' ');
+};
+
+// Text of the last user turn in a Gemini request
+const geminiUserText = (contents = []) => {
+  const last = [...contents].reverse().find(content => content.role !== 'model');
+  return (last?.parts || []).filter(part => part.text).map(part => part.text).join(' ');
+};
+
+function createMockProviderServer({ script = new MockScript() } = {}) {
+  const requests = []; // Everything the app sent, for assertions in tests
+  const resumptionHandles = new Set(); // Gemini Live handles this server issued
+  let handleCounter = 0;
+
+  const log = (provider, kind, body) => {
+    requests.push({ provider, kind, body, at: Date.now() });
+  };
+
+  // ---- REST ----
+
+  const handleOpenAIChat = async (req, res) => {
+    const body = await readJson(req);
+    log('openai', 'chat', body);
+    const text = openaiUserText(body.messages);
+    const rule = script.take('openai', 'chat', text);
+
+    if (rule?.delayMs) await sleep(rule.delayMs);
+    if (rule?.status) {
+      sendJson(res, rule.status, errorBody('openai', rule.status, rule.error || `Mock HTTP ${rule.status}`),
+        rule.status === 429 ? { 'retry-after': '1' } : {});
+      return;
+    }
+
+    const reply = rule?.reply || defaultReply('openai', text);
+    const id = `chatcmpl-mock-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const usage = {
+      prompt_tokens: estimateTokens(JSON.stringify(body.messages)),
+      completion_tokens: estimateTokens(reply),
+      total_tokens: 0
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (!body.stream) {
+      sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+        usage
+      });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const chunk = (choices, extra = {}) => {
+      res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: body.model, choices, ...extra })}\n\n`);
+    };
+    for (const piece of splitReply(reply)) {
+      chunk([{ index: 0, delta: { content: piece }, finish_reason: null }]);
+      await sleep(STREAM_STEP_MS);
+    }
+    chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]);
+    if (body.stream_options?.include_usage) {
+      chunk([], { usage });
+    }
+    res.end('data: [DONE]\n\n');
+  };
+
+  const handleGeminiGenerate = async (req, res, model, stream) => {
+    const body = await readJson(req);
+    log('gemini', 'chat', { model, ...body });
+    const text = geminiUserText(body.contents);
+    const rule = script.take('gemini', 'chat', text);
+
+    if (rule?.delayMs) await sleep(rule.delayMs);
+    if (rule?.status) {
+      sendJson(res, rule.status, errorBody('gemini', rule.status, rule.error || `Mock HTTP ${rule.status}`));
+      return;
+    }
+
+    const reply = rule?.reply || defaultReply('gemini', text);
+    const usageMetadata = {
+      promptTokenCount: estimateTokens(JSON.stringify(body.contents)),
+      candidatesTokenCount: estimateTokens(reply)
+    };
+    usageMetadata.totalTokenCount = usageMetadata.promptTokenCount + usageMetadata.candidatesTokenCount;
+
+    const candidate = (partText, finishReason) => ({
+      candidates: [{ index: 0, content: { role: 'model', parts: [{ text: partText }] }, ...(finishReason && { finishReason }) }]
+    });
+
+    if (!stream) {
+      sendJson(res, 200, { ...candidate(reply, 'STOP'), usageMetadata });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const pieces = splitReply(reply);
+    for (let i = 0; i < pieces.length; i++) {
+      const last = i === pieces.length - 1;
+      res.write(`data: ${JSON.stringify({ ...candidate(pieces[i], last ? 'STOP' : undefined), ...(last && { usageMetadata }) })}\r\n\r\n`);
+      await sleep(STREAM_STEP_MS);
+    }
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+        await handleOpenAIChat(req, res);
+        return;
+      }
+
+      const geminiMatch = /^\/v1(?:beta|alpha)?\/models\/([^/:]+):(generateContent|streamGenerateContent)$/.exec(url.pathname);
+      if (req.method === 'POST' && geminiMatch) {
+        await handleGeminiGenerate(req, res, geminiMatch[1], geminiMatch[2] === 'streamGenerateContent');
+        return;
+      }
+
+      sendJson(res, 404, { error: { message: `Mock provider has no route for ${req.method} ${url.pathname}` } });
+    } catch (error) {
+      console.error('[Mock] Request failed:', error);
+      sendJson(res, 500, { error: { message: error.message } });
+    }
+  });
+
+  // ---- Gemini Live ----
+
+  const handleGeminiLive = (ws) => {
+    const state = { setup: null, audioChunks: 0 };
+    const send = (message) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+
+    // Session resumption: a fresh handle after setup and after every turn
+    const sendResumptionHandle = () => {
+      if (!state.setup?.session_resumption) return;
+      const newHandle = `mock-handle-${++handleCounter}`;
+      resumptionHandles.add(newHandle);
+      send({ sessionResumptionUpdate: { newHandle, resumable: true } });
+    };
+
+    const respond = async (text) => {
+      const rule = script.take('gemini', 'turn', text);
+      if (rule?.delayMs) await sleep(rule.delayMs);
+      if (rule?.close) {
+        ws.close(rule.close.code, rule.close.reason || '');
+        return;
+      }
+      if (rule?.error) {
+        send({ error: { code: 400, message: rule.error } });
+        return;
+      }
+
+      const reply = rule?.reply || defaultReply('gemini', text);
+      const modalities = state.setup?.generation_config?.response_modalities || ['TEXT'];
+
+      if (modalities.includes('AUDIO')) {
+        send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: silence(REPLY_AUDIO_MS) } }] } } });
+        send({ serverContent: { outputTranscription: { text: reply } } });
+      } else {
+        send({ serverContent: { modelTurn: { parts: [{ text: reply }] } } });
+      }
+      await sleep(STREAM_STEP_MS);
+      send({
+        serverContent: { turnComplete: true },
+        usageMetadata: { promptTokenCount: estimateTokens(text), responseTokenCount: estimateTokens(reply), totalTokenCount: estimateTokens(text) + estimateTokens(reply) }
+      });
+      sendResumptionHandle();
+    };
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        ws.close(1007, 'Invalid JSON');
+        return;
+      }
+      log('gemini', 'live', message);
+
+      if (message.setup) {
+        const handle = message.setup.session_resumption?.handle;
+        if (handle && !resumptionHandles.has(handle)) {
+          ws.close(1007, 'Invalid session resumption handle');
+          return;
+        }
+        state.setup = message.setup;
+        send({ setupComplete: {} });
+        sendResumptionHandle();
+      } else if (message.client_content) {
+        // turn_complete: false only adds context (e.g. replayed history)
+        if (message.client_content.turn_complete === false) return;
+        const parts = message.client_content.turn?.parts || message.client_content.turns?.flatMap(turn => turn.parts) || [];
+        respond(parts.filter(part => part.text).map(part => part.text).join(' '));
+      } else if (message.tool_response) {
+        respond('');
+      } else if (message.realtime_input) {
+        const input = message.realtime_input;
+        const automatic = !state.setup?.realtime_input_config?.automatic_activity_detection?.disabled;
+
+        if (input.activity_start) {
+          state.audioChunks = 0;
+        } else if (input.activity_end) {
+          state.audioChunks = 0;
+          respond('');
+        } else if ((input.media_chunks || []).some(chunk => chunk.mime_type?.startsWith('audio/'))) {
+          state.audioChunks++;
+          if (automatic && state.audioChunks >= GEMINI_AUDIO_CHUNKS_PER_TURN) {
+            state.audioChunks = 0;
+            if (state.setup?.input_audio_transcription) {
+              send({ serverContent: { inputTranscription: { text: MOCK_TRANSCRIPT } } });
+            }
+            respond('');
+          }
+        }
+      }
+    });
+  };
+
+  // ---- OpenAI Realtime ----
+
+  const handleOpenAIRealtime = (ws, model) => {
+    let counter = 0;
+    const nextId = (prefix) => `${prefix}_mock${++counter}`;
+    const state = {
+      session: { id: nextId('sess'), model, modalities: ['text', 'audio'], turn_detection: { type: 'server_vad' } },
+      audioChunks: 0,
+      lastUserText: '',
+      response: null // { id, cancelled }
+    };
+    const send = (event) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ event_id: nextId('event'), ...event }));
+    const sendError = (message, code = null) => send({ type: 'error', error: { type: 'invalid_request_error', code, message } });
+
+    const finishUserAudio = () => {
+      const itemId = nextId('item');
+      send({ type: 'input_audio_buffer.committed', item_id: itemId });
+      send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: MOCK_TRANSCRIPT });
+      state.audioChunks = 0;
+    };
+
+    const respond = async (text) => {
+      const rule = script.take('openai', 'turn', text);
+      if (rule?.delayMs) await sleep(rule.delayMs);
+      if (rule?.close) {
+        ws.close(rule.close.code, rule.close.reason || '');
+        return;
+      }
+      if (rule?.error) {
+        sendError(rule.error, rule.code || null);
+        return;
+      }
+
+      const reply = rule?.reply || defaultReply('openai', text);
+      const response = { id: nextId('resp'), cancelled: false };
+      const itemId = nextId('item');
+      const audio = state.session.modalities.includes('audio');
+      state.response = response;
+
+      send({ type: 'response.created', response: { id: response.id, status: 'in_progress' } });
+      send({ type: 'response.output_item.added', response_id: response.id, item: { id: itemId, type: 'message', role: 'assistant' } });
+
+      for (const piece of splitReply(reply)) {
+        await sleep(STREAM_STEP_MS);
+        if (response.cancelled) return;
+        if (audio) {
+          send({ type: 'response.audio.delta', response_id: response.id, item_id: itemId, content_index: 0, delta: silence(100) });
+          send({ type: 'response.audio_transcript.delta', response_id: response.id, item_id: itemId, content_index: 0, delta: piece });
+        } else {
+          send({ type: 'response.text.delta', response_id: response.id, item_id: itemId, content_index: 0, delta: piece });
+        }
+      }
+
+      if (audio) {
+        send({ type: 'response.audio.done', response_id: response.id, item_id: itemId, content_index: 0 });
+        send({ type: 'response.audio_transcript.done', response_id: response.id, item_id: itemId, content_index: 0, transcript: reply });
+      } else {
+        send({ type: 'response.text.done', response_id: response.id, item_id: itemId, content_index: 0, text: reply });
+      }
+
+      const inputTokens = estimateTokens(text);
+      const outputTokens = estimateTokens(reply);
+      send({
+        type: 'response.done',
+        response: {
+          id: response.id,
+          status: 'completed',
+          usage: {
+            total_tokens: inputTokens + outputTokens,
+            input_tokens: inputTokens,
+            output_tokens: outputTokens,
+            input_token_details: { text_tokens: inputTokens, audio_tokens: 0, cached_tokens: 0 },
+            output_token_details: audio ? { text_tokens: 0, audio_tokens: outputTokens } : { text_tokens: outputTokens, audio_tokens: 0 }
+          }
+        }
+      });
+      state.response = null;
+    };
+
+    send({ type: 'session.created', session: state.session });
+
+    ws.on('message', (raw) => {
+      let event;
+      try {
+        event = JSON.parse(raw.toString());
+      } catch (error) {
+        sendError('Invalid JSON', 'invalid_json');
+        return;
+      }
+      log('openai', 'realtime', event.type === 'input_audio_buffer.append' ? { type: event.type } : event);
+
+      switch (event.type) {
+        case 'session.update':
+          state.session = { ...state.session, ...event.session };
+          send({ type: 'session.updated', session: state.session });
+          break;
+
+        case 'input_audio_buffer.append':
+          state.audioChunks++;
+          if (state.session.turn_detection?.type === 'server_vad') {
+            if (state.audioChunks === 1) {
+              send({ type: 'input_audio_buffer.speech_started', audio_start_ms: 0 });
+            } else if (state.audioChunks >= OPENAI_VAD_CHUNKS_PER_TURN) {
+              send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: state.audioChunks * 100 });
+              finishUserAudio();
+              respond('');
+            }
+          }
+          break;
+
+        case 'input_audio_buffer.commit':
+          if (state.audioChunks === 0) {
+            sendError('Error committing input audio buffer: buffer too small', 'input_audio_buffer_commit_empty');
+            break;
+          }
+          finishUserAudio();
+          break;
+
+        case 'input_audio_buffer.clear':
+          state.audioChunks = 0;
+          send({ type: 'input_audio_buffer.cleared' });
+          break;
+
+        case 'conversation.item.create': {
+          const item = event.item || {};
+          if (item.type === 'message' && item.role === 'user') {
+            state.lastUserText = (item.content || []).filter(part => part.type === 'input_text').map(part => part.text).join(' ');
+          }
+          send({ type: 'conversation.item.created', item: { id: nextId('item'), ...item } });
+          break;
+        }
+
+        case 'conversation.item.truncate':
+          send({ type: 'conversation.item.truncated', item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+          break;
+
+        case 'response.create': {
+          const text = state.lastUserText;
+          state.lastUserText = '';
+          respond(text);
+          break;
+        }
+
+        case 'response.cancel':
+          if (!state.response) {
+            sendError('Cancellation failed: no active response found', 'response_cancel_not_active');
+            break;
+          }
+          state.response.cancelled = true;
+          send({ type: 'response.done', response: { id: state.response.id, status: 'cancelled', usage: null } });
+          state.response = null;
+          break;
+
+        default:
+          sendError(`Mock provider does not handle ${event.type}`, 'unknown_event');
+      }
+    });
+  };
+
+  // ---- WebSocket upgrades ----
+
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const provider = url.pathname === GEMINI_LIVE_PATH ? 'gemini' : url.pathname === OPENAI_REALTIME_PATH ? 'openai' : null;
+
+    if (!provider) {
+      socket.destroy();
+      return;
+    }
+
+    log(provider, 'connect', { path: url.pathname, model: url.searchParams.get('model') });
+    const rule = script.take(provider, 'connect');
+
+    // Refuse the handshake, like a provider answering 429 or 401
+    if (rule?.status) {
+      socket.write(`HTTP/1.1 ${rule.status} ${http.STATUS_CODES[rule.status] || 'Error'}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (rule?.close) {
+        ws.close(rule.close.code, rule.close.reason || '');
+        return;
+      }
+      if (provider === 'gemini') {
+        handleGeminiLive(ws);
+      } else {
+        handleOpenAIRealtime(ws, url.searchParams.get('model'));
+      }
+    });
+  });
+
+  server.mock = { script, requests, wss };
+  return server;
+}
+
+module.exports = { MockScript, createMockProviderServer, parseDirective, DEFAULT_PORT };
+
+// `npm run mock-providers` - MOCK_PROVIDER_SCRIPT may point at a JSON array of rules
+if (require.main === module) {
+  const rules = process.env.MOCK_PROVIDER_SCRIPT
+    ? JSON.parse(require('fs').readFileSync(process.env.MOCK_PROVIDER_SCRIPT, 'utf8'))
+    : [];
+  const port = parseInt(process.env.MOCK_PROVIDER_PORT, 10) || DEFAULT_PORT;
+  const server = createMockProviderServer({ script: new MockScript(rules) });
+
+  server.listen(port, () => {
+    console.log(`[Mock] Provider mock listening on http://localhost:${port} (${rules.length} scripted rules)`);
+    console.log(`[Mock] Start the app with GEMINI_BASE_URL=http://localhost:${port} OPENAI_BASE_URL=http://localhost:${port}/v1`);
+  });
+
+  process.on('SIGINT', () => {
+    server.mock.wss.clients.forEach(ws => ws.terminate());
+    server.close(() => process.exit(0));
+  });
+}
@@ -0,0 +1,83 @@
+// Notes saved by the `save_note` tool, kept per user.
+// Stored in a JSON file (reusing the limiter store's atomic writes) so they
+// survive restarts; NOTES_STORE=memory keeps them in memory only.
+const path = require('path');
+const { JsonFileStore, MemoryStore } = require('./limiter-store');
+
+const DEFAULT_NOTES_PATH = path.join(process.cwd(), '.data', 'notes.json');
+const MAX_NOTES_PER_USER = 200; // Oldest notes are dropped past this
+const MAX_NOTE_LENGTH = 4000;
+
+class NoteStore {
+  constructor(store) {
+    this.store = store;
+    this.notes = this.store.load() || {}; // userId -> [{ id, title, text, createdAt }]
+    this.isSaving = false;
+    this.pendingSave = false;
+  }
+
+  add(userId, { title, text }) {
+    const note = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: title ? String(title).slice(0, 200) : null,
+      text: String(text).slice(0, MAX_NOTE_LENGTH),
+      createdAt: new Date().toISOString()
+    };
+
+    const userNotes = this.notes[userId] || [];
+    userNotes.push(note);
+    this.notes[userId] = userNotes.slice(-MAX_NOTES_PER_USER);
+
+    this.persist();
+    return { note, count: this.notes[userId].length };
+  }
+
+  list(userId) {
+    return [...(this.notes[userId] || [])];
+  }
+
+  // Write in the background; saves requested mid-write are coalesced into one more write
+  async persist() {
+    if (this.isSaving) {
+      this.pendingSave = true;
+      return;
+    }
+
+    this.isSaving = true;
+    try {
+      do {
+        this.pendingSave = false;
+        await this.store.save(this.notes);
+      } while (this.pendingSave);
+    } catch (error) {
+      console.error('[Notes] Failed to save notes:', error.message);
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  // Write now, blocking; for shutdown, when a background write would never finish
+  persistSync() {
+    try {
+      this.store.saveSync(this.notes);
+    } catch (error) {
+      console.error('[Notes] Failed to save notes:', error.message);
+    }
+  }
+}
+
+// Pick a backing store from NOTES_STORE ('json' by default, or 'memory')
+function createNoteStore(env = process.env) {
+  const type = (env.NOTES_STORE || 'json').toLowerCase();
+
+  switch (type) {
+    case 'json':
+      return new NoteStore(new JsonFileStore(env.NOTES_STORE_PATH || DEFAULT_NOTES_PATH));
+    case 'memory':
+      return new NoteStore(new MemoryStore());
+    default:
+      throw new Error(`Unknown NOTES_STORE "${type}" (expected "json" or "memory")`);
+  }
+}
+
+module.exports = { NoteStore, createNoteStore };
@@ -0,0 +1,226 @@
+const { FairQueue, createRequestItem, dropExpiredRequests } = require('./fair-queue');
+const { systemClock, sleep } = require('./clock');
+
+// OpenAI Rate Limiter and Cost Tracker
+// Rate limits are tier-based. Free tier has lower limits than paid tiers.
+// Cost optimization: Track usage to prevent runaway costs
+class OpenAIRateLimiter {
+  constructor(options = {}) {
+    // Rate limits (tier-based, adjust based on your tier)
+    this.requestsPerMinute = options.requestsPerMinute || 100; // Conservative default
+    this.requestsPerDay = options.requestsPerDay || 10000;
+
+    // Cost budget; spend is read from the shared cost ledger
+    this.maxCostPerHour = options.maxCostPerHour || 1.0; // $1/hour default limit
+    this.costLedger = options.costLedger;
+    this.userId = options.userId; // undefined for the global limiter (everyone's spend)
+
+    // Time source (server/clock.js); tests pass a fake one
+    this.clock = options.clock || systemClock;
+
+    // Request tracking
+    this.minuteWindow = [];
+    this.dayWindow = [];
+    this.queue = new FairQueue(); // Round-robin across connections
+    this.isProcessing = false;
+    this.backoffDelay = 0;
+    this.backoffUntil = 0;
+    this.consecutiveErrors = 0;
+    this.expiredRequests = 0; // Media dropped from the queue past its deadline
+  }
+
+  // Stop pending timers (per-user limiters are discarded when idle)
+  dispose() {
+    this.clock.clearTimeout(this.backoffTimer);
+  }
+
+  // Spend this hour, from real token usage recorded in the ledger
+  get totalCostThisHour() {
+    return this.costLedger.getSpend('openai', this.userId).cost;
+  }
+
+  get hourlyResetTime() {
+    return this.costLedger.getSpend('openai', this.userId).resetTime;
+  }
+
+  canMakeRequest() {
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+    const oneDayAgo = now - 86400000;
+
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+    this.dayWindow = this.dayWindow.filter(t => t > oneDayAgo);
+
+    const withinMinuteLimit = this.minuteWindow.length < this.requestsPerMinute;
+    const withinDayLimit = this.dayWindow.length < this.requestsPerDay;
+    const withinCostLimit = this.totalCostThisHour < this.maxCostPerHour;
+
+    return withinMinuteLimit && withinDayLimit && withinCostLimit && this.backoffDelay === 0;
+  }
+
+  getWaitTime() {
+    if (this.backoffDelay > 0) {
+      return this.backoffDelay;
+    }
+
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+
+    if (this.minuteWindow.length >= this.requestsPerMinute) {
+      const oldestRequest = Math.min(...this.minuteWindow);
+      return Math.max(0, 60000 - (now - oldestRequest) + 100);
+    }
+
+    return 0;
+  }
+
+  recordRequest() {
+    const now = this.clock.now();
+    this.minuteWindow.push(now);
+    this.dayWindow.push(now);
+
+    if (this.consecutiveErrors > 0) {
+      console.log('[OpenAI] Rate limit recovered, resetting backoff');
+      this.consecutiveErrors = 0;
+      this.backoffDelay = 0;
+      this.backoffUntil = 0;
+    }
+  }
+
+  handleRateLimitError() {
+    this.consecutiveErrors++;
+    const delay = Math.min(32000, Math.pow(2, this.consecutiveErrors) * 1000);
+
+    console.log(`[OpenAI] Rate limit hit! Consecutive errors: ${this.consecutiveErrors}, Backing off for ${delay}ms`);
+
+    this.startBackoff(delay);
+  }
+
+  startBackoff(delay) {
+    this.clock.clearTimeout(this.backoffTimer);
+    this.backoffDelay = delay;
+    this.backoffUntil = this.clock.now() + delay;
+
+    this.backoffTimer = this.clock.setTimeout(() => {
+      console.log('[OpenAI] Backoff period ended, resuming requests');
+      this.backoffDelay = 0;
+      this.backoffUntil = 0;
+      this.processQueue();
+    }, delay);
+  }
+
+  // Counters worth keeping across restarts (spend is persisted with the cost ledger)
+  snapshot() {
+    return {
+      minuteWindow: this.minuteWindow,
+      dayWindow: this.dayWindow,
+      consecutiveErrors: this.consecutiveErrors,
+      backoffUntil: this.backoffUntil
+    };
+  }
+
+  restore(snapshot) {
+    const now = this.clock.now();
+    this.minuteWindow = (snapshot.minuteWindow || []).filter(t => t > now - 60000);
+    this.dayWindow = (snapshot.dayWindow || []).filter(t => t > now - 86400000);
+    this.consecutiveErrors = snapshot.consecutiveErrors || 0;
+
+    if (snapshot.backoffUntil > now) {
+      this.startBackoff(snapshot.backoffUntil - now);
+    }
+  }
+
+  setLimits({ requestsPerMinute, requestsPerDay, maxCostPerHour }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.requestsPerDay = requestsPerDay;
+    this.maxCostPerHour = maxCostPerHour;
+    this.processQueue();
+  }
+
+  // options: { priority, maxAgeMs } (see server/fair-queue.js); requests still
+  // queued past maxAgeMs are rejected with code REQUEST_EXPIRED without running.
+  async enqueueRequest(requestFn, errorCallback, key = 'default', options) {
+    return new Promise((resolve, reject) => {
+      this.queue.push(key, createRequestItem({ requestFn, resolve, reject, errorCallback }, options, this.clock.now()));
+      this.processQueue();
+    });
+  }
+
+  async processQueue() {
+    if (this.isProcessing || this.queue.length === 0) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    while (this.queue.length > 0) {
+      const expired = dropExpiredRequests(this.queue, this.clock.now());
+      if (expired > 0) {
+        this.expiredRequests += expired;
+        console.log(`[OpenAI] Dropped ${expired} stale request(s) from the queue (Queue: ${this.queue.length})`);
+        continue;
+      }
+
+      if (!this.canMakeRequest()) {
+        const waitTime = this.getWaitTime();
+
+        if (waitTime > 0) {
+          console.log(`[OpenAI] Rate limit: waiting ${waitTime}ms before next request (Queue: ${this.queue.length})`);
+          await sleep(this.clock, waitTime);
+          continue;
+        }
+
+        // Cost limit reached
+        if (this.totalCostThisHour >= this.maxCostPerHour) {
+          const minutesUntilReset = Math.ceil((this.hourlyResetTime - this.clock.now()) / 60000);
+          console.log(`[OpenAI] Cost limit reached ($${this.maxCostPerHour}/hour). Resets in ${minutesUntilReset} minutes.`);
+          await sleep(this.clock, 60000); // Wait 1 minute
+          continue;
+        }
+      }
+
+      const { requestFn, resolve, reject, errorCallback } = this.queue.shift();
+
+      try {
+        this.recordRequest();
+        const result = await requestFn();
+        resolve(result);
+      } catch (error) {
+        if (errorCallback) {
+          errorCallback(error);
+        }
+        reject(error);
+      }
+
+      await sleep(this.clock, 50); // Small delay
+    }
+
+    this.isProcessing = false;
+  }
+
+  getStatus() {
+    const now = this.clock.now();
+    const oneMinuteAgo = now - 60000;
+    const oneDayAgo = now - 86400000;
+
+    this.minuteWindow = this.minuteWindow.filter(t => t > oneMinuteAgo);
+    this.dayWindow = this.dayWindow.filter(t => t > oneDayAgo);
+
+    return {
+      requestsLastMinute: this.minuteWindow.length,
+      requestsToday: this.dayWindow.length,
+      queueLength: this.queue.length,
+      expiredRequests: this.expiredRequests,
+      backoffDelay: this.backoffDelay,
+      canMakeRequest: this.canMakeRequest(),
+      totalCostThisHour: this.totalCostThisHour,
+      tokensThisHour: this.costLedger.getSpend('openai', this.userId).tokens,
+      maxCostPerHour: this.maxCostPerHour,
+      minutesUntilCostReset: Math.ceil((this.hourlyResetTime - this.clock.now()) / 60000)
+    };
+  }
+}
+
+module.exports = { OpenAIRateLimiter };
@@ -0,0 +1,76 @@
+// Personas: a system prompt, temperature and response length chosen in the
+// browser (built-in or user-defined presets, see app/lib/personas.js) and sent
+// with model_selection, chat_message and /api/chat requests.
+//
+// Everything here is untrusted client input, so it is validated and clamped
+// before it reaches a provider. Without a persona the adapters keep their
+// built-in prompts and settings.
+
+const MAX_NAME_LENGTH = 60;
+const MAX_PROMPT_LENGTH = 4000;
+
+// Output token caps per response length; realtime replies are spoken or shown
+// as captions, so they are kept much shorter than chat answers
+const RESPONSE_LENGTHS = {
+  short: { realtime: 256, chat: 1024, guidance: 'Keep answers to one or two sentences.' },
+  medium: { realtime: 1024, chat: 4096, guidance: 'Keep answers to a short paragraph unless asked for more.' },
+  long: { realtime: 2048, chat: 8192, guidance: 'Give thorough, detailed answers when useful.' }
+};
+const DEFAULT_RESPONSE_LENGTH = 'medium';
+
+// Provider temperature ranges (the Realtime API rejects values outside 0.6-1.2)
+const TEMPERATURE_RANGES = {
+  'openai-realtime': [0.6, 1.2],
+  openai: [0, 2],
+  gemini: [0, 2]
+};
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// Validate a persona from the client; returns null when none (or an unusable one) was sent
+function resolvePersona(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+
+  const systemPrompt = typeof input.systemPrompt === 'string' ? input.systemPrompt.trim().slice(0, MAX_PROMPT_LENGTH) : '';
+  if (!systemPrompt) {
+    return null;
+  }
+
+  const temperature = parseFloat(input.temperature);
+  const responseLength = RESPONSE_LENGTHS[input.responseLength] ? input.responseLength : DEFAULT_RESPONSE_LENGTH;
+
+  return {
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, MAX_NAME_LENGTH) : 'Custom',
+    systemPrompt,
+    temperature: Number.isFinite(temperature) ? temperature : null, // null -> provider default
+    responseLength
+  };
+}
+
+// System prompt including the response length guidance
+function personaInstructions(persona) {
+  return `${persona.systemPrompt}\n\n${RESPONSE_LENGTHS[persona.responseLength].guidance}`;
+}
+
+// Temperature for a provider, or the given fallback when the persona has none
+function personaTemperature(persona, provider, fallback) {
+  if (persona.temperature === null) {
+    return fallback;
+  }
+  return clamp(persona.temperature, TEMPERATURE_RANGES[provider]);
+}
+
+// Output token cap for 'realtime' or 'chat' requests
+function personaMaxTokens(persona, kind) {
+  return RESPONSE_LENGTHS[persona.responseLength][kind];
+}
+
+module.exports = {
+  RESPONSE_LENGTHS,
+  resolvePersona,
+  personaInstructions,
+  personaTemperature,
+  personaMaxTokens
+};
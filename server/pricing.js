@@ -0,0 +1,186 @@
+// Per-model token pricing and converters from each provider's usage payload.
+// Prices are USD per 1M tokens (list prices; update when providers change them).
+//   input / cachedInput / output        -> text (and image) tokens
+//   audioInput / cachedAudioInput / audioOutput -> audio tokens
+// Models are matched by the longest prefix, so dated snapshots
+// (e.g. gpt-4o-mini-realtime-preview-2024-12-17) share their family's price.
+const MODEL_PRICING = {
+  // OpenAI Realtime
+  'gpt-4o-realtime-preview-2024-10-01': { input: 5.00, cachedInput: 2.50, output: 20.00, audioInput: 100.00, cachedAudioInput: 20.00, audioOutput: 200.00 },
+  'gpt-4o-realtime-preview': { input: 5.00, cachedInput: 2.50, output: 20.00, audioInput: 40.00, cachedAudioInput: 2.50, audioOutput: 80.00 },
+  'gpt-4o-mini-realtime-preview': { input: 0.60, cachedInput: 0.30, output: 2.40, audioInput: 10.00, cachedAudioInput: 0.30, audioOutput: 20.00 },
+
+  // OpenAI Chat Completions
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+  'o3-mini': { input: 1.10, cachedInput: 0.55, output: 4.40 },
+  'o3': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+
+  // Gemini (Live and generateContent)
+  'gemini-2.5-flash-preview-native-audio': { input: 0.50, output: 2.00, audioInput: 3.00, audioOutput: 12.00 },
+  'gemini-2.5-flash': { input: 0.30, cachedInput: 0.075, output: 2.50, audioInput: 1.00 },
+  'gemini-2.5-pro': { input: 1.25, cachedInput: 0.31, output: 10.00 },
+  'gemini-2.0-flash-live': { input: 0.35, output: 1.50, audioInput: 2.10, audioOutput: 8.50 },
+  'gemini-2.0-flash': { input: 0.10, cachedInput: 0.025, output: 0.40, audioInput: 0.70 },
+  'gemini-1.5-flash': { input: 0.075, cachedInput: 0.01875, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, cachedInput: 0.3125, output: 5.00 },
+  'gemini-3-pro': { input: 2.00, cachedInput: 0.20, output: 12.00 }
+};
+
+// Unknown models are billed at a deliberately high rate so budgets err on the safe side
+const FALLBACK_PRICING = MODEL_PRICING['gpt-4o-realtime-preview'];
+
+const warnedModels = new Set();
+
+function getModelPricing(model = '') {
+  const name = model.replace(/^models\//, '');
+  let match = null;
+
+  for (const prefix of Object.keys(MODEL_PRICING)) {
+    if (name.startsWith(prefix) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+
+  if (!match) {
+    if (!warnedModels.has(name)) {
+      warnedModels.add(name);
+      console.warn(`[Pricing] No price for model "${name}", using fallback rates`);
+    }
+    return FALLBACK_PRICING;
+  }
+
+  return MODEL_PRICING[match];
+}
+
+// Token counts in one shape, whatever the provider reported
+const emptyTokens = () => ({
+  input: 0,
+  cachedInput: 0,
+  output: 0,
+  audioInput: 0,
+  cachedAudioInput: 0,
+  audioOutput: 0
+});
+
+// Chat Completions `usage` (also the final chunk of a stream with include_usage)
+function tokensFromOpenAIUsage(usage) {
+  const tokens = emptyTokens();
+  if (!usage) return tokens;
+
+  const promptDetails = usage.prompt_tokens_details || {};
+  const completionDetails = usage.completion_tokens_details || {};
+  const cached = promptDetails.cached_tokens || 0;
+  const audioIn = promptDetails.audio_tokens || 0;
+  const audioOut = completionDetails.audio_tokens || 0;
+
+  tokens.cachedInput = cached;
+  tokens.audioInput = audioIn;
+  tokens.input = Math.max(0, (usage.prompt_tokens || 0) - cached - audioIn);
+  tokens.audioOutput = audioOut;
+  // Reasoning tokens are already part of completion_tokens and billed as output
+  tokens.output = Math.max(0, (usage.completion_tokens || 0) - audioOut);
+  return tokens;
+}
+
+// Realtime `response.done` -> response.usage
+function tokensFromRealtimeUsage(usage) {
+  const tokens = emptyTokens();
+  if (!usage) return tokens;
+
+  const inputDetails = usage.input_token_details || {};
+  const outputDetails = usage.output_token_details || {};
+  const cachedDetails = inputDetails.cached_tokens_details || {};
+  // Camera frames are image tokens, billed at the text input rate
+  const cachedText = (cachedDetails.text_tokens || 0) + (cachedDetails.image_tokens || 0);
+  const cachedAudio = cachedDetails.audio_tokens || 0;
+
+  tokens.cachedInput = cachedText;
+  tokens.cachedAudioInput = cachedAudio;
+  tokens.input = Math.max(0, (inputDetails.text_tokens || 0) + (inputDetails.image_tokens || 0) - cachedText);
+  tokens.audioInput = Math.max(0, (inputDetails.audio_tokens || 0) - cachedAudio);
+  tokens.output = outputDetails.text_tokens || 0;
+  tokens.audioOutput = outputDetails.audio_tokens || 0;
+  return tokens;
+}
+
+// Gemini `usageMetadata` (generateContent uses candidatesTokenCount,
+// the Live API reports responseTokenCount)
+function tokensFromGeminiUsage(usageMetadata) {
+  const tokens = emptyTokens();
+  if (!usageMetadata) return tokens;
+
+  const modalityCount = (details, modality) => (details || [])
+    .filter(detail => detail.modality === modality)
+    .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+
+  const prompt = usageMetadata.promptTokenCount || 0;
+  const cached = usageMetadata.cachedContentTokenCount || 0;
+  const audioIn = modalityCount(usageMetadata.promptTokensDetails, 'AUDIO');
+  const response = (usageMetadata.candidatesTokenCount || usageMetadata.responseTokenCount || 0) +
+    (usageMetadata.thoughtsTokenCount || 0);
+  const audioOut = modalityCount(usageMetadata.candidatesTokensDetails || usageMetadata.responseTokensDetails, 'AUDIO');
+
+  tokens.cachedInput = cached;
+  tokens.audioInput = audioIn;
+  tokens.input = Math.max(0, prompt - cached - audioIn);
+  tokens.audioOutput = audioOut;
+  tokens.output = Math.max(0, response - audioOut);
+  return tokens;
+}
+
+// Rough token counts for usage a provider never reported, e.g. a chat stream
+// abandoned before its final chunk: ~4 characters of text per token, and a flat
+// count per attached image (its base64 size says little about its tokens)
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_IMAGE = 1000;
+
+function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Prompt tokens of OpenAI messages or Gemini contents/parts
+function estimatePromptTokens(prompt) {
+  if (typeof prompt === 'string') {
+    return estimateTextTokens(prompt);
+  }
+  if (Array.isArray(prompt)) {
+    return prompt.reduce((sum, item) => sum + estimatePromptTokens(item), 0);
+  }
+  if (!prompt || typeof prompt !== 'object') {
+    return 0;
+  }
+  if (prompt.image_url || prompt.inlineData) {
+    return TOKENS_PER_IMAGE;
+  }
+  return estimatePromptTokens(prompt.content) + estimatePromptTokens(prompt.text) + estimatePromptTokens(prompt.parts);
+}
+
+// USD cost of a token breakdown; token kinds a model has no audio/cache price
+// for are billed at its regular input/output rate
+function calculateCost(model, tokens) {
+  const price = getModelPricing(model);
+  // First price the model defines, e.g. rate('cachedAudioInput', 'audioInput', 'input')
+  const rate = (...keys) => price[keys.find(key => price[key] !== undefined)];
+
+  const total =
+    tokens.input * price.input +
+    tokens.cachedInput * rate('cachedInput', 'input') +
+    tokens.output * price.output +
+    tokens.audioInput * rate('audioInput', 'input') +
+    tokens.cachedAudioInput * rate('cachedAudioInput', 'audioInput', 'input') +
+    tokens.audioOutput * rate('audioOutput', 'output');
+
+  return total / 1000000;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPricing,
+  tokensFromOpenAIUsage,
+  tokensFromRealtimeUsage,
+  tokensFromGeminiUsage,
+  estimateTextTokens,
+  estimatePromptTokens,
+  calculateCost
+};
@@ -0,0 +1,223 @@
+// Client <-> server WebSocket protocol for /ws/gemini and /ws/openai.
+// The browser side lives in app/lib/protocol.js; bump PROTOCOL_VERSION in both
+// when a message changes shape.
+//
+// Client -> server: `{ type, ...fields }`, checked against CLIENT_MESSAGES by
+// validateClientMessage() before anything reaches an adapter. Unknown fields
+// are ignored, so older servers accept newer optional fields.
+//
+// Server -> client: every event is wrapped by createEvent() into one envelope,
+//   { v, type, ts, ...fields }
+// where `type` is one of SERVER_EVENTS. Errors are `type: 'error'` with a
+// machine-readable `code`, a short `error` title and a `text` explanation;
+// warnings are `type: 'warning'` with a `code` and `text`.
+//
+// The version is negotiated in model_selection: the client sends the highest
+// `protocolVersion` it speaks and the server answers `protocol_accepted`.
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Field rules: type is 'string' | 'number' | 'boolean' | 'object' | 'array';
+// optional fields may also be null. Strings can set minLength/maxLength/enum,
+// numbers min/max.
+const MAX_TEXT_LENGTH = 100000;
+const MAX_BINARY_LENGTH = 20 * 1024 * 1024; // base64 audio chunk or camera frame
+
+const CLIENT_MESSAGES = {
+  model_selection: {
+    model: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    protocolVersion: { type: 'number', min: 1 },
+    mode: { type: 'string', enum: ['audio_only', 'vision+audio'] },
+    limits: { type: 'object' },
+    persona: { type: 'object' },
+    responseMode: { type: 'string', enum: ['audio', 'text'] },
+    voice: { type: 'string', maxLength: 50 },
+    turnDetection: { type: 'object' }
+  },
+  audio_chunk: {
+    data: { type: 'string', required: true, minLength: 1, maxLength: MAX_BINARY_LENGTH },
+    mimeType: { type: 'string', maxLength: 100 },
+    format: { type: 'string', maxLength: 20 },
+    timestamp: { type: 'number' }
+  },
+  video_frame: {
+    data: { type: 'string', required: true, minLength: 1, maxLength: MAX_BINARY_LENGTH },
+    hash: { type: 'string', maxLength: 64 }, // Client's perceptual hash; the server computes its own
+    timestamp: { type: 'number' }
+  },
+  text: {
+    text: { type: 'string', required: true, minLength: 1, maxLength: MAX_TEXT_LENGTH }
+  },
+  chat_message: {
+    text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    files: { type: 'array' },
+    model: { type: 'string', maxLength: 200 },
+    tokenLimit: { type: 'number', min: 0 },
+    thinkingLevel: { type: 'string', enum: ['low', 'high'] },
+    persona: { type: 'object' },
+    conversationHistory: { type: 'array' },
+    timestamp: { type: 'number' }
+  },
+  voice_change: {
+    voice: { type: 'string', required: true, minLength: 1, maxLength: 50 }
+  },
+  ptt_start: {},
+  ptt_end: {},
+  interrupt: {
+    playedMs: { type: 'number', min: 0 }
+  }
+};
+
+// Event types the server may send, with the fields each one always carries
+const SERVER_EVENTS = {
+  protocol_accepted: ['version', 'supportedVersions'],
+  status: ['text'],
+  warning: ['code', 'text'],
+  error: ['code', 'error', 'text'],
+  user_speaking_started: [],
+  user_speaking_stopped: [],
+  user_transcription: ['text'],
+  ai_response_delta: ['text'],
+  ai_response_complete: ['text'],
+  audio_response_delta: ['audio'],
+  audio_response_complete: [],
+  audio_interrupted: [],
+  voice_changed: ['voice'],
+  session_resumed: ['method', 'text'],
+  flow_control: ['queueDepth', 'framesDropped', 'headroom'],
+  tool_call: ['id', 'name'],
+  tool_result: ['id', 'name'],
+  chat_response_delta: ['text'],
+  chat_response_done: ['text']
+};
+
+// Error codes sent in `error` events
+const ERROR_CODES = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_MESSAGE_TYPE: 'unknown_message_type',
+  UNSUPPORTED_PROTOCOL_VERSION: 'unsupported_protocol_version',
+  NO_API_KEY: 'no_api_key',
+  SERVICE_UNAVAILABLE: 'service_unavailable',
+  MESSAGE_FAILED: 'message_failed',
+  MODEL_UNAVAILABLE: 'model_unavailable',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  RATE_LIMITED: 'rate_limited',
+  COST_LIMIT: 'cost_limit',
+  PROVIDER_ERROR: 'provider_error',
+  CHAT_FAILED: 'chat_failed',
+  UNKNOWN_VOICE: 'unknown_voice'
+};
+
+// Warning codes sent in `warning` events (the session goes on)
+const WARNING_CODES = {
+  LIMITS_CAPPED: 'limits_capped',
+  MESSAGE_DROPPED: 'message_dropped',
+  QUOTA_WARNING: 'quota_warning',
+  COST_WARNING: 'cost_warning'
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+// Returns a description of what is wrong with one field, or null
+function checkField(name, rule, value) {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+
+  const actual = typeOf(value);
+  if (actual !== rule.type) {
+    return `${name} must be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}, got ${actual}`;
+  }
+
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `${name} must not be empty`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${name} is longer than ${rule.maxLength} characters`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `${name} must be one of ${rule.enum.join(', ')}`;
+    }
+  }
+
+  if (rule.type === 'number') {
+    if (!Number.isFinite(value)) {
+      return `${name} must be a finite number`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${name} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${name} must be at most ${rule.max}`;
+    }
+  }
+
+  return null;
+}
+
+// Check a parsed client message against its schema.
+// Returns null when it is valid, otherwise { code, text } for an error event.
+function validateClientMessage(data) {
+  if (!data || typeOf(data) !== 'object') {
+    return { code: ERROR_CODES.INVALID_MESSAGE, text: 'Message must be a JSON object' };
+  }
+  if (typeof data.type !== 'string' || !data.type) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, text: 'Message is missing its type' };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, data.type) ? CLIENT_MESSAGES[data.type] : null;
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE, text: `Unknown message type '${data.type}'` };
+  }
+
+  const problems = Object.entries(schema)
+    .map(([name, rule]) => checkField(name, rule, data[name]))
+    .filter(Boolean);
+
+  if (problems.length > 0) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, text: `Invalid ${data.type}: ${problems.join('; ')}` };
+  }
+  return null;
+}
+
+// Version to speak with a client that asked for `requested` (its highest), or
+// null if there is none in common. Clients from before negotiation send nothing
+// and get version 1, whose events they already understand.
+function negotiateVersion(requested) {
+  if (requested === undefined || requested === null) {
+    return SUPPORTED_PROTOCOL_VERSIONS[0];
+  }
+  const usable = SUPPORTED_PROTOCOL_VERSIONS.filter(version => version <= requested);
+  return usable.length > 0 ? Math.max(...usable) : null;
+}
+
+// Wrap an event in the envelope. Events the schema doesn't know, or that miss
+// a required field, are still sent but logged so they get fixed.
+function createEvent(payload, version = PROTOCOL_VERSION) {
+  const required = SERVER_EVENTS[payload.type];
+  if (!required) {
+    console.warn(`[Protocol] Sending unknown event type '${payload.type}'`);
+  } else {
+    const missing = required.filter(field => payload[field] === undefined);
+    if (missing.length > 0) {
+      console.warn(`[Protocol] ${payload.type} event is missing ${missing.join(', ')}`);
+    }
+  }
+
+  return { v: version, type: payload.type, ts: Date.now(), ...payload };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  CLIENT_MESSAGES,
+  SERVER_EVENTS,
+  ERROR_CODES,
+  WARNING_CODES,
+  validateClientMessage,
+  negotiateVersion,
+  createEvent
+};
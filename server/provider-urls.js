@@ -0,0 +1,53 @@
+// Provider endpoints. Both default to the real APIs; point them at
+// server/mock-provider-server.js (or a proxy) to run without network access:
+//
+//   GEMINI_BASE_URL=http://localhost:8787
+//   OPENAI_BASE_URL=http://localhost:8787/v1
+//
+// The realtime WebSocket URLs are derived from the same base (http -> ws).
+
+const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+const GEMINI_LIVE_PATH = '/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent';
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+const toWebSocketUrl = (url) => url.replace(/^http(s?):\/\//, 'ws$1://');
+
+function geminiBaseUrl(env = process.env) {
+  return trimSlash(env.GEMINI_BASE_URL || DEFAULT_GEMINI_BASE_URL);
+}
+
+function openaiBaseUrl(env = process.env) {
+  return trimSlash(env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL);
+}
+
+// Gemini Live (BidiGenerateContent) socket for an API key
+function geminiLiveUrl(apiKey, env = process.env) {
+  return `${toWebSocketUrl(geminiBaseUrl(env))}${GEMINI_LIVE_PATH}?key=${encodeURIComponent(apiKey)}`;
+}
+
+// Second argument to GoogleGenerativeAI#getGenerativeModel (undefined keeps the SDK default)
+function geminiRequestOptions(env = process.env) {
+  return env.GEMINI_BASE_URL ? { baseUrl: geminiBaseUrl(env) } : undefined;
+}
+
+// OpenAI Realtime socket for a model
+function openaiRealtimeUrl(model, env = process.env) {
+  return `${toWebSocketUrl(openaiBaseUrl(env))}/realtime?model=${encodeURIComponent(model)}`;
+}
+
+// Options for the OpenAI SDK client
+function openaiClientOptions(apiKey, env = process.env) {
+  return { apiKey, baseURL: openaiBaseUrl(env) };
+}
+
+module.exports = {
+  DEFAULT_GEMINI_BASE_URL,
+  DEFAULT_OPENAI_BASE_URL,
+  GEMINI_LIVE_PATH,
+  geminiLiveUrl,
+  geminiRequestOptions,
+  openaiRealtimeUrl,
+  openaiClientOptions
+};
@@ -0,0 +1,893 @@
+// Gemini Live (BidiGenerateContent) adapter for the WebSocket proxy
+const { tokensFromGeminiUsage, estimateTextTokens, estimatePromptTokens } = require('../pricing');
+const { resolvePersona, personaInstructions, personaTemperature, personaMaxTokens } = require('../personas');
+const { isPushToTalk } = require('../turn-detection');
+const { geminiLiveUrl, geminiRequestOptions } = require('../provider-urls');
+const { ERROR_CODES, WARNING_CODES } = require('../protocol');
+const { DEFAULT_FRAME_CHANGE_THRESHOLD, frameSignature, isDuplicateFrame } = require('../frame-dedup');
+const { PRIORITY, REQUEST_EXPIRED, messageQueueOptions } = require('../fair-queue');
+const { CostBudget, costLimitMessage } = require('../cost-budget');
+
+// Gemini Live models for real-time audio - prioritize native audio models
+const FALLBACK_MODELS = [
+  'models/gemini-2.5-flash-preview-native-audio-dialog', // Latest native audio model
+  'models/gemini-2.0-flash-live-001', // Gemini Live model
+  'models/gemini-2.0-flash-exp', // Experimental model (Realtime API)
+  'models/gemini-2.0-flash-001', // Versioned GA model
+  'models/gemini-2.0-flash', // GA model
+  'models/gemini-1.5-flash-exp' // Fallback experimental model
+];
+
+// Helper function to normalize MIME type (remove codec specifications)
+const normalizeMimeType = (mimeType) => {
+  if (!mimeType) return 'audio/webm';
+  // Remove codec specifications (e.g., 'audio/webm;codecs=opus' -> 'audio/webm')
+  return mimeType.split(';')[0].trim();
+};
+
+// Sample rate of an inlineData audio part, e.g. 'audio/pcm;rate=24000'
+const DEFAULT_OUTPUT_SAMPLE_RATE = 24000;
+const getSampleRate = (mimeType) => {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? parseInt(match[1], 10) : DEFAULT_OUTPUT_SAMPLE_RATE;
+};
+
+// Finished turns kept to rebuild the conversation after a reconnect
+const MAX_HISTORY_TURNS = 40;
+const MAX_HISTORY_CHARS = 24000;
+
+const isModelError = (message) => {
+  return message.includes('not found') || message.includes('not supported') || message.includes('invalid model');
+};
+
+// Returned instead of a message for frames that show the same scene as the last one
+const DUPLICATE_FRAME = Symbol('duplicate frame');
+
+// Transform a client message to Gemini format. Its shape was already checked
+// against server/protocol.js; this only rejects messages the session can't use.
+const transformMessageForGemini = (data, { isAudioOnlyMode, turnDetection, state }, frameChangeThreshold = DEFAULT_FRAME_CHANGE_THRESHOLD) => {
+  if (data.type === 'video_frame') {
+    // Validate audio-only mode doesn't send video
+    if (isAudioOnlyMode) {
+      console.warn('[Gemini] Video frame received in audio-only mode, ignoring');
+      return null;
+    }
+
+    // Every frame costs a request: skip near-duplicates of the last one
+    // forwarded, whatever the client already filtered (see server/frame-dedup.js)
+    if (state) {
+      const signature = frameSignature(data, state.lastFrameSignature);
+      if (isDuplicateFrame(state.lastFrameSignature, signature, frameChangeThreshold)) {
+        return DUPLICATE_FRAME;
+      }
+      state.lastFrameSignature = signature;
+    }
+
+    return {
+      realtime_input: {
+        media_chunks: [{
+          mime_type: 'image/jpeg',
+          data: data.data
+        }]
+      }
+    };
+  } else if (data.type === 'audio_chunk') {
+    // Supported audio MIME types for Gemini 2.0 Flash:
+    // audio/x-aac, audio/flac, audio/mp3, audio/m4a, audio/mpeg,
+    // audio/mpga, audio/mp4, audio/ogg, audio/pcm, audio/wav, audio/webm
+    const mimeType = normalizeMimeType(data.mimeType);
+    const supportedTypes = ['audio/webm', 'audio/wav', 'audio/ogg', 'audio/mp3', 'audio/mpeg', 'audio/pcm'];
+
+    if (!supportedTypes.includes(mimeType)) {
+      console.warn(`[Gemini] Unsupported audio MIME type: ${mimeType}, using default`);
+    }
+
+    return {
+      realtime_input: {
+        media_chunks: [{
+          mime_type: mimeType,
+          data: data.data
+        }]
+      }
+    };
+  } else if (data.type === 'text') {
+    return {
+      client_content: {
+        turn: {
+          role: 'user',
+          parts: [{ text: data.text }]
+        }
+      }
+    };
+  } else if (data.type === 'ptt_start' || data.type === 'ptt_end') {
+    // Manual activity signals are only accepted when automatic detection is off
+    if (!turnDetection || !isPushToTalk(turnDetection)) {
+      console.warn(`[Gemini] ${data.type} received but push-to-talk is not enabled, ignoring`);
+      return null;
+    }
+
+    return {
+      realtime_input: data.type === 'ptt_start' ? { activity_start: {} } : { activity_end: {} }
+    };
+  }
+
+  // Valid protocol message Gemini Live has no use for (e.g. voice_change)
+  console.warn(`[Gemini] Unsupported message type: ${data.type}`);
+  return null;
+};
+
+// Gemini has no numeric VAD threshold, only coarse start-of-speech sensitivity
+const startSensitivity = (threshold) => {
+  if (threshold < 0.4) return 'START_SENSITIVITY_HIGH';
+  if (threshold > 0.6) return 'START_SENSITIVITY_LOW';
+  return undefined; // Server default
+};
+
+// automatic_activity_detection setup for the session's turn detection settings
+const activityDetection = (turnDetection) => {
+  if (isPushToTalk(turnDetection)) {
+    return { disabled: true };
+  }
+  return {
+    start_of_speech_sensitivity: startSensitivity(turnDetection.threshold),
+    prefix_padding_ms: turnDetection.prefixPaddingMs,
+    silence_duration_ms: turnDetection.silenceDurationMs
+  };
+};
+
+// costBudget: hourly spend limits checked before each call (server/cost-budget.js),
+// by default over costLedger with the limits from the environment
+function createGeminiAdapter({ limiters, costLedger, costBudget = new CostBudget({ costLedger }), tools, frameChangeThreshold = DEFAULT_FRAME_CHANGE_THRESHOLD }) {
+  // Send a message to Gemini through the rate limiter. Session control
+  // (prompts, history, tool responses) goes ahead of queued user input.
+  const enqueueSend = (session, message, options = { priority: PRIORITY.CONTROL }) => {
+    return session.rateLimiter.enqueueRequest(() => {
+      session.sendUpstream(message);
+      return Promise.resolve();
+    }, undefined, options);
+  };
+
+  // Latest-frame-only: the queued request sends whatever frame is newest when
+  // the limiter gets to it, so a backlog never holds more than one stale frame
+  const queueFrame = (session, message) => {
+    const { state } = session;
+    if (state.queuedFrame) {
+      state.queuedFrame = message;
+      session.framesDropped++;
+      return;
+    }
+
+    state.queuedFrame = message;
+    session.rateLimiter.enqueueRequest(() => {
+      const frame = state.queuedFrame;
+      state.queuedFrame = null;
+      if (frame) {
+        session.sendUpstream(frame);
+      }
+      return Promise.resolve();
+    }, undefined, { priority: PRIORITY.VIDEO }).catch(error => {
+      if (error.code === REQUEST_EXPIRED) {
+        state.queuedFrame = null; // Too old by now; the next frame starts a new request
+        session.framesDropped++;
+        return;
+      }
+      console.error('[Gemini] Failed to send video frame:', error);
+    });
+  };
+
+  // Move on to the next model in the fallback list; returns false when exhausted
+  const advanceModel = (session) => {
+    const { state } = session;
+    state.currentModelIndex++;
+    state.resumeHandle = null; // Handles only resume sessions of the same model
+    if (state.currentModelIndex < state.modelAttempts.length) {
+      console.log(`Model ${state.modelAttempts[state.currentModelIndex - 1]} not supported, trying next: ${state.modelAttempts[state.currentModelIndex]}`);
+      return true;
+    }
+    return false;
+  };
+
+  // Run the requested tools and send their results back in one tool_response
+  const handleToolCall = async (session, functionCalls) => {
+    const { cancelledToolCalls } = session.state;
+    const functionResponses = [];
+
+    for (const call of functionCalls) {
+      const output = await session.callTool({ id: call.id, name: call.name, args: call.args || {} });
+      if (cancelledToolCalls.delete(call.id)) {
+        continue;
+      }
+      functionResponses.push({ id: call.id, name: call.name, response: output });
+    }
+
+    if (functionResponses.length > 0) {
+      await enqueueSend(session, {
+        tool_response: {
+          function_responses: functionResponses
+        }
+      });
+    }
+  };
+
+  // Keep a finished turn for replaying after a reconnect (oldest dropped past the caps)
+  const rememberTurn = (session, role, text) => {
+    const trimmed = text ? text.trim() : '';
+    if (!trimmed) {
+      return;
+    }
+
+    const { history } = session.state;
+    history.push({ role, text: trimmed });
+
+    let chars = history.reduce((sum, turn) => sum + turn.text.length, 0);
+    while (history.length > MAX_HISTORY_TURNS || (history.length > 1 && chars > MAX_HISTORY_CHARS)) {
+      chars -= history.shift().text.length;
+    }
+  };
+
+  // Move what was said in the current turn into the history
+  const archiveTurn = (session) => {
+    const { state } = session;
+    rememberTurn(session, 'user', state.inputTranscript);
+    rememberTurn(session, 'model', state.replyText || state.outputTranscript);
+    state.inputTranscript = '';
+    state.replyText = '';
+    state.outputTranscript = '';
+  };
+
+  // After a reconnect: a resumption handle brings the old session back as it
+  // was; otherwise the saved turns (and the latest camera frame) are replayed
+  // as context without asking for a reply
+  const restoreContext = (session) => {
+    const { state } = session;
+
+    if (state.resumingWithHandle) {
+      console.log(`[Gemini] Session resumed from handle (user ${session.userId})`);
+      session.send({ type: 'session_resumed', method: 'handle', turns: state.history.length, text: 'Reconnected - conversation restored' });
+      return;
+    }
+
+    const turns = state.history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
+    if (state.initialPrompt) {
+      turns.unshift({ role: 'user', parts: [{ text: state.initialPrompt }] });
+    }
+
+    if (turns.length > 0) {
+      enqueueSend(session, {
+        client_content: { turns, turn_complete: false }
+      }).catch(error => {
+        console.error('[Gemini] Failed to replay conversation history:', error);
+      });
+    }
+
+    if (state.lastFrame && !session.isAudioOnlyMode) {
+      enqueueSend(session, {
+        realtime_input: { media_chunks: [{ mime_type: 'image/jpeg', data: state.lastFrame }] }
+      }, { priority: PRIORITY.VIDEO }).catch(error => {
+        if (error.code === REQUEST_EXPIRED) return;
+        console.error('[Gemini] Failed to resend camera frame:', error);
+      });
+    }
+
+    console.log(`[Gemini] Session restored from ${state.history.length} saved turns (user ${session.userId})`);
+    session.send({ type: 'session_resumed', method: 'history', turns: state.history.length, text: 'Reconnected - conversation restored' });
+  };
+
+  const handleSetupComplete = (session) => {
+    const { state } = session;
+    console.log(`Gemini setup complete with model: ${state.modelAttempts[state.currentModelIndex]}`);
+
+    if (state.hasConnected) {
+      restoreContext(session);
+    } else {
+      // Without a persona, send the built-in prompt based on mode (shortened to save quota).
+      // A persona's prompt already went out as the setup's system_instruction.
+      if (!session.persona) {
+        state.initialPrompt = session.isAudioOnlyMode
+          ? 'AI assistant. Listen and respond briefly.'
+          : 'AI that can see and hear. Describe what you see. Respond briefly.';
+
+        // Send initial prompt with rate limiting
+        enqueueSend(session, {
+          client_content: {
+            turn: {
+              role: 'user',
+              parts: [{
+                text: state.initialPrompt
+              }]
+            }
+          }
+        }).catch(error => {
+          console.error('Failed to send initial prompt:', error);
+        });
+      }
+
+      const welcomeMessage = session.isAudioOnlyMode
+        ? 'AI Audio Active - I can hear you now!'
+        : 'AI Vision Active - I can see and hear you now!';
+
+      session.sendStatus(welcomeMessage);
+    }
+
+    state.hasConnected = true;
+    state.setupComplete = true;
+
+    // Process buffered messages with rate limiting
+    session.markReady();
+  };
+
+  // Price reported token usage into the shared cost ledger
+  const recordUsage = (session, model, usageMetadata, source) => {
+    if (usageMetadata) {
+      costLedger.record({ provider: 'gemini', userId: session.userId, model, tokens: tokensFromGeminiUsage(usageMetadata), source });
+    }
+  };
+
+  // Whether the user's (and everyone's) hourly Gemini budget allows another call.
+  // Live input gets the error once when the budget runs out, not for every
+  // chunk after it; chat (fields.scope) gets it for each refused message.
+  const checkCostBudget = (session, fields) => {
+    const status = costBudget.exhausted('gemini', session.userId);
+    if (!status) {
+      session.state.costLimited = false;
+      return true;
+    }
+
+    if (fields || !session.state.costLimited) {
+      console.log(`[Gemini] Hourly ${status.scope} budget spent, refusing requests (user ${session.userId})`);
+      session.sendError(ERROR_CODES.COST_LIMIT, 'Cost limit reached', costLimitMessage(status), fields);
+    }
+    if (!fields) {
+      session.state.costLimited = true;
+    }
+    return false;
+  };
+
+  const handleChat = async (session, data) => {
+    if (!session.apiKey) {
+      session.sendError(ERROR_CODES.NO_API_KEY, 'No API key configured', 'Please configure your Gemini API key', { scope: 'chat' });
+      return;
+    }
+
+    if (!checkCostBudget(session, { scope: 'chat' })) {
+      return;
+    }
+
+    // Process chat message with Gemini
+    try {
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      const genAI = new GoogleGenerativeAI(session.apiKey);
+      // Use model from message if provided (for mid-chat model switching), otherwise use session model
+      const currentModel = data.model || session.model || 'gemini-3-pro-preview';
+      // The chat can switch persona mid-session; fall back to the one picked at start
+      const persona = resolvePersona(data.persona) || session.persona;
+
+      // Check if this is a Gemini 3 Pro model (supports thinking_level)
+      const isGemini3Pro = currentModel.includes('gemini-3-pro');
+
+      // Configure generation settings based on model
+      const generationConfig = {
+        temperature: 1.0, // Gemini 3 recommends 1.0 temperature
+        maxOutputTokens: isGemini3Pro ? 64000 : 8192, // Gemini 3 supports up to 64k output
+      };
+
+      if (persona) {
+        generationConfig.temperature = personaTemperature(persona, 'gemini', generationConfig.temperature);
+        // Gemini 3 Pro's output also holds its thinking, so only cap the other models
+        if (!isGemini3Pro) {
+          generationConfig.maxOutputTokens = personaMaxTokens(persona, 'chat');
+        }
+      }
+
+      // Add thinking configuration for Gemini 3 Pro
+      // thinking_level: 'low' (fast), 'high' (deep reasoning, default)
+      if (isGemini3Pro) {
+        generationConfig.thinkingConfig = {
+          thinkingLevel: data.thinkingLevel || 'high' // Default to high for best reasoning
+        };
+        console.log(`[Gemini 3 Pro] Using thinking_level: ${generationConfig.thinkingConfig.thinkingLevel}`);
+      }
+
+      // Use client-sent conversation history if available (prevents history loss on reconnect)
+      let geminiHistory = [];
+
+      if (data.conversationHistory && data.conversationHistory.length > 0) {
+        // Client sent full conversation history (text-only, without file data)
+        console.log(`[Gemini Chat] Using client-sent history (${data.conversationHistory.length} messages)`);
+
+        // Build history excluding the last message (current message)
+        // History only includes text to reduce payload size
+        geminiHistory = data.conversationHistory.slice(0, -1).map(msg => {
+          return {
+            role: msg.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: msg.text || '' }]
+          };
+        });
+      }
+
+      // Build current user message
+      const currentParts = [];
+
+      if (data.text) {
+        currentParts.push({ text: data.text });
+      }
+
+      if (data.files && data.files.length > 0) {
+        for (const file of data.files) {
+          if (file.type.startsWith('image/')) {
+            currentParts.push({
+              inlineData: {
+                mimeType: file.type,
+                data: file.data
+              }
+            });
+          } else {
+            currentParts.push({ text: `[File: ${file.name}]` });
+          }
+        }
+      }
+
+      console.log(`[Gemini Chat] Sending to ${currentModel} (${geminiHistory.length + 1} messages in context)`);
+
+      // Create model with generation config
+      const model = genAI.getGenerativeModel({
+        model: currentModel,
+        generationConfig: generationConfig,
+        ...(persona && { systemInstruction: personaInstructions(persona) })
+      }, geminiRequestOptions());
+
+      // Create chat session with history
+      const chat = model.startChat({
+        history: geminiHistory
+      });
+
+      // Stream the response back to the client as it is generated
+      const result = await chat.sendMessageStream(currentParts);
+      let responseText = '';
+
+      try {
+        for await (const chunk of result.stream) {
+          // Stop forwarding if the client went away
+          if (!session.isActive()) {
+            console.log('[Gemini Chat] Client disconnected, abandoning stream');
+            return;
+          }
+
+          const delta = chunk.text();
+          if (delta) {
+            responseText += delta;
+            session.send({
+              type: 'chat_response_delta',
+              text: delta
+            });
+          }
+        }
+
+        session.send({
+          type: 'chat_response_done',
+          text: responseText || 'No response generated'
+        });
+      } finally {
+        // The SDK keeps reading the response after the stream is abandoned, so
+        // the final usage still arrives; if the request failed, count the
+        // prompt and the text streamed so far against the budget instead
+        const response = await result.response.catch(() => null);
+        recordUsage(session, currentModel, response?.usageMetadata || {
+          promptTokenCount: estimatePromptTokens([...geminiHistory, { parts: currentParts }]),
+          candidatesTokenCount: estimateTextTokens(responseText)
+        }, 'chat');
+      }
+
+      console.log('[Gemini Chat] Response streamed successfully');
+    } catch (error) {
+      console.error('[Gemini Chat] Error:', error);
+      session.countError();
+      session.sendError(ERROR_CODES.CHAT_FAILED, 'Chat failed', `Error: ${error.message}`, { scope: 'chat' });
+    }
+  };
+
+  return {
+    name: 'Gemini',
+    limiters,
+    tools,
+    apiKeyEnv: 'GEMINI_API_KEY',
+
+    createState() {
+      return {
+        // Fresh copy per connection so the user's model can be prepended
+        modelAttempts: [...FALLBACK_MODELS],
+        currentModelIndex: 0,
+        // Set when we close the socket ourselves to try the next model
+        pendingModelFallback: false,
+        // Spoken replies (native audio) instead of text
+        audioResponses: false,
+        // Transcript of the spoken reply in progress
+        outputTranscript: '',
+        isSpeaking: false,
+        // The user stopped the reply; drop its remaining audio until the turn ends
+        replyInterrupted: false,
+        // Tool call ids the model cancelled before we answered
+        cancelledToolCalls: new Set(),
+        // Context carried across upstream reconnects (see restoreContext)
+        resumeHandle: null, // Latest session resumption handle from Gemini
+        resumingWithHandle: false,
+        history: [], // Finished turns: [{ role: 'user' | 'model', text }]
+        initialPrompt: null,
+        inputTranscript: '', // The user's speech in the current turn
+        replyText: '', // Text reply in the current turn
+        lastFrame: null, // Latest camera frame, re-sent when history is replayed
+        queuedFrame: null, // Frame waiting in the rate limiter queue
+        lastFrameSignature: null, // Digest and perceptual hash of the last frame forwarded
+        unchangedFrames: 0, // Frames dropped as near-duplicates
+        costLimited: false, // Hourly budget spent; live input is dropped until it resets
+        hasConnected: false, // An earlier upstream session reached setupComplete
+        setupComplete: false // This upstream session did
+      };
+    },
+
+    selectModel(session, data) {
+      session.state.audioResponses = data.responseMode === 'audio';
+
+      // Add user-selected model to the beginning of the attempts list
+      session.state.currentModelIndex = 0;
+      session.state.modelAttempts.unshift(`models/${session.model}`);
+
+      // Now connect to Gemini with the selected model
+      session.connect();
+
+      session.sendStatus(`Connecting with ${session.model}...`);
+    },
+
+    connect(session) {
+      // Build Gemini URL with the provided API key
+      return {
+        url: geminiLiveUrl(session.apiKey)
+      };
+    },
+
+    async onOpen(session) {
+      console.log('Connected to Gemini API');
+      const { state } = session;
+      state.setupComplete = false;
+      state.resumingWithHandle = !!state.resumeHandle;
+
+      // Don't start (or resume) a session the budget can't pay for
+      if (!checkCostBudget(session)) {
+        session.upstream.close();
+        return;
+      }
+
+      // Send setup configuration with rate limiting
+      const currentModel = session.state.modelAttempts[session.state.currentModelIndex];
+      console.log(`Attempting to use model: ${currentModel}`);
+
+      const setupConfig = {
+        setup: {
+          model: currentModel,
+          generation_config: {
+            // The Live API allows one response modality per session
+            response_modalities: session.state.audioResponses ? ['AUDIO'] : ['TEXT'],
+            temperature: 0.7, // Reduced from 1.0 for more focused, shorter responses
+            top_p: 0.95, // Default: 0.95 (range: 0.0-1.0)
+            top_k: 40, // Reduced from 64 for more focused responses (saves quota)
+            max_output_tokens: 2048 // Reduced from 8192 to save free tier quota
+          }
+        }
+      };
+
+      // Turn detection: the client's VAD tuning, or manual activity_start/end
+      // signals (sent on ptt_start/ptt_end) for push-to-talk
+      setupConfig.setup.realtime_input_config = {
+        automatic_activity_detection: activityDetection(session.turnDetection)
+      };
+
+      // Spoken replies carry no text, so ask for a transcript to show alongside
+      if (session.state.audioResponses) {
+        setupConfig.setup.output_audio_transcription = {};
+      }
+
+      // What the user said, kept as text so the conversation can be replayed
+      setupConfig.setup.input_audio_transcription = {};
+
+      // Ask for resumption handles, and use the latest one to pick the old session back up
+      setupConfig.setup.session_resumption = state.resumeHandle ? { handle: state.resumeHandle } : {};
+
+      // Server-side tools (see server/tools.js)
+      if (tools.size > 0) {
+        setupConfig.setup.tools = tools.toGeminiTools();
+      }
+
+      // Persona: system prompt, temperature and reply length
+      if (session.persona) {
+        const { generation_config: generationConfig } = setupConfig.setup;
+        generationConfig.temperature = personaTemperature(session.persona, 'gemini', generationConfig.temperature);
+        generationConfig.max_output_tokens = personaMaxTokens(session.persona, 'realtime');
+        setupConfig.setup.system_instruction = {
+          parts: [{ text: personaInstructions(session.persona) }]
+        };
+      }
+
+      // Use rate limiter for setup request
+      try {
+        await session.rateLimiter.enqueueRequest(
+          () => {
+            session.sendUpstream(setupConfig);
+            return Promise.resolve();
+          },
+          (error) => {
+            console.error('Setup request failed:', error);
+          },
+          { priority: PRIORITY.CONTROL }
+        );
+      } catch (error) {
+        console.error('Rate limiter error during setup:', error);
+      }
+    },
+
+    async sendMessage(session, data) {
+      // Barge-in: Gemini has no cancel, so the rest of the reply is just not relayed
+      // (its own voice activity detection interrupts the model when the user speaks)
+      if (data.type === 'interrupt') {
+        if (session.state.isSpeaking) {
+          session.state.replyInterrupted = true;
+          console.log(`[Gemini] Reply interrupted after ${Math.round(Number(data.playedMs) || 0)}ms (user ${session.userId})`);
+        }
+        session.send({ type: 'audio_interrupted' });
+        return;
+      }
+
+      if (!checkCostBudget(session)) {
+        return;
+      }
+
+      // Transform and send message to Gemini with rate limiting
+      const geminiMessage = transformMessageForGemini(data, session, frameChangeThreshold);
+      if (geminiMessage === DUPLICATE_FRAME) {
+        session.state.unchangedFrames++;
+        return;
+      }
+      if (!geminiMessage) {
+        // Validation failed - notify client
+        session.sendError(ERROR_CODES.INVALID_MESSAGE, 'Invalid message', `Message type '${data.type}' can't be used in this session. Check console for details.`, { messageType: data.type });
+        return;
+      }
+
+      if (data.type === 'text') {
+        rememberTurn(session, 'user', data.text);
+      } else if (data.type === 'video_frame') {
+        session.state.lastFrame = data.data;
+      }
+
+      const status = session.rateLimiter.getStatus();
+
+      // Warn when approaching daily quota (80% = 1200/1500)
+      const dailyUsagePercent = (status.requestsToday / session.rateLimiter.requestsPerDay) * 100;
+      if (dailyUsagePercent >= 80 && dailyUsagePercent < 82) {
+        session.sendWarning(WARNING_CODES.QUOTA_WARNING, `⚠️ 80% of daily quota used (${status.requestsToday}/${session.rateLimiter.requestsPerDay}). Resets at midnight PT.`);
+      } else if (dailyUsagePercent >= 90 && dailyUsagePercent < 92) {
+        session.sendWarning(WARNING_CODES.QUOTA_WARNING, `⚠️ 90% of daily quota used (${status.requestsToday}/${session.rateLimiter.requestsPerDay}). Nearly exhausted!`);
+      }
+
+      // At most one frame waits in the limiter queue; a newer frame replaces it
+      // (the queue depth reaches the page through flow_control reports)
+      if (data.type === 'video_frame') {
+        queueFrame(session, geminiMessage);
+        return;
+      }
+
+      enqueueSend(session, geminiMessage, messageQueueOptions(data.type)).catch(error => {
+        if (error.code === REQUEST_EXPIRED) {
+          return; // Audio that sat in the queue too long; dropping it keeps the conversation live
+        }
+        console.error('Failed to send message:', error);
+        session.sendError(ERROR_CODES.MESSAGE_FAILED, 'Failed to send message', 'Message delivery failed. Please try again.');
+      });
+    },
+
+    translateEvent(session, response) {
+      // Handle setup errors
+      if (response.error) {
+        const errorMessage = response.error.message || JSON.stringify(response.error);
+        console.error(`Setup error: ${errorMessage}`);
+        session.countError();
+
+        // Check if it's a model-related error
+        if (isModelError(errorMessage)) {
+          if (advanceModel(session)) {
+            // Close current connection; the close hook reconnects with the next model
+            session.state.pendingModelFallback = true;
+            session.upstream.close();
+          } else {
+            session.sendError(ERROR_CODES.MODEL_UNAVAILABLE, 'Model not supported', 'All model attempts failed. Realtime API may require experimental models.');
+          }
+          return;
+        }
+      }
+
+      // Handle setup complete
+      if (response.setupComplete) {
+        handleSetupComplete(session);
+      }
+
+      // Handle model responses
+      if (response.serverContent?.modelTurn?.parts) {
+        const textParts = response.serverContent.modelTurn.parts
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join(' ');
+
+        if (textParts.trim()) {
+          session.state.replyText += textParts;
+          session.send({
+            type: 'ai_response_delta',
+            text: textParts
+          });
+        }
+
+        // Native audio: PCM16 chunks, played by the browser's PCM16AudioPlayer
+        for (const part of response.serverContent.modelTurn.parts) {
+          if (part.inlineData?.mimeType?.startsWith('audio/') && part.inlineData.data && !session.state.replyInterrupted) {
+            session.state.isSpeaking = true;
+            session.send({
+              type: 'audio_response_delta',
+              audio: part.inlineData.data,
+              sampleRate: getSampleRate(part.inlineData.mimeType)
+            });
+          }
+        }
+      }
+
+      // Transcript of the user's speech
+      if (response.serverContent?.inputTranscription?.text) {
+        session.state.inputTranscript += response.serverContent.inputTranscription.text;
+        session.send({
+          type: 'user_transcription',
+          text: session.state.inputTranscript,
+          transcription: session.state.inputTranscript
+        });
+      }
+
+      // Transcript of the spoken reply (sent in full so far, like a growing caption)
+      if (response.serverContent?.outputTranscription?.text) {
+        session.state.outputTranscript += response.serverContent.outputTranscription.text;
+        session.send({
+          text: session.state.outputTranscript,
+          type: 'ai_response_delta'
+        });
+      }
+
+      // End of the model's turn (or the user interrupted it)
+      if (response.serverContent?.turnComplete || response.serverContent?.interrupted) {
+        // The user spoke over the reply; the browser drops what it still has queued
+        if (response.serverContent.interrupted && session.state.isSpeaking) {
+          session.send({
+            type: 'audio_interrupted'
+          });
+        }
+        if (session.state.isSpeaking) {
+          session.send({
+            type: 'audio_response_complete'
+          });
+        }
+        if (session.state.outputTranscript) {
+          session.send({
+            text: session.state.outputTranscript,
+            type: 'ai_response_complete'
+          });
+        }
+        archiveTurn(session);
+        session.state.isSpeaking = false;
+        session.state.replyInterrupted = false;
+      }
+
+      // Newest handle for resuming this session after a disconnect
+      if (response.sessionResumptionUpdate) {
+        const { newHandle, resumable } = response.sessionResumptionUpdate;
+        if (resumable && newHandle) {
+          session.state.resumeHandle = newHandle;
+        }
+      }
+
+      // Gemini is about to end the connection; the close hook reconnects
+      if (response.goAway) {
+        console.log(`[Gemini] Server will disconnect in ${response.goAway.timeLeft || 'a moment'} (user ${session.userId})`);
+      }
+
+      // The model wants tools run; answer every call in one tool_response
+      if (response.toolCall?.functionCalls) {
+        handleToolCall(session, response.toolCall.functionCalls).catch(error => {
+          console.error('[Gemini] Tool call failed:', error);
+        });
+      }
+
+      // Calls the model no longer needs (e.g. the user interrupted); they are
+      // quick local tools, so this only skips sending their results
+      if (response.toolCallCancellation?.ids) {
+        for (const id of response.toolCallCancellation.ids) {
+          session.state.cancelledToolCalls.add(id);
+        }
+      }
+
+      // Token usage for the turn
+      if (response.usageMetadata) {
+        recordUsage(session, session.state.modelAttempts[session.state.currentModelIndex], response.usageMetadata, 'live');
+      }
+    },
+
+    onClientClose(session) {
+      if (session.state.unchangedFrames > 0) {
+        console.log(`[Gemini] Skipped ${session.state.unchangedFrames} unchanged camera frame(s) (user ${session.userId})`);
+      }
+    },
+
+    close(session, code, reasonStr) {
+      const { state } = session;
+
+      // A reply cut off by the disconnect still belongs to the conversation
+      archiveTurn(session);
+      state.isSpeaking = false;
+      state.replyInterrupted = false;
+
+      // The handle didn't get us a session (expired or rejected); replay history instead
+      if (state.resumingWithHandle && !state.setupComplete) {
+        console.warn('[Gemini] Session resumption failed, falling back to replaying history');
+        state.resumeHandle = null;
+      }
+
+      // Budget is spent - reconnecting would only hit the limit again
+      if (state.costLimited) {
+        return null;
+      }
+
+      // We closed the socket ourselves after a setup error - try the next model
+      if (state.pendingModelFallback) {
+        state.pendingModelFallback = false;
+        return 1000;
+      }
+
+      // Handle quota exceeded error
+      if (code === 1011 || reasonStr.includes('quota') || reasonStr.includes('RESOURCE_EXHAUSTED')) {
+        console.error('Gemini API quota exceeded. Please check your billing or wait for quota reset.');
+        session.countError();
+        session.sendError(ERROR_CODES.QUOTA_EXCEEDED, 'API quota exceeded', 'API quota exceeded. Free tier limits (2025): ~100 requests/day for Gemini. Please wait for daily quota reset at midnight Pacific time, or upgrade your plan in Google AI Studio.');
+        // Don't auto-reconnect if quota is exceeded
+        return null;
+      }
+
+      // Handle rate limit errors (429)
+      if (code === 1008 || code === 1013 || reasonStr.includes('rate limit') || reasonStr.includes('RATE_LIMIT_EXCEEDED')) {
+        console.error('Gemini API rate limit exceeded. Activating exponential backoff...');
+
+        // Use rate limiter's backoff strategy
+        session.rateLimiter.handleRateLimitError();
+        session.countError();
+
+        const status = session.rateLimiter.getStatus();
+        session.sendError(ERROR_CODES.RATE_LIMITED, 'Rate limit exceeded', `Rate limit exceeded. Free tier (2025): ~8 requests/min, ~100/day. Backing off for ${Math.round(status.backoffDelay / 1000)}s... (Requests this minute: ${status.requestsLastMinute}/${session.rateLimiter.requestsPerMinute}, Today: ${status.requestsToday}/${session.rateLimiter.requestsPerDay})`);
+
+        // Reconnect after backoff period
+        return status.backoffDelay;
+      }
+
+      // Handle unsupported model error - try next model in fallback list
+      if (isModelError(reasonStr)) {
+        if (advanceModel(session)) {
+          // Try next model after a short delay
+          return 1000;
+        }
+
+        // All models failed
+        console.error('All model attempts failed. Realtime API may require experimental models.');
+        session.sendError(ERROR_CODES.MODEL_UNAVAILABLE, 'Model not supported', 'No supported models found. Realtime API (BidiGenerateContent) may only support experimental models. Please check your API key permissions or try using gemini-2.0-flash-exp.');
+        return null;
+      }
+
+      // Attempt reconnection after 2 seconds for other errors
+      return 2000;
+    },
+
+    chat: handleChat
+  };
+}
+
+module.exports = { createGeminiAdapter, transformMessageForGemini, DUPLICATE_FRAME };
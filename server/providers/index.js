@@ -0,0 +1,33 @@
+// Provider registry: maps a WebSocket path to the adapter that serves it.
+// Adding a backend means writing an adapter (see proxy-session.js for the
+// hooks) and registering it here under its own path.
+const { createGeminiAdapter } = require('./gemini');
+const { createOpenAIAdapter } = require('./openai');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(path, adapter) {
+    if (this.providers.has(path)) {
+      throw new Error(`A provider is already registered for ${path}`);
+    }
+    this.providers.set(path, adapter);
+    return this;
+  }
+
+  get(path) {
+    return this.providers.get(path) || null;
+  }
+
+  entries() {
+    return Array.from(this.providers.entries());
+  }
+}
+
+module.exports = {
+  ProviderRegistry,
+  createGeminiAdapter,
+  createOpenAIAdapter
+};
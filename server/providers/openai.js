@@ -0,0 +1,889 @@
+// OpenAI Realtime API adapter for the WebSocket proxy
+const OpenAI = require('openai');
+const { tokensFromOpenAIUsage, tokensFromRealtimeUsage, estimateTextTokens, estimatePromptTokens } = require('../pricing');
+const { resolvePersona, personaInstructions, personaTemperature, personaMaxTokens } = require('../personas');
+const { isPushToTalk } = require('../turn-detection');
+const { openaiRealtimeUrl, openaiClientOptions } = require('../provider-urls');
+const { ERROR_CODES, WARNING_CODES } = require('../protocol');
+const { costLimitMessage } = require('../cost-budget');
+const { PRIORITY, REQUEST_EXPIRED, messageQueueOptions } = require('../fair-queue');
+
+// Available OpenAI Realtime models (default to cheaper mini model)
+const REALTIME_MODELS = [
+  'gpt-4o-mini-realtime-preview-2024-12-17', // Default to cheaper model
+  'gpt-4o-realtime-preview-2024-10-01'
+];
+
+// Build a Chat Completions content array from the current message's attachments
+const buildFileContent = (files) => {
+  const content = [];
+  for (const file of files || []) {
+    if (file.type.startsWith('image/')) {
+      content.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${file.type};base64,${file.data}`
+        }
+      });
+    } else {
+      content.push({
+        type: 'text',
+        text: `[File: ${file.name}]`
+      });
+    }
+  }
+  return content;
+};
+
+// Voices the Realtime API accepts (the browser's list is in app/lib/voices.js)
+const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+const DEFAULT_VOICE = 'alloy';
+
+// Length of a base64 PCM16 chunk (Realtime output audio is 24kHz mono)
+const pcm16DurationMs = (base64Audio, sampleRate = 24000) => {
+  const padding = base64Audio.endsWith('==') ? 2 : base64Audio.endsWith('=') ? 1 : 0;
+  const bytes = (base64Audio.length * 3) / 4 - padding;
+  return (bytes / 2 / sampleRate) * 1000;
+};
+
+// Default minimum gap between camera frames forwarded to a Realtime session
+// (every frame becomes image input tokens in the conversation)
+const DEFAULT_FRAME_INTERVAL_MS = 4000;
+
+function createOpenAIAdapter({ limiters, costLedger, tools, frameIntervalMs = DEFAULT_FRAME_INTERVAL_MS }) {
+  // Send a message to OpenAI through the rate limiter. Session control
+  // (config, tool outputs, responses, cancels) goes ahead of queued user input.
+  const enqueueSend = (session, message, options = { priority: PRIORITY.CONTROL }) => {
+    return session.rateLimiter.enqueueRequest(() => {
+      session.sendUpstream(message);
+      return Promise.resolve();
+    }, undefined, options);
+  };
+
+  const sessionModel = (session) => session.model || REALTIME_MODELS[0];
+
+  // Price reported token usage into the shared ledger (the limiters enforce budgets from it)
+  const recordUsage = (session, model, tokens, source) => {
+    const cost = costLedger.record({ provider: 'openai', userId: session.userId, model, tokens, source });
+    session.state.sessionCost += cost;
+  };
+
+  // The tighter of the user's own hourly budget and the global one
+  const bindingBudget = (status) => {
+    const { global } = status;
+    if (global && global.totalCostThisHour / global.maxCostPerHour > status.totalCostThisHour / status.maxCostPerHour) {
+      return global;
+    }
+    return status;
+  };
+
+  // Check cost limits and send warnings; returns false once the budget is spent
+  // (fields are added to the error, e.g. scope: 'chat')
+  const checkCostBudget = (session, fields) => {
+    const status = bindingBudget(session.rateLimiter.getStatus());
+    const costPercentage = (status.totalCostThisHour / status.maxCostPerHour) * 100;
+
+    // Send warning at 50% and 80% thresholds
+    if (costPercentage >= 80 && costPercentage < 95) {
+      session.sendWarning(WARNING_CODES.COST_WARNING, `⚠️ 80% of hourly budget used ($${status.totalCostThisHour.toFixed(3)}/$${status.maxCostPerHour})`);
+    } else if (costPercentage >= 50 && costPercentage < 55) {
+      session.sendWarning(WARNING_CODES.COST_WARNING, `⚠️ 50% of hourly budget used ($${status.totalCostThisHour.toFixed(3)}/$${status.maxCostPerHour})`);
+    }
+
+    if (status.totalCostThisHour >= status.maxCostPerHour) {
+      session.sendError(ERROR_CODES.COST_LIMIT, 'Cost limit reached', costLimitMessage(status), fields);
+      return false;
+    }
+
+    return true;
+  };
+
+  // Add the latest camera frame to the conversation as image input.
+  // No response.create: the image is context for the user's next spoken turn.
+  const sendLatestFrame = async (session) => {
+    const { state } = session;
+    state.frameTimer = null;
+
+    const frame = state.latestFrame;
+    state.latestFrame = null;
+    if (!frame || !session.isUpstreamReady()) {
+      return;
+    }
+
+    state.lastFrameSentAt = Date.now();
+    try {
+      await enqueueSend(session, {
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{
+            type: 'input_image',
+            image_url: `data:image/jpeg;base64,${frame.data}`
+          }]
+        }
+      }, messageQueueOptions('video_frame'));
+      state.framesSent++;
+    } catch (error) {
+      if (error.code === REQUEST_EXPIRED) {
+        session.framesDropped++;
+        return;
+      }
+      console.error('[OpenAI] Failed to send video frame:', error);
+    }
+  };
+
+  // Throttle frames with a "latest frame only" policy: frames arriving within
+  // the interval replace the pending one, so the model always sees the newest view
+  const queueFrame = (session, data) => {
+    const { state } = session;
+
+    if (!data.data || typeof data.data !== 'string') {
+      console.error('[OpenAI] Invalid video frame: missing or invalid data');
+      return;
+    }
+
+    if (session.isAudioOnlyMode) {
+      console.warn('[OpenAI] Video frame received in audio-only mode, ignoring');
+      return;
+    }
+
+    if (state.latestFrame) {
+      session.framesDropped++;
+    }
+    state.latestFrame = data;
+
+    if (state.frameTimer) {
+      return; // Already scheduled; it will pick up this frame
+    }
+
+    const wait = Math.max(0, state.lastFrameSentAt + frameIntervalMs - Date.now());
+    if (wait === 0) {
+      sendLatestFrame(session);
+    } else {
+      state.frameTimer = setTimeout(() => sendLatestFrame(session), wait);
+    }
+  };
+
+  const clearFrames = (session) => {
+    const { state } = session;
+    if (state.frameTimer) {
+      clearTimeout(state.frameTimer);
+      state.frameTimer = null;
+    }
+    state.latestFrame = null;
+  };
+
+  // Run a function call and add its output to the conversation. The follow-up
+  // response.create waits for response.done (see below), since a response may
+  // contain several calls and only one response can be active at a time.
+  const handleFunctionCall = (session, event) => {
+    let args = {};
+    try {
+      args = event.arguments ? JSON.parse(event.arguments) : {};
+    } catch (error) {
+      console.error('[OpenAI] Invalid function call arguments:', event.arguments);
+    }
+
+    const pending = session.callTool({ id: event.call_id, name: event.name, args })
+      .then(output => enqueueSend(session, {
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: event.call_id,
+          output: JSON.stringify(output)
+        }
+      }));
+    session.state.pendingToolCalls.push(pending);
+  };
+
+  // After a response that called tools, ask the model to continue with their results
+  const continueAfterToolCalls = async (session) => {
+    const pending = session.state.pendingToolCalls;
+    session.state.pendingToolCalls = [];
+
+    await Promise.allSettled(pending);
+    await enqueueSend(session, { type: 'response.create' });
+  };
+
+  // Server VAD with the client's tuning, or none for push-to-talk (turns are
+  // committed by ptt_end instead)
+  const realtimeTurnDetection = (turnDetection) => {
+    if (isPushToTalk(turnDetection)) {
+      return null;
+    }
+    return {
+      type: 'server_vad', // Server-side VAD helps reduce cost by not billing silence
+      threshold: turnDetection.threshold,
+      prefix_padding_ms: turnDetection.prefixPaddingMs,
+      silence_duration_ms: turnDetection.silenceDurationMs
+    };
+  };
+
+  // Push-to-talk: the input buffer is cleared when the talk button goes down and
+  // committed (followed by response.create) when it is released
+  const handlePushToTalk = async (session, data) => {
+    const { state } = session;
+
+    if (!isPushToTalk(session.turnDetection)) {
+      console.warn(`[OpenAI] ${data.type} ignored, session uses voice activity detection`);
+      return;
+    }
+
+    try {
+      if (data.type === 'ptt_start') {
+        state.pttAudioChunks = 0;
+        await enqueueSend(session, { type: 'input_audio_buffer.clear' }, messageQueueOptions(data.type));
+        return;
+      }
+
+      // Committing an empty buffer is an API error, so a quick tap does nothing
+      if (state.pttAudioChunks === 0) {
+        console.log('[OpenAI] Push-to-talk released without audio, nothing to commit');
+        return;
+      }
+      state.pttAudioChunks = 0;
+      await enqueueSend(session, { type: 'input_audio_buffer.commit' }, messageQueueOptions(data.type));
+      await enqueueSend(session, { type: 'response.create' });
+    } catch (error) {
+      console.error(`[OpenAI] Failed to handle ${data.type}:`, error);
+    }
+  };
+
+  // Barge-in: the user interrupted the assistant. playedMs is how much of the
+  // reply the browser actually played, so the conversation item is truncated
+  // to that point and the model doesn't assume the user heard the rest.
+  const interruptResponse = async (session, playedMs) => {
+    const { state } = session;
+
+    try {
+      if (state.responseActive) {
+        await enqueueSend(session, { type: 'response.cancel' });
+      }
+
+      const audio = state.assistantAudio;
+      if (audio && audio.itemId !== state.interruptedItemId) {
+        // The API rejects an end past the audio it generated
+        const audioEndMs = Math.min(audio.sentMs, Math.max(0, Math.round(Number(playedMs) || 0)));
+        state.interruptedItemId = audio.itemId;
+        await enqueueSend(session, {
+          type: 'conversation.item.truncate',
+          item_id: audio.itemId,
+          content_index: audio.contentIndex,
+          audio_end_ms: audioEndMs
+        });
+        console.log(`[OpenAI] Interrupted reply after ${audioEndMs}ms of ${Math.round(audio.sentMs)}ms (user ${session.userId})`);
+      }
+    } catch (error) {
+      console.error('[OpenAI] Failed to interrupt response:', error);
+    }
+
+    // Audio after this point is not from the interrupted reply
+    session.send({ type: 'audio_interrupted' });
+  };
+
+  // Switch voice mid-session. OpenAI only lets a session change voice before
+  // the assistant has spoken, so after that the upstream session is restarted
+  // (the close hook reconnects it with the new voice).
+  const changeVoice = async (session, voice) => {
+    const { state } = session;
+
+    if (!REALTIME_VOICES.includes(voice)) {
+      session.sendError(ERROR_CODES.UNKNOWN_VOICE, 'Unknown voice', `Voice "${voice}" is not available`);
+      return;
+    }
+    if (voice === state.voice) {
+      return;
+    }
+
+    state.voice = voice;
+    console.log(`[OpenAI] Voice changed to ${voice} (user ${session.userId})`);
+
+    if (state.hasAssistantAudio) {
+      session.send({
+        type: 'voice_changed',
+        voice,
+        text: `Switching to ${voice} - restarting the voice session (earlier conversation is not carried over)`
+      });
+      state.pendingVoiceRestart = true;
+      session.upstream.close();
+      return;
+    }
+
+    try {
+      await enqueueSend(session, {
+        type: 'session.update',
+        session: { voice }
+      });
+      session.send({ type: 'voice_changed', voice });
+    } catch (error) {
+      console.error('[OpenAI] Failed to change voice:', error);
+    }
+  };
+
+  const handleChat = async (session, data) => {
+    if (!session.apiKey) {
+      session.sendError(ERROR_CODES.NO_API_KEY, 'No API key configured', 'Please configure your OpenAI API key', { scope: 'chat' });
+      return;
+    }
+
+    // Chat spends from the same hourly budget as the realtime session
+    if (!checkCostBudget(session, { scope: 'chat' })) {
+      return;
+    }
+
+    // Process chat message with o3 or other models
+    try {
+      const openai = new OpenAI(openaiClientOptions(session.apiKey));
+      const currentModel = data.model || session.model || 'gpt-4o';
+      // The chat can switch persona mid-session; fall back to the one picked at start
+      const persona = resolvePersona(data.persona) || session.persona;
+
+      // Use client-sent conversation history if available (prevents history loss on reconnect)
+      let messages = [];
+
+      if (data.conversationHistory && data.conversationHistory.length > 0) {
+        // Client sent full conversation history (text-only, without file data)
+        console.log(`[Chat] Using client-sent history (${data.conversationHistory.length} messages)`);
+
+        // Build messages from history (text only - files not included to reduce payload size)
+        messages = data.conversationHistory.slice(0, -1).map(msg => {
+          // For history messages, only include text
+          // File metadata (fileCount, fileNames) is for reference only
+          return {
+            role: msg.role,
+            content: msg.text || ''
+          };
+        });
+
+        // Add current message (last one in history) with actual file attachments
+        const currentMessage = data.conversationHistory[data.conversationHistory.length - 1];
+        const currentContent = [];
+
+        if (currentMessage.text) {
+          currentContent.push({
+            type: 'text',
+            text: currentMessage.text
+          });
+        }
+
+        // Add current message file attachments from data.files (has base64 data)
+        currentContent.push(...buildFileContent(data.files));
+
+        messages.push({
+          role: 'user',
+          content: currentContent.length === 1 ? currentContent[0].text : currentContent
+        });
+      } else {
+        // Fallback: build from current message only (legacy support)
+        const messageContent = [];
+
+        if (data.text) {
+          messageContent.push({
+            type: 'text',
+            text: data.text
+          });
+        }
+
+        // Add file attachments (images)
+        messageContent.push(...buildFileContent(data.files));
+
+        messages = [{
+          role: 'user',
+          content: messageContent
+        }];
+      }
+
+      if (persona) {
+        messages.unshift({ role: 'system', content: personaInstructions(persona) });
+      }
+
+      console.log(`[Chat] Sending to ${currentModel} (${messages.length} messages in context)`);
+
+      // Build API parameters based on model
+      let completionParams = {
+        model: currentModel,
+        messages: messages
+      };
+
+      // Add o3-specific parameters
+      if (currentModel === 'o3') {
+        const tokenLimit = parseInt(data.tokenLimit) || 100000;
+        let reasoningEffort = 'medium';
+
+        if (tokenLimit <= 25000) {
+          reasoningEffort = 'low';
+        } else if (tokenLimit >= 80000) {
+          reasoningEffort = 'high';
+        }
+
+        completionParams.reasoning_effort = reasoningEffort;
+        completionParams.max_completion_tokens = tokenLimit;
+
+        console.log(`[o3] Token limit: ${tokenLimit}, reasoning effort: ${reasoningEffort}`);
+      } else {
+        // For GPT-4o and other models, use standard parameters
+        completionParams.max_tokens = persona ? personaMaxTokens(persona, 'chat') : 4096;
+        completionParams.temperature = persona ? personaTemperature(persona, 'openai', 0.7) : 0.7;
+      }
+
+      // Call OpenAI Chat Completions API and stream the answer back token by token
+      completionParams.stream = true;
+      completionParams.stream_options = { include_usage: true }; // Usage arrives in the last chunk
+      const stream = await openai.chat.completions.create(completionParams);
+      let responseText = '';
+      let usage = null;
+
+      try {
+        for await (const chunk of stream) {
+          // Breaking out of the loop aborts the request if the client went away
+          if (!session.isActive()) {
+            console.log('[Chat] Client disconnected, abandoning stream');
+            return;
+          }
+
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            responseText += delta;
+            session.send({
+              type: 'chat_response_delta',
+              text: delta
+            });
+          }
+
+          if (chunk.usage) {
+            usage = chunk.usage;
+          }
+        }
+
+        session.send({
+          type: 'chat_response_done',
+          text: responseText || 'No response generated'
+        });
+      } finally {
+        // An aborted or failed stream never gets its final usage chunk; count
+        // the prompt and the text streamed so far against the budget instead
+        recordUsage(session, currentModel, tokensFromOpenAIUsage(usage || {
+          prompt_tokens: estimatePromptTokens(messages),
+          completion_tokens: estimateTextTokens(responseText)
+        }), 'chat');
+      }
+
+      console.log('[Chat] Response streamed successfully');
+    } catch (error) {
+      console.error('[Chat] Error:', error);
+      session.countError();
+      session.sendError(ERROR_CODES.CHAT_FAILED, 'Chat failed', `Error: ${error.message}`, { scope: 'chat' });
+    }
+  };
+
+  return {
+    name: 'OpenAI',
+    limiters,
+    tools,
+    apiKeyEnv: 'OPENAI_API_KEY',
+
+    createState() {
+      return {
+        // Session stats (cost comes from reported token usage)
+        sessionStartTime: null,
+        totalAudioSeconds: 0,
+        sessionCost: 0,
+        // Set when we close the socket ourselves because the budget is spent
+        costLimited: false,
+        // Camera frames (throttled, latest frame only)
+        latestFrame: null,
+        lastFrameSentAt: 0,
+        frameTimer: null,
+        framesSent: 0,
+        // Tool calls of the current response, answered before the next one
+        pendingToolCalls: [],
+        // Realtime voice; it can only change before the assistant first speaks
+        voice: DEFAULT_VOICE,
+        hasAssistantAudio: false,
+        // Set when we close the socket ourselves to apply a new voice
+        pendingVoiceRestart: false,
+        // Audio chunks appended since the push-to-talk button went down
+        pttAudioChunks: 0,
+        // Barge-in: whether a response is in progress, the assistant audio item
+        // being streamed ({ itemId, contentIndex, sentMs }) and the last item cut short
+        responseActive: false,
+        assistantAudio: null,
+        interruptedItemId: null
+      };
+    },
+
+    selectModel(session, data) {
+      session.state.voice = REALTIME_VOICES.includes(data.voice) ? data.voice : DEFAULT_VOICE;
+
+      // For o3 model, don't connect to realtime API (it uses chat completions instead)
+      if (session.model === 'o3') {
+        session.sendStatus('Ready to chat with OpenAI o3 (reasoning model)');
+        return;
+      }
+
+      // Connect to OpenAI Realtime API for other models
+      session.connect();
+
+      session.sendStatus(`Connecting to OpenAI with ${session.model}...`);
+    },
+
+    connect(session) {
+      const model = sessionModel(session);
+      console.log(`Connecting to OpenAI with model: ${model}`);
+
+      // OpenAI Realtime API WebSocket URL
+      return {
+        url: openaiRealtimeUrl(model),
+        headers: {
+          'Authorization': `Bearer ${session.apiKey}`,
+          'OpenAI-Beta': 'realtime=v1'
+        }
+      };
+    },
+
+    async onOpen(session) {
+      console.log('Connected to OpenAI Realtime API');
+      session.state.sessionStartTime = Date.now();
+      session.state.hasAssistantAudio = false; // New upstream session, nothing said yet
+      session.state.responseActive = false;
+      session.state.assistantAudio = null;
+      session.state.interruptedItemId = null;
+
+      // Check cost limits before starting
+      const status = bindingBudget(session.rateLimiter.getStatus());
+      if (status.totalCostThisHour >= status.maxCostPerHour) {
+        session.sendError(ERROR_CODES.COST_LIMIT, 'Cost limit reached', `Hourly cost limit reached ($${status.maxCostPerHour}). Resets in ${status.minutesUntilCostReset} minutes.`);
+        session.state.costLimited = true;
+        session.upstream.close();
+        return;
+      }
+
+      // Configure the session with minimal system prompt for cost savings
+      // Note: Keep instructions brief - they're charged on every interaction
+      const sessionConfig = {
+        type: 'session.update',
+        session: {
+          modalities: ['text', 'audio'],
+          instructions: 'AI', // Ultra-short to minimize costs (charged per interaction)
+          voice: session.state.voice,
+          input_audio_format: 'pcm16',
+          output_audio_format: 'pcm16',
+          input_audio_transcription: {
+            model: 'whisper-1'
+          },
+          turn_detection: realtimeTurnDetection(session.turnDetection),
+          temperature: 0.7, // Reduced from 0.8 for shorter responses
+          max_response_output_tokens: 1024 // Reduced from 2048 to save costs (50% reduction)
+        }
+      };
+
+      // Persona: system prompt, temperature and reply length
+      if (session.persona) {
+        sessionConfig.session.instructions = personaInstructions(session.persona);
+        sessionConfig.session.temperature = personaTemperature(session.persona, 'openai-realtime', sessionConfig.session.temperature);
+        sessionConfig.session.max_response_output_tokens = personaMaxTokens(session.persona, 'realtime');
+      }
+
+      // Server-side tools (see server/tools.js)
+      if (tools.size > 0) {
+        sessionConfig.session.tools = tools.toOpenAITools();
+        sessionConfig.session.tool_choice = 'auto';
+      }
+
+      // Use rate limiter for session config
+      try {
+        await enqueueSend(session, sessionConfig);
+      } catch (error) {
+        console.error('[OpenAI] Failed to configure session:', error);
+      }
+
+      const welcomeMessage = session.isAudioOnlyMode
+        ? 'OpenAI Audio Active - I can hear you now!'
+        : 'OpenAI Vision Active - I can see and hear you now!';
+
+      session.sendStatus(welcomeMessage);
+
+      // Process buffered messages with proper async handling
+      await session.markReady();
+    },
+
+    async sendMessage(session, data) {
+      if (!session.isUpstreamReady()) {
+        return;
+      }
+
+      if (!checkCostBudget(session)) {
+        return;
+      }
+
+      if (data.type === 'audio_chunk') {
+        // Track audio duration (approximately 100ms chunks)
+        session.state.totalAudioSeconds += 0.1;
+        session.state.pttAudioChunks++;
+
+        // Send audio to OpenAI with rate limiting
+        try {
+          await enqueueSend(session, {
+            type: 'input_audio_buffer.append',
+            audio: data.data
+          }, messageQueueOptions(data.type));
+        } catch (error) {
+          if (error.code === REQUEST_EXPIRED) {
+            return; // Sat in the queue too long; dropping it keeps the conversation live
+          }
+          console.error('[OpenAI] Failed to send audio chunk:', error);
+        }
+      } else if (data.type === 'video_frame') {
+        queueFrame(session, data);
+      } else if (data.type === 'voice_change') {
+        await changeVoice(session, data.voice);
+      } else if (data.type === 'ptt_start' || data.type === 'ptt_end') {
+        await handlePushToTalk(session, data);
+      } else if (data.type === 'interrupt') {
+        await interruptResponse(session, data.playedMs);
+      } else if (data.type === 'text') {
+        // Send text message with rate limiting
+        try {
+          await session.rateLimiter.enqueueRequest(
+            async () => {
+              session.sendUpstream({
+                type: 'conversation.item.create',
+                item: {
+                  type: 'message',
+                  role: 'user',
+                  content: [{
+                    type: 'input_text',
+                    text: data.text
+                  }]
+                }
+              });
+
+              // Trigger response
+              await new Promise(resolve => setTimeout(resolve, 50));
+              session.sendUpstream({
+                type: 'response.create'
+              });
+            },
+            undefined,
+            messageQueueOptions(data.type)
+          );
+        } catch (error) {
+          console.error('[OpenAI] Failed to send text message:', error);
+        }
+      }
+    },
+
+    translateEvent(session, event) {
+      console.log('OpenAI event type:', event.type);
+
+      // Handle different event types
+      switch (event.type) {
+        case 'session.created':
+        case 'session.updated':
+          console.log('Session configured:', event.session);
+          break;
+
+        case 'conversation.item.created':
+          console.log('Conversation item created');
+          break;
+
+        case 'input_audio_buffer.speech_started':
+          // User started speaking (detected by server VAD)
+          session.send({
+            type: 'user_speaking_started'
+          });
+          break;
+
+        case 'input_audio_buffer.speech_stopped':
+          // User stopped speaking
+          session.send({
+            type: 'user_speaking_stopped'
+          });
+          break;
+
+        case 'input_audio_buffer.committed':
+          // Audio buffer committed for processing
+          console.log('Audio buffer committed');
+          break;
+
+        case 'response.created':
+          session.state.responseActive = true;
+          break;
+
+        case 'response.audio.delta':
+          // AI's voice response (PCM16 audio chunks)
+          if (event.delta) {
+            const { state } = session;
+            // The rest of a reply the user interrupted is dropped
+            if (event.item_id && event.item_id === state.interruptedItemId) {
+              break;
+            }
+            if (state.assistantAudio?.itemId !== event.item_id) {
+              state.assistantAudio = { itemId: event.item_id, contentIndex: event.content_index || 0, sentMs: 0 };
+            }
+            state.assistantAudio.sentMs += pcm16DurationMs(event.delta);
+            state.hasAssistantAudio = true;
+            session.send({
+              type: 'audio_response_delta',
+              audio: event.delta
+            });
+          }
+          break;
+
+        case 'response.audio.done':
+          // AI finished speaking
+          session.send({
+            type: 'audio_response_complete'
+          });
+          break;
+
+        case 'response.audio_transcript.delta':
+          // AI's spoken response transcription
+          if (event.delta && event.item_id !== session.state.interruptedItemId) {
+            session.send({
+              text: event.delta,
+              type: 'ai_response_delta'
+            });
+          }
+          break;
+
+        case 'response.audio_transcript.done':
+          // Complete AI transcription
+          if (event.transcript && event.item_id !== session.state.interruptedItemId) {
+            session.send({
+              text: event.transcript,
+              type: 'ai_response_complete'
+            });
+          }
+          break;
+
+        case 'conversation.item.input_audio_transcription.completed':
+          // User's speech transcription
+          if (event.transcript) {
+            session.send({
+              text: event.transcript,
+              type: 'user_transcription',
+              transcription: event.transcript
+            });
+          }
+          break;
+
+        case 'response.text.delta':
+          // Text response delta
+          if (event.delta) {
+            session.send({
+              text: event.delta,
+              type: 'ai_response_delta'
+            });
+          }
+          break;
+
+        case 'response.text.done':
+          // Complete text response
+          if (event.text) {
+            session.send({
+              text: event.text,
+              type: 'ai_response_complete'
+            });
+          }
+          break;
+
+        case 'response.function_call_arguments.done':
+          // The model wants a tool run
+          handleFunctionCall(session, event);
+          break;
+
+        case 'response.done':
+          console.log('Response completed');
+          session.state.responseActive = false;
+          // Token usage for this response (text, audio and cached input)
+          if (event.response?.usage) {
+            recordUsage(session, sessionModel(session), tokensFromRealtimeUsage(event.response.usage), 'realtime');
+          }
+          if (session.state.pendingToolCalls.length > 0) {
+            continueAfterToolCalls(session).catch(error => {
+              console.error('[OpenAI] Failed to continue after tool calls:', error);
+            });
+          }
+          break;
+
+        case 'error':
+          // A cancel that raced with the end of the response is harmless
+          if (event.error?.code === 'response_cancel_not_active') {
+            console.log('[OpenAI] Nothing to cancel, response already finished');
+            break;
+          }
+          console.error('OpenAI error:', event.error);
+          session.countError();
+          session.sendError(
+            ERROR_CODES.PROVIDER_ERROR,
+            event.error.message || 'OpenAI API error',
+            `Error: ${event.error.message || 'Unknown error'}`
+          );
+          break;
+
+        case 'rate_limits.updated':
+          console.log('Rate limits:', event.rate_limits);
+          break;
+      }
+    },
+
+    close(session, code, reasonStr) {
+      const { state } = session;
+
+      // A pending frame belongs to the old conversation
+      clearFrames(session);
+
+      // Costs were recorded per response; just log the session total
+      if (state.sessionStartTime) {
+        const sessionDuration = (Date.now() - state.sessionStartTime) / 1000; // seconds
+
+        console.log(`[OpenAI] Session ended. Duration: ${sessionDuration.toFixed(1)}s, Cost so far: $${state.sessionCost.toFixed(4)}`);
+        state.sessionStartTime = null;
+      }
+
+      // Budget is spent - reconnecting would only hit the limit again
+      if (state.costLimited) {
+        return null;
+      }
+
+      // We closed the socket ourselves to switch voice - reconnect right away
+      if (state.pendingVoiceRestart) {
+        state.pendingVoiceRestart = false;
+        return 0;
+      }
+
+      // Handle rate limit errors
+      if (code === 1008 || reasonStr.includes('rate_limit') || reasonStr.includes('too_many_requests')) {
+        console.error('[OpenAI] Rate limit exceeded. Activating exponential backoff...');
+        session.rateLimiter.handleRateLimitError();
+        session.countError();
+
+        const status = session.rateLimiter.getStatus();
+        session.sendError(ERROR_CODES.RATE_LIMITED, 'Rate limit exceeded', `Rate limit exceeded. Backing off for ${Math.round(status.backoffDelay / 1000)}s... Cost this hour: $${status.totalCostThisHour.toFixed(4)}`);
+
+        return status.backoffDelay;
+      }
+
+      // Attempt reconnection after 2 seconds for other errors
+      return 2000;
+    },
+
+    onClientClose(session) {
+      const { state } = session;
+      clearFrames(session);
+
+      // Log session stats
+      if (state.sessionStartTime) {
+        const sessionDuration = (Date.now() - state.sessionStartTime) / 1000;
+
+        console.log(`[OpenAI] Client session stats: Duration: ${sessionDuration.toFixed(1)}s, Audio: ${state.totalAudioSeconds.toFixed(1)}s, Frames: ${state.framesSent} sent/${session.framesDropped} skipped, Cost: $${state.sessionCost.toFixed(4)}`);
+      }
+    },
+
+    chat: handleChat
+  };
+}
+
+module.exports = { createOpenAIAdapter };
@@ -0,0 +1,416 @@
+const { WebSocket } = require('ws');
+const { resolvePersona } = require('./personas');
+const { resolveTurnDetection } = require('./turn-detection');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  WARNING_CODES,
+  validateClientMessage,
+  negotiateVersion,
+  createEvent
+} = require('./protocol');
+const { FLOW_REPORT_INTERVAL_MS, MessageBuffer, flowReport } = require('./flow-control');
+
+// One client WebSocket proxied to one upstream provider.
+// Everything that is the same for every backend lives here: model selection,
+// buffering until the provider is ready, upstream reconnects and cleanup.
+// Provider-specific behaviour is delegated to the adapter hooks:
+//   connect(session)                -> { url, headers } for the upstream socket
+//   onOpen(session)                 -> upstream socket opened (send setup)
+//   sendMessage(session, data)      -> forward a client message upstream
+//   translateEvent(session, event)  -> turn an upstream event into client events
+//   close(session, code, reason)    -> upstream closed; return a reconnect delay (ms) or null
+// Optional hooks: createState, selectModel, chat, onClientClose.
+// Adapters also expose `limiters`, the per-user LimiterPool for that provider,
+// and `tools`, the ToolRegistry whose calls they run through callTool().
+// Client messages are validated against server/protocol.js before any hook sees
+// them, and everything sent to the browser goes out in the protocol envelope.
+// Once a model is selected the session reports its backlog to the browser
+// every couple of seconds (flow_control, see server/flow-control.js).
+class ProxySession {
+  // user: identity verified during the WebSocket upgrade ({ uid, email })
+  // recordings: RecordingStore (server/session-recorder.js), optional
+  // keyVault: users' saved API keys (server/key-vault.js), optional
+  constructor(clientWs, adapter, { activeConnections, user, metrics, recordings, keyVault }) {
+    this.connectionId = Date.now().toString();
+    this.clientWs = clientWs;
+    this.adapter = adapter;
+    this.activeConnections = activeConnections;
+    this.metrics = metrics;
+    this.keyVault = keyVault || null;
+
+    this.upstream = null;
+    this.isReady = false;
+    this.messageBuffer = new MessageBuffer(); // Bounded; drops the oldest frames first
+    this.framesDropped = 0; // Camera frames replaced by newer ones before reaching the provider
+    this.model = null;
+    this.apiKey = null;
+    this.userId = user.uid; // Rate limits, budgets and logs are keyed by the verified uid
+    this.rateLimiter = null; // Assigned per user once the model is selected
+    this.hasReceivedModelSelection = false;
+    this.isAudioOnlyMode = false;
+    this.persona = null; // System prompt/temperature/length from the client, see server/personas.js
+    this.turnDetection = resolveTurnDetection(null); // VAD or push-to-talk, see server/turn-detection.js
+    this.protocolVersion = PROTOCOL_VERSION; // Negotiated in model_selection
+    this.reconnectTimer = null;
+    this.flowTimer = null;
+    this.lastFlowReport = null;
+
+    // JSONL transcript of this connection when SESSION_RECORDING is on (null otherwise)
+    this.recorder = recordings ? recordings.open({
+      provider: adapter.name,
+      connectionId: this.connectionId,
+      userId: this.userId
+    }) : null;
+
+    // Per-connection provider state (model fallback index, cost tracking, ...)
+    this.state = adapter.createState ? adapter.createState(this) : {};
+
+    console.log(`${adapter.name} client connected: ${this.connectionId} (user ${this.userId})`);
+
+    // Don't connect immediately - wait for model selection
+    activeConnections.set(this.connectionId, this);
+
+    clientWs.on('message', (message) => this.handleClientMessage(message));
+    clientWs.on('close', () => this.handleClientClose());
+    clientWs.on('error', (error) => {
+      console.error(`Client WebSocket error: ${error.message}`);
+    });
+  }
+
+  get tag() {
+    return `[${this.adapter.name}]`;
+  }
+
+  // Per-model counters for the status endpoint
+  countRequest() {
+    this.metrics.countRequest(this.adapter.name.toLowerCase(), this.model || undefined);
+  }
+
+  countError() {
+    this.metrics.countError(this.adapter.name.toLowerCase(), this.model || undefined);
+  }
+
+  // Send an event ({ type, ...fields }) to the browser in the protocol envelope
+  send(payload) {
+    if (this.clientWs.readyState === WebSocket.OPEN) {
+      const event = createEvent(payload, this.protocolVersion);
+      this.record('out', event);
+      this.clientWs.send(JSON.stringify(event));
+    }
+  }
+
+  // Typed error: code from ERROR_CODES, a short title and the text to show
+  sendError(code, error, text, fields = {}) {
+    this.send({ type: 'error', code, error, text, ...fields });
+  }
+
+  // Non-fatal notice: code from WARNING_CODES and the text to show
+  sendWarning(code, text) {
+    this.send({ type: 'warning', code, text });
+  }
+
+  // Progress and welcome notices
+  sendStatus(text) {
+    this.send({ type: 'status', text });
+  }
+
+  // Append an event to the session recording, if there is one
+  record(direction, event) {
+    if (this.recorder) {
+      this.recorder.record(direction, event);
+    }
+  }
+
+  // Tell the browser how backed up this session is. Only sent when something
+  // changed, so an idle session doesn't fill the socket (or the recording).
+  reportFlow() {
+    const report = flowReport(this);
+    const serialized = JSON.stringify(report);
+    if (serialized === this.lastFlowReport) {
+      return;
+    }
+    this.lastFlowReport = serialized;
+    this.send({ type: 'flow_control', ...report });
+  }
+
+  // Send a JSON message to the provider (no-op if the socket is not open)
+  sendUpstream(payload) {
+    if (this.isUpstreamOpen()) {
+      this.upstream.send(JSON.stringify(payload));
+    }
+  }
+
+  // Run a tool call from the model and tell the browser about it.
+  // Returns the output to hand back to the provider.
+  async callTool({ id, name, args }) {
+    console.log(`${this.tag} Tool call ${name} (user ${this.userId}):`, JSON.stringify(args));
+    this.send({ type: 'tool_call', id, name, args });
+
+    const output = await this.adapter.tools.execute(name, args, { userId: this.userId });
+
+    if (output && output.error) {
+      console.warn(`${this.tag} Tool ${name} failed: ${output.error}`);
+      this.send({ type: 'tool_result', id, name, error: output.error });
+    } else {
+      this.send({ type: 'tool_result', id, name, result: output });
+    }
+    return output;
+  }
+
+  isActive() {
+    return this.activeConnections.has(this.connectionId);
+  }
+
+  isUpstreamOpen() {
+    return !!this.upstream && this.upstream.readyState === WebSocket.OPEN;
+  }
+
+  isUpstreamReady() {
+    return this.isUpstreamOpen() && this.isReady;
+  }
+
+  // Open (or re-open) the upstream provider socket
+  connect() {
+    const target = this.adapter.connect(this);
+    if (!target) {
+      return;
+    }
+
+    const upstream = new WebSocket(target.url, target.headers ? { headers: target.headers } : undefined);
+    this.upstream = upstream;
+
+    upstream.on('open', async () => {
+      try {
+        await this.adapter.onOpen(this);
+      } catch (error) {
+        console.error(`${this.tag} Error during session setup:`, error);
+      }
+    });
+
+    upstream.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (err) {
+        console.error(`Error parsing ${this.adapter.name} response:`, err);
+        return;
+      }
+
+      try {
+        this.adapter.translateEvent(this, event);
+      } catch (err) {
+        console.error(`${this.tag} Error handling upstream event:`, err);
+      }
+    });
+
+    upstream.on('error', (error) => {
+      console.error(`${this.adapter.name} WebSocket error:`, error);
+      this.countError();
+      this.sendError(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        `${this.adapter.name} service error`,
+        `${this.adapter.name} service temporarily unavailable`
+      );
+    });
+
+    upstream.on('close', (code, reason) => {
+      console.log(`${this.adapter.name} connection closed: ${code} - ${reason}`);
+
+      // A stale socket closing after a reconnect must not touch the new one
+      if (this.upstream !== upstream) {
+        return;
+      }
+      this.isReady = false;
+
+      const reconnectDelay = this.adapter.close(this, code, reason ? reason.toString() : '');
+      if (typeof reconnectDelay === 'number') {
+        this.scheduleReconnect(reconnectDelay);
+      }
+    });
+  }
+
+  scheduleReconnect(delay) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      if (this.isActive()) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  // Called by adapters once the provider accepts client input
+  async markReady() {
+    this.isReady = true;
+
+    // Process buffered messages in order
+    const buffered = this.messageBuffer.drain();
+    for (const data of buffered) {
+      if (!this.isReady) {
+        break;
+      }
+      try {
+        this.countRequest();
+        await this.adapter.sendMessage(this, data);
+      } catch (error) {
+        console.error(`${this.tag} Failed to send buffered message:`, error);
+        this.countError();
+      }
+    }
+  }
+
+  handleModelSelection(data) {
+    const version = negotiateVersion(data.protocolVersion);
+    if (version === null) {
+      console.warn(`${this.tag} Client asked for protocol v${data.protocolVersion}, server supports ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`);
+      this.sendError(
+        ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+        'Unsupported protocol version',
+        'This page is out of date for the server. Please reload it.',
+        { supportedVersions: SUPPORTED_PROTOCOL_VERSIONS }
+      );
+      this.clientWs.close(1002, 'Unsupported protocol version');
+      return;
+    }
+    this.protocolVersion = version;
+    this.send({ type: 'protocol_accepted', version, supportedVersions: SUPPORTED_PROTOCOL_VERSIONS });
+
+    this.model = data.model;
+    this.isAudioOnlyMode = data.mode === 'audio_only';
+    this.persona = resolvePersona(data.persona);
+    this.turnDetection = resolveTurnDetection(data.turnDetection);
+    this.hasReceivedModelSelection = true;
+
+    // Rate limits and budgets are tracked per user
+    this.rateLimiter = this.adapter.limiters.acquire(this.userId, this.connectionId);
+
+    // Limits from the settings page, capped at the server's maximums
+    const { capped } = this.adapter.limiters.setUserLimits(this.userId, data.limits);
+    if (capped.length > 0) {
+      const maxLimits = this.adapter.limiters.maxLimits;
+      this.sendWarning(
+        WARNING_CODES.LIMITS_CAPPED,
+        `Some of your rate limit settings exceed the server maximum and were capped: ${capped.map(field => `${field} = ${maxLimits[field]}`).join(', ')}`
+      );
+    }
+
+    // The user's key from the vault, or the server's own from the environment
+    // (only authenticated users get this far, see server/auth.js)
+    const savedKey = this.keyVault && this.keyVault.get(this.userId, this.adapter.name.toLowerCase());
+    this.apiKey = savedKey || process.env[this.adapter.apiKeyEnv];
+
+    if (!this.apiKey) {
+      this.sendError(
+        ERROR_CODES.NO_API_KEY,
+        'No API key configured',
+        `Please add your ${this.adapter.name} API key on the setup page or configure ${this.adapter.apiKeyEnv} in environment variables.`
+      );
+      return;
+    }
+
+    this.flowTimer = setInterval(() => this.reportFlow(), FLOW_REPORT_INTERVAL_MS);
+
+    console.log(`User selected ${this.adapter.name} model: ${this.model}, mode: ${this.isAudioOnlyMode ? 'audio-only' : 'vision+audio'}, persona: ${this.persona ? this.persona.name : 'built-in'}, turns: ${this.turnDetection.mode}`);
+
+    if (this.adapter.selectModel) {
+      this.adapter.selectModel(this, data);
+    } else {
+      this.connect();
+    }
+  }
+
+  async handleClientMessage(message) {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch {
+      this.record('in', { type: 'unparseable', bytes: message.length });
+      this.sendError(ERROR_CODES.INVALID_JSON, 'Invalid message', 'Messages must be JSON');
+      return;
+    }
+    this.record('in', data);
+
+    const invalid = validateClientMessage(data);
+    if (invalid) {
+      console.warn(`${this.tag} Rejected client message: ${invalid.text}`);
+      this.sendError(invalid.code, 'Invalid message', invalid.text, { messageType: data && data.type });
+      return;
+    }
+
+    try {
+      if (data.type === 'model_selection') {
+        if (this.hasReceivedModelSelection) {
+          this.sendError(ERROR_CODES.INVALID_MESSAGE, 'Invalid message', 'A model has already been selected for this connection');
+          return;
+        }
+        this.handleModelSelection(data);
+        return;
+      }
+
+      // Chat messages go through the provider's REST API, not the realtime socket
+      if (data.type === 'chat_message' && this.adapter.chat) {
+        this.countRequest();
+        await this.adapter.chat(this, data);
+        return;
+      }
+
+      // Buffer messages if not ready
+      if (!this.isUpstreamReady()) {
+        console.log(`${this.adapter.name} not ready, buffering message`);
+        this.bufferMessage(data);
+        return;
+      }
+
+      this.countRequest();
+      await this.adapter.sendMessage(this, data);
+    } catch (err) {
+      console.error('Error processing client message:', err);
+      this.countError();
+      this.sendError(ERROR_CODES.MESSAGE_FAILED, 'Failed to process message', 'Message delivery failed. Please try again.');
+    }
+  }
+
+  // Hold a message until the provider is ready
+  bufferMessage(data) {
+    const dropped = this.messageBuffer.push(data);
+    if (!dropped) {
+      return;
+    }
+
+    if (dropped.type === 'video_frame') {
+      this.framesDropped++;
+    } else if (dropped === data) {
+      console.warn(`${this.tag} Buffer full, dropping ${data.type} (user ${this.userId})`);
+      this.sendWarning(WARNING_CODES.MESSAGE_DROPPED, `Still connecting to ${this.adapter.name} - your ${data.type} message was dropped. Please try again in a moment.`);
+    } else {
+      console.warn(`${this.tag} Buffer full, dropped oldest ${dropped.type} (user ${this.userId})`);
+    }
+  }
+
+  handleClientClose() {
+    console.log(`${this.adapter.name} client disconnected: ${this.connectionId} (user ${this.userId})`);
+
+    if (this.adapter.onClientClose) {
+      this.adapter.onClientClose(this);
+    }
+
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.flowTimer);
+    this.activeConnections.delete(this.connectionId);
+
+    if (this.recorder) {
+      this.recorder.close({ type: 'session_end', model: this.model });
+    }
+
+    if (this.rateLimiter) {
+      this.adapter.limiters.release(this.userId);
+    }
+
+    if (this.upstream) {
+      this.upstream.close();
+    }
+  }
+}
+
+module.exports = { ProxySession };
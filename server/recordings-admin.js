@@ -0,0 +1,101 @@
+// Admin routes for session recordings (server/session-recorder.js):
+//   GET    /admin/recordings        -> JSON list, newest first
+//   GET    /admin/recordings/<id>   -> the JSONL file as a download
+//   DELETE /admin/recordings/<id>   -> remove one recording
+// Same ADMIN_TOKEN bearer auth as /admin/status.
+const fs = require('fs');
+const { authorizeAdmin } = require('./status');
+
+const RECORDINGS_PATH = '/admin/recordings';
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// Same contract as createStatusHandler: returns true when it answered the request
+function createRecordingsHandler({ adminToken, recordings }) {
+  async function listRecordings(res) {
+    sendJson(res, 200, {
+      enabled: recordings.enabled,
+      retentionDays: recordings.retentionMs / 86400000,
+      maxRecordings: recordings.maxRecordings,
+      recordings: await recordings.list()
+    });
+  }
+
+  function downloadRecording(res, id, filePath) {
+    const stream = fs.createReadStream(filePath);
+    stream.on('open', () => {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="${id}"`,
+        'Cache-Control': 'no-store'
+      });
+      stream.pipe(res);
+    });
+    stream.on('error', (error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else if (error.code === 'ENOENT') {
+        sendJson(res, 404, { error: 'Recording not found' });
+      } else {
+        sendJson(res, 500, { error: 'Failed to read recording' });
+      }
+    });
+  }
+
+  async function deleteRecording(res, id) {
+    try {
+      if (await recordings.delete(id)) {
+        console.log(`[Recorder] Deleted recording ${id}`);
+        sendJson(res, 200, { deleted: id });
+      } else {
+        sendJson(res, 404, { error: 'Recording not found' });
+      }
+    } catch (error) {
+      sendJson(res, 409, { error: error.message });
+    }
+  }
+
+  return function handleRecordingsRequest(req, res, pathname) {
+    if (pathname !== RECORDINGS_PATH && !pathname.startsWith(`${RECORDINGS_PATH}/`)) {
+      return false;
+    }
+
+    if (!authorizeAdmin(req, res, adminToken, 'Recordings endpoint disabled (set ADMIN_TOKEN)')) {
+      return true;
+    }
+
+    const id = pathname.slice(RECORDINGS_PATH.length + 1);
+
+    if (!id) {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return true;
+      }
+      listRecordings(res).catch((error) => {
+        console.error('[Recorder] Failed to list recordings:', error.message);
+        sendJson(res, 500, { error: 'Failed to list recordings' });
+      });
+      return true;
+    }
+
+    const filePath = recordings.resolve(id);
+    if (!filePath) {
+      sendJson(res, 400, { error: 'Invalid recording id' });
+      return true;
+    }
+
+    if (req.method === 'GET') {
+      downloadRecording(res, id, filePath);
+    } else if (req.method === 'DELETE') {
+      deleteRecording(res, id);
+    } else {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    return true;
+  };
+}
+
+module.exports = { createRecordingsHandler };
@@ -0,0 +1,244 @@
+// Opt-in session recordings: one JSONL file per client connection with every
+// client -> server ("in") and server -> client ("out") event, timestamped.
+// Audio chunks, camera frames and other base64 payloads are replaced by their
+// size and a short SHA-256 so transcripts stay readable and small, and API keys
+// or tokens are never written. Old recordings are pruned by age and count.
+//
+// Enabled with SESSION_RECORDING=1; see createRecordingStore() for the rest.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECORDING_DIR = path.join(process.cwd(), '.data', 'recordings');
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_MAX_RECORDINGS = 500;
+const DAY = 86400000;
+
+// Strings at least this long that look like base64 are treated as binary payloads
+const MIN_BINARY_LENGTH = 256;
+const BASE64_PATTERN = /^[A-Za-z0-9+/\r\n]+={0,2}$/;
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,/;
+
+// Fields that must never reach disk
+const SECRET_FIELDS = new Set(['apiKey', 'token', 'authorization']);
+
+// Recording ids are file names inside the recording directory
+const RECORDING_ID_PATTERN = /^[\w-]+\.jsonl$/;
+
+const shortHash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+const base64Bytes = (value) => {
+  const clean = value.replace(/[\r\n]/g, '');
+  const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+  return Math.floor(clean.length * 3 / 4) - padding;
+};
+
+// Describe a binary string by size and hash instead of its contents
+function summarizeBinary(value) {
+  const dataUrl = value.match(DATA_URL_PATTERN);
+  if (dataUrl) {
+    const body = value.slice(dataUrl[0].length);
+    return { redacted: 'binary', mimeType: dataUrl[1], bytes: base64Bytes(body), sha256: shortHash(body) };
+  }
+  if (value.length >= MIN_BINARY_LENGTH && BASE64_PATTERN.test(value)) {
+    return { redacted: 'binary', bytes: base64Bytes(value), sha256: shortHash(value) };
+  }
+  return null;
+}
+
+// Copy of an event that is safe to write: secrets dropped, binary payloads summarized
+function redactPayload(value, key) {
+  if (key && SECRET_FIELDS.has(key)) {
+    return value ? '[redacted]' : value;
+  }
+  if (typeof value === 'string') {
+    return summarizeBinary(value) || value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactPayload(item));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      copy[field] = redactPayload(fieldValue, field);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Writer for one connection's recording
+class SessionRecorder {
+  constructor(filePath, onClose) {
+    this.filePath = filePath;
+    this.id = path.basename(filePath);
+    this.onClose = onClose;
+    this.closed = false;
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error(`[Recorder] Failed to write ${this.id}:`, error.message);
+      this.closed = true;
+    });
+  }
+
+  // direction: 'in' (client -> server), 'out' (server -> client) or 'meta'
+  record(direction, event) {
+    if (this.closed) return;
+    const line = { ts: new Date().toISOString(), dir: direction, event: redactPayload(event) };
+    this.stream.write(JSON.stringify(line) + '\n');
+  }
+
+  close(event) {
+    if (this.closed) return;
+    if (event) {
+      this.record('meta', event);
+    }
+    this.closed = true;
+    this.stream.end();
+    this.onClose(this);
+  }
+}
+
+// Recording directory plus retention; hands out one SessionRecorder per connection
+class RecordingStore {
+  constructor({ enabled = false, dir = DEFAULT_RECORDING_DIR, retentionDays = DEFAULT_RETENTION_DAYS, maxRecordings = DEFAULT_MAX_RECORDINGS } = {}) {
+    this.enabled = enabled;
+    this.dir = dir;
+    this.retentionMs = retentionDays * DAY;
+    this.maxRecordings = maxRecordings;
+    this.active = new Set(); // ids still being written (never pruned or deleted)
+  }
+
+  // Start recording a connection; returns null when recording is off
+  open({ provider, connectionId, userId }) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+    } catch (error) {
+      console.error(`[Recorder] Cannot create ${this.dir}:`, error.message);
+      return null;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const safeConnectionId = String(connectionId).replace(/[^\w-]/g, '');
+    const id = `${stamp}_${provider.toLowerCase()}_${safeConnectionId}.jsonl`;
+
+    const recorder = new SessionRecorder(path.join(this.dir, id), (closed) => this.active.delete(closed.id));
+    this.active.add(id);
+    recorder.record('meta', { type: 'session_start', provider, connectionId, userId });
+    return recorder;
+  }
+
+  // Absolute path for a recording id, or null if the id is not a recording file name
+  resolve(id) {
+    if (typeof id !== 'string' || !RECORDING_ID_PATTERN.test(id)) {
+      return null;
+    }
+    return path.join(this.dir, id);
+  }
+
+  // Recordings, newest first, with the header written when they started
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const recordings = [];
+    for (const id of names.filter(name => RECORDING_ID_PATTERN.test(name))) {
+      try {
+        const filePath = path.join(this.dir, id);
+        const stats = await fs.promises.stat(filePath);
+        const header = await readHeader(filePath);
+        recordings.push({
+          id,
+          provider: header ? header.provider : null,
+          userId: header ? header.userId : null,
+          connectionId: header ? header.connectionId : null,
+          startedAt: header ? header.startedAt : null,
+          updatedAt: stats.mtime.toISOString(),
+          bytes: stats.size,
+          active: this.active.has(id)
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // Deleted while listing
+      }
+    }
+
+    return recordings.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  // Returns false if there is no such recording; active recordings can't be deleted
+  async delete(id) {
+    const filePath = this.resolve(id);
+    if (!filePath) {
+      return false;
+    }
+    if (this.active.has(id)) {
+      throw new Error('Recording is still in progress');
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Delete recordings past the retention period, then the oldest beyond maxRecordings
+  async prune(now = Date.now()) {
+    const recordings = (await this.list()).filter(recording => !recording.active);
+    const expired = recordings.filter(recording => now - Date.parse(recording.updatedAt) > this.retentionMs);
+    const kept = recordings.filter(recording => !expired.includes(recording));
+    const overflow = kept.slice(Math.max(0, this.maxRecordings - this.active.size));
+
+    let removed = 0;
+    for (const recording of [...expired, ...overflow]) {
+      if (await this.delete(recording.id)) {
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[Recorder] Pruned ${removed} recording(s)`);
+    }
+    return removed;
+  }
+}
+
+// First line of a recording (the session_start event)
+async function readHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(4096);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+    const { ts, event } = JSON.parse(firstLine);
+    return { ...event, startedAt: ts };
+  } catch {
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Build the store from SESSION_RECORDING ("1"/"true" to enable),
+// SESSION_RECORDING_DIR, SESSION_RECORDING_RETENTION_DAYS and SESSION_RECORDING_MAX_FILES
+function createRecordingStore(env = process.env) {
+  return new RecordingStore({
+    enabled: ['1', 'true', 'yes'].includes(String(env.SESSION_RECORDING || '').toLowerCase()),
+    dir: env.SESSION_RECORDING_DIR || DEFAULT_RECORDING_DIR,
+    retentionDays: parseFloat(env.SESSION_RECORDING_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+    maxRecordings: parseInt(env.SESSION_RECORDING_MAX_FILES) || DEFAULT_MAX_RECORDINGS
+  });
+}
+
+module.exports = { SessionRecorder, RecordingStore, createRecordingStore, redactPayload };
@@ -0,0 +1,123 @@
+// Admin status endpoints served straight from the custom HTTP server:
+//   GET /admin/status   -> JSON
+//   GET /admin/metrics  -> Prometheus text exposition format
+// Both require `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN set
+// they are disabled (404) so nothing leaks by default.
+const crypto = require('crypto');
+const { getBearerToken } = require('./auth');
+
+const STATUS_PATH = '/admin/status';
+const METRICS_PATH = '/admin/metrics';
+
+// Constant-time comparison so the token can't be guessed byte by byte
+function isValidToken(provided, expected) {
+  if (!provided) return false;
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Checks the admin bearer token; on failure answers the request (404 when
+// ADMIN_TOKEN is unset, 401 for a wrong token) and returns false
+function authorizeAdmin(req, res, adminToken, disabledMessage) {
+  if (!adminToken) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: disabledMessage }));
+    return false;
+  }
+
+  if (!isValidToken(getBearerToken(req), adminToken)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid admin token' }));
+    return false;
+  }
+
+  return true;
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Build Prometheus text from the JSON status
+function toPrometheus(status) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+        .join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number(value) || 0}`);
+    }
+  };
+
+  const providers = Object.entries(status.limiters);
+
+  metric('ai_vision_uptime_seconds', 'gauge', 'Seconds since the server started',
+    [[{}, status.uptimeSeconds]]);
+  metric('ai_vision_active_connections', 'gauge', 'Open client WebSocket connections',
+    Object.entries(status.connections.byProvider).map(([provider, count]) => [{ provider }, count]));
+
+  metric('ai_vision_limiter_requests_last_minute', 'gauge', 'Requests in the last minute (global limiter)',
+    providers.map(([provider, limiter]) => [{ provider }, limiter.global.requestsLastMinute]));
+  metric('ai_vision_limiter_requests_today', 'gauge', 'Requests in the last 24 hours (global limiter)',
+    providers.map(([provider, limiter]) => [{ provider }, limiter.global.requestsToday]));
+  metric('ai_vision_limiter_queue_length', 'gauge', 'Requests waiting in limiter queues',
+    providers.flatMap(([provider, limiter]) => [
+      [{ provider, scope: 'global' }, limiter.global.queueLength],
+      [{ provider, scope: 'users' }, limiter.queuedRequests]
+    ]));
+  metric('ai_vision_limiter_expired_requests_total', 'counter', 'Audio chunks and frames dropped from limiter queues past their deadline',
+    providers.flatMap(([provider, limiter]) => [
+      [{ provider, scope: 'global' }, limiter.global.expiredRequests],
+      [{ provider, scope: 'users' }, limiter.expiredRequests]
+    ]));
+  metric('ai_vision_limiter_backoff_milliseconds', 'gauge', 'Current backoff delay of the global limiter',
+    providers.map(([provider, limiter]) => [{ provider }, limiter.global.backoffDelay]));
+  metric('ai_vision_limiter_users_in_backoff', 'gauge', 'Users whose own limiter is backing off',
+    providers.map(([provider, limiter]) => [{ provider }, limiter.usersInBackoff]));
+  metric('ai_vision_limiter_users', 'gauge', 'Users with a limiter bucket',
+    providers.flatMap(([provider, limiter]) => [
+      [{ provider, state: 'tracked' }, limiter.users],
+      [{ provider, state: 'active' }, limiter.activeUsers]
+    ]));
+
+  metric('ai_vision_cost_usd_this_hour', 'gauge', 'Spend in the current hour (all users)',
+    Object.entries(status.costs).map(([provider, spend]) => [{ provider }, spend.cost]));
+  metric('ai_vision_tokens_this_hour', 'gauge', 'Tokens used in the current hour (all users)',
+    Object.entries(status.costs).map(([provider, spend]) => [{ provider }, spend.tokens]));
+
+  metric('ai_vision_model_requests_total', 'counter', 'Requests forwarded to a provider model',
+    status.models.map(({ provider, model, requests }) => [{ provider, model }, requests]));
+  metric('ai_vision_model_errors_total', 'counter', 'Errors reported for a provider model',
+    status.models.map(({ provider, model, errors }) => [{ provider, model }, errors]));
+
+  return lines.join('\n') + '\n';
+}
+
+// Returns a request handler; it answers admin routes and returns true,
+// or returns false so the caller passes the request on (to Next.js)
+function createStatusHandler({ adminToken, collectStatus }) {
+  return function handleStatusRequest(req, res, pathname) {
+    if (pathname !== STATUS_PATH && pathname !== METRICS_PATH) {
+      return false;
+    }
+
+    if (!authorizeAdmin(req, res, adminToken, 'Status endpoint disabled (set ADMIN_TOKEN)')) {
+      return true;
+    }
+
+    const status = collectStatus();
+
+    if (pathname === METRICS_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(toPrometheus(status));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(status, null, 2));
+    }
+    return true;
+  };
+}
+
+module.exports = { createStatusHandler, toPrometheus, authorizeAdmin };
@@ -0,0 +1,124 @@
+// Tools the realtime models can call. Each tool is declared once with a JSON
+// schema; the adapters advertise the declarations in their setup message and
+// run calls through ProxySession.callTool, which executes them here and
+// reports them to the browser.
+//
+// A tool is { name, description, parameters, execute(args, context) }.
+// execute may be async; context is { userId }. Whatever it returns is sent
+// back to the model, and a thrown error is sent back as { error }.
+const { createBuiltinTools } = require('./builtin-tools');
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (this.tools.has(tool.name)) {
+      throw new Error(`A tool named "${tool.name}" is already registered`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  // Gemini Live `setup.tools`
+  toGeminiTools() {
+    if (this.tools.size === 0) return [];
+    return [{
+      function_declarations: Array.from(this.tools.values()).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: toGeminiSchema(tool.parameters)
+      }))
+    }];
+  }
+
+  // OpenAI Realtime `session.tools`
+  toOpenAITools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      type: 'function',
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  // Run a call; never throws, failures come back as { error }
+  async execute(name, args, context) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool "${name}"` };
+    }
+
+    try {
+      return await tool.execute(args || {}, context);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+}
+
+// Gemini's schema format spells types in upper case (OBJECT, STRING, ...)
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toUpperCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([property, propertySchema]) => [property, toGeminiSchema(propertySchema)])
+      );
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
+// Built-in tools, filtered by REALTIME_TOOLS ('all' by default, 'none', or a comma-separated list of names)
+function createToolRegistry({ noteStore }, env = process.env) {
+  const registry = new ToolRegistry();
+  const setting = (env.REALTIME_TOOLS || 'all').trim().toLowerCase();
+
+  if (setting === 'none') {
+    return registry;
+  }
+
+  const builtins = createBuiltinTools({ noteStore });
+  const wanted = setting === 'all' ? null : new Set(setting.split(',').map(name => name.trim()));
+
+  for (const tool of builtins) {
+    if (!wanted || wanted.has(tool.name)) {
+      registry.register(tool);
+    }
+  }
+
+  if (wanted) {
+    for (const name of wanted) {
+      if (!registry.tools.has(name)) {
+        console.warn(`[Tools] Unknown tool "${name}" in REALTIME_TOOLS, ignoring`);
+      }
+    }
+  }
+
+  return registry;
+}
+
+module.exports = { ToolRegistry, createToolRegistry, toGeminiSchema };
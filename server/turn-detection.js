@@ -0,0 +1,57 @@
+// Turn detection: how the provider decides the user has finished speaking.
+// Sent by the live talk page with model_selection (see app/lib/turn-detection.js).
+//
+// 'vad' lets the provider's voice activity detection end turns, tuned by the
+// threshold, prefix padding and silence duration. 'push_to_talk' turns VAD off;
+// the client sends ptt_start/ptt_end while the talk button or key is held.
+//
+// Like personas this is untrusted client input, so values are clamped here.
+
+const TURN_DETECTION_MODES = ['vad', 'push_to_talk'];
+
+// Defaults match the settings used before turn detection was configurable
+const DEFAULT_TURN_DETECTION = {
+  mode: 'vad',
+  threshold: 0.5,
+  prefixPaddingMs: 300,
+  silenceDurationMs: 700
+};
+
+const LIMITS = {
+  threshold: [0.1, 0.9],
+  prefixPaddingMs: [0, 1000],
+  silenceDurationMs: [200, 3000]
+};
+
+const clampSetting = (value, field) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    return DEFAULT_TURN_DETECTION[field];
+  }
+  const [min, max] = LIMITS[field];
+  return Math.min(max, Math.max(min, number));
+};
+
+// Validate turn detection settings from the client; missing values fall back to the defaults
+function resolveTurnDetection(input) {
+  if (!input || typeof input !== 'object') {
+    return { ...DEFAULT_TURN_DETECTION };
+  }
+
+  return {
+    mode: TURN_DETECTION_MODES.includes(input.mode) ? input.mode : DEFAULT_TURN_DETECTION.mode,
+    threshold: clampSetting(input.threshold, 'threshold'),
+    prefixPaddingMs: Math.round(clampSetting(input.prefixPaddingMs, 'prefixPaddingMs')),
+    silenceDurationMs: Math.round(clampSetting(input.silenceDurationMs, 'silenceDurationMs'))
+  };
+}
+
+function isPushToTalk(turnDetection) {
+  return turnDetection.mode === 'push_to_talk';
+}
+
+module.exports = {
+  DEFAULT_TURN_DETECTION,
+  resolveTurnDetection,
+  isPushToTalk
+};
@@ -0,0 +1,194 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parse } = require('url');
+const { WebSocket, WebSocketServer } = require('ws');
+const {
+  VERIFIED_UID_HEADER,
+  createStaticVerifier,
+  parseStaticTokens,
+  createTokenVerifier,
+  createApiAuthenticator,
+  authenticateUpgrade,
+  withVerifiedUid
+} = require('../server/auth');
+
+const AUTHENTICATED_API_ROUTES = new Set(['/api/chat', '/api/voice-preview', '/api/keys']);
+
+describe('token verifiers', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('parses static tokens, skipping malformed pairs', () => {
+    assert.deepEqual(parseStaticTokens('tok-a:u1, tok-b : u2,broken,:no-token,no-uid:'), { 'tok-a': 'u1', 'tok-b': 'u2' });
+    assert.deepEqual(parseStaticTokens(''), {});
+  });
+
+  it('maps known static tokens to their uid and rejects everything else', async () => {
+    const verifyToken = createStaticVerifier({ 'tok-a': 'u1' });
+
+    assert.deepEqual(await verifyToken('tok-a'), { uid: 'u1' });
+    await assert.rejects(verifyToken('tok-b'), /Unknown token/);
+    await assert.rejects(verifyToken(null), /Unknown token/);
+  });
+
+  it('picks the verifier from the environment', async () => {
+    const verifyToken = createTokenVerifier({ WS_AUTH_VERIFIER: 'static', WS_AUTH_STATIC_TOKENS: 'tok-a:u1' });
+
+    assert.deepEqual(await verifyToken('tok-a'), { uid: 'u1' });
+    assert.throws(() => createTokenVerifier({ WS_AUTH_VERIFIER: 'none' }), /Unknown WS_AUTH_VERIFIER "none"/);
+    assert.throws(() => createTokenVerifier({}), /FIREBASE_PROJECT_ID/);
+  });
+});
+
+describe('API request authentication', () => {
+  let server;
+  let baseUrl;
+  let handled;
+
+  before(async () => {
+    const authenticateApiRequest = createApiAuthenticator({
+      verifyToken: createStaticVerifier({ 'tok-a': 'u1' }),
+      routes: AUTHENTICATED_API_ROUTES
+    });
+
+    // Stands in for Next.js: reports the uid header the route would see
+    server = http.createServer(async (req, res) => {
+      const { pathname } = parse(req.url);
+      if (!await authenticateApiRequest(req, res, pathname)) {
+        return;
+      }
+      handled.push(pathname);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ uid: req.headers[VERIFIED_UID_HEADER] || null }));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    handled = [];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const request = async (path, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('answers 401 without a valid token on the credit-spending routes', async () => {
+    for (const path of ['/api/chat', '/api/voice-preview']) {
+      assert.deepEqual(await request(path), { status: 401, body: { error: 'Authentication required' } });
+      assert.equal((await request(path, { Authorization: 'Bearer wrong' })).status, 401);
+    }
+    assert.deepEqual(handled, []);
+  });
+
+  it('passes the verified uid on to the route', async () => {
+    assert.deepEqual(await request('/api/chat', { Authorization: 'Bearer tok-a' }), { status: 200, body: { uid: 'u1' } });
+  });
+
+  it('strips a spoofed verified uid header', async () => {
+    const spoofed = { [VERIFIED_UID_HEADER]: 'someone-else' };
+
+    assert.equal((await request('/api/chat', spoofed)).status, 401);
+    assert.deepEqual(await request('/api/chat', { ...spoofed, Authorization: 'Bearer tok-a' }), { status: 200, body: { uid: 'u1' } });
+    assert.deepEqual(await request('/api/other', spoofed), { status: 200, body: { uid: null } });
+  });
+});
+
+describe('WebSocket upgrade authentication', () => {
+  let server;
+  let wss;
+  let baseUrl;
+  let users;
+
+  before(async () => {
+    const verifyToken = createStaticVerifier({ 'tok-a': 'u1' });
+    wss = new WebSocketServer({ noServer: true });
+    server = http.createServer();
+    server.on('upgrade', async (request, socket, head) => {
+      const { pathname, query } = parse(request.url, true);
+      const user = await authenticateUpgrade(verifyToken, socket, pathname, query.token);
+      if (!user) {
+        return;
+      }
+      users.push(user);
+      wss.handleUpgrade(request, socket, head, ws => ws.close());
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `ws://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    users = [];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Resolves with the HTTP status of the upgrade response (101 when accepted)
+  const connect = (path) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}${path}`);
+    ws.on('open', () => {
+      ws.close();
+      resolve(101);
+    });
+    ws.on('unexpected-response', (request, response) => {
+      resolve(response.statusCode);
+      request.destroy();
+    });
+    ws.on('error', reject);
+  });
+
+  it('answers 401 to upgrades without a valid token', async () => {
+    assert.equal(await connect('/ws/gemini'), 401);
+    assert.equal(await connect('/ws/gemini?token=wrong'), 401);
+    assert.deepEqual(users, []);
+  });
+
+  it('accepts upgrades with a valid token', async () => {
+    assert.equal(await connect('/ws/openai?token=tok-a'), 101);
+    assert.deepEqual(users, [{ uid: 'u1' }]);
+  });
+});
+
+describe('API route uid guard', () => {
+  const route = withVerifiedUid(async (request, userId) => Response.json({ userId }));
+
+  it('answers 401 when the request did not come through server.js', async () => {
+    const response = await route(new Request('http://localhost/api/chat', { method: 'POST' }));
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Authentication required' });
+  });
+
+  it('hands the verified uid to the route', async () => {
+    const response = await route(new Request('http://localhost/api/voice-preview', {
+      method: 'POST',
+      headers: { [VERIFIED_UID_HEADER]: 'u1' }
+    }));
+
+    assert.deepEqual(await response.json(), { userId: 'u1' });
+  });
+});
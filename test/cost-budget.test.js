@@ -0,0 +1,282 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { CostBudget } = require('../server/cost-budget');
+const { CostLedger } = require('../server/cost-ledger');
+const { tokensFromOpenAIUsage, tokensFromGeminiUsage, estimatePromptTokens } = require('../server/pricing');
+const { OpenAIRateLimiter } = require('../server/openai-rate-limiter');
+const { LimiterPool } = require('../server/limiter-pool');
+const { ToolRegistry } = require('../server/tools');
+const { ERROR_CODES } = require('../server/protocol');
+const { createGeminiAdapter, createOpenAIAdapter } = require('../server/providers');
+const { createMockProviderServer } = require('../server/mock-provider-server');
+const { FakeClock } = require('./helpers/fake-clock');
+
+const limits = {
+  openai: { maxCostPerHour: 0.15, globalMaxCostPerHour: 0.25 },
+  gemini: { maxCostPerHour: 0.15, globalMaxCostPerHour: 0.25 }
+};
+
+describe('CostBudget', () => {
+  let clock;
+  let ledger;
+  let budget;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    clock = new FakeClock();
+    ledger = new CostLedger({ clock });
+    budget = new CostBudget({ costLedger: ledger, limits });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // 10k gemini-2.5-pro output tokens = $0.10
+  const spend = (userId) => ledger.record({
+    provider: 'gemini',
+    userId,
+    model: 'gemini-2.5-pro',
+    tokens: tokensFromGeminiUsage({ promptTokenCount: 0, candidatesTokenCount: 10000 }),
+    source: 'test'
+  });
+
+  it('is exhausted once the user has spent their hourly budget', () => {
+    spend('u1');
+    assert.equal(budget.exhausted('gemini', 'u1'), null);
+
+    spend('u1');
+    const status = budget.exhausted('gemini', 'u1');
+    assert.equal(status.scope, 'user');
+    assert.equal(status.maxCostPerHour, 0.15);
+    assert.equal(status.minutesUntilCostReset, 60);
+    assert.equal(budget.exhausted('gemini', 'u2'), null);
+  });
+
+  it('applies the global budget across users', () => {
+    spend('u1');
+    spend('u2');
+    spend('u3');
+
+    assert.equal(budget.exhausted('gemini', 'u4').scope, 'global');
+  });
+
+  it('frees up when the hour resets', () => {
+    spend('u1');
+    spend('u1');
+
+    clock.time += 3600000;
+    assert.equal(budget.exhausted('gemini', 'u1'), null);
+  });
+});
+
+describe('chat budget checks', () => {
+  let ledger;
+  let events;
+  let pool;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    ledger = new CostLedger();
+    events = [];
+    pool = null;
+  });
+
+  afterEach(() => {
+    if (pool) {
+      clearInterval(pool.sweepTimer);
+    }
+    mock.restoreAll();
+  });
+
+  const createSession = (fields = {}) => ({
+    userId: 'u1',
+    apiKey: 'test-key',
+    state: {},
+    send: (event) => events.push(event),
+    sendError: (code, error, text, extra = {}) => events.push({ type: 'error', code, error, text, ...extra }),
+    sendWarning: (code, text) => events.push({ type: 'warning', code, text }),
+    countError() {},
+    ...fields
+  });
+
+  // $0.25 of gpt-4o output, past the $0.15 per-user budget
+  const spendOpenAI = () => ledger.record({
+    provider: 'openai',
+    userId: 'u1',
+    model: 'gpt-4o',
+    tokens: tokensFromOpenAIUsage({ prompt_tokens: 0, completion_tokens: 25000 }),
+    source: 'test'
+  });
+
+  it('refuses Gemini chat before calling the provider once the budget is spent', async () => {
+    const adapter = createGeminiAdapter({
+      limiters: null,
+      costLedger: ledger,
+      costBudget: new CostBudget({ costLedger: ledger, limits }),
+      tools: new ToolRegistry()
+    });
+    ledger.record({
+      provider: 'gemini',
+      userId: 'u1',
+      model: 'gemini-2.5-pro',
+      tokens: tokensFromGeminiUsage({ promptTokenCount: 0, candidatesTokenCount: 20000 }),
+      source: 'test'
+    });
+
+    await adapter.chat(createSession(), { type: 'chat_message', text: 'Hello' });
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].code, ERROR_CODES.COST_LIMIT);
+    assert.equal(events[0].scope, 'chat');
+    assert.match(events[0].text, /Hourly cost limit \(\$0\.15\) reached/);
+  });
+
+  it('refuses OpenAI chat before calling the provider once the budget is spent', async () => {
+    const userLimits = { requestsPerMinute: 100, requestsPerDay: 1000, maxCostPerHour: 0.15 };
+    const createLimiter = (options, userId) => new OpenAIRateLimiter({ ...options, costLedger: ledger, userId });
+    pool = new LimiterPool({
+      name: 'OpenAI',
+      globalLimiter: createLimiter({ ...userLimits, maxCostPerHour: 10 }),
+      defaultLimits: userLimits,
+      maxLimits: userLimits,
+      createLimiter
+    });
+    const adapter = createOpenAIAdapter({ limiters: pool, costLedger: ledger, tools: new ToolRegistry() });
+    spendOpenAI();
+
+    await adapter.chat(createSession({ rateLimiter: pool.acquire('u1', 'c1') }), { type: 'chat_message', text: 'Hello' });
+
+    const errors = events.filter(event => event.type === 'error');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, ERROR_CODES.COST_LIMIT);
+    assert.equal(errors[0].scope, 'chat');
+    assert.ok(!events.some(event => event.type === 'chat_response_delta' || event.type === 'chat_response_done'));
+  });
+
+  it('drops Gemini Live input once the budget is spent, with a single error', async () => {
+    const adapter = createGeminiAdapter({
+      limiters: null,
+      costLedger: ledger,
+      costBudget: new CostBudget({ costLedger: ledger, limits }),
+      tools: new ToolRegistry()
+    });
+    ledger.record({
+      provider: 'gemini',
+      userId: 'u1',
+      model: 'gemini-2.5-pro',
+      tokens: tokensFromGeminiUsage({ promptTokenCount: 0, candidatesTokenCount: 20000 }),
+      source: 'test'
+    });
+    const session = createSession({ state: adapter.createState({}) });
+
+    await adapter.sendMessage(session, { type: 'text', text: 'one' });
+    await adapter.sendMessage(session, { type: 'text', text: 'two' });
+
+    assert.deepEqual(events.map(event => event.code), [ERROR_CODES.COST_LIMIT]);
+    assert.equal(session.state.costLimited, true);
+    assert.deepEqual(session.state.history, []);
+    assert.equal(adapter.close(session, 1000, ''), null);
+  });
+});
+
+describe('chat usage when the client leaves mid-stream', () => {
+  const LONG_REPLY = Array(40).fill('word').join(' ');
+  let providerServer;
+  let previousEnv;
+  let ledger;
+  let events;
+
+  before(async () => {
+    providerServer = createMockProviderServer();
+    await new Promise(resolve => providerServer.listen(0, resolve));
+    const baseUrl = `http://localhost:${providerServer.address().port}`;
+    previousEnv = { OPENAI_BASE_URL: process.env.OPENAI_BASE_URL, GEMINI_BASE_URL: process.env.GEMINI_BASE_URL };
+    process.env.OPENAI_BASE_URL = `${baseUrl}/v1`;
+    process.env.GEMINI_BASE_URL = baseUrl;
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    await new Promise(resolve => providerServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    ledger = new CostLedger();
+    events = [];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // A client that disconnects as soon as the first piece of the answer arrives
+  const createLeavingSession = (fields = {}) => ({
+    userId: 'u1',
+    apiKey: 'test-key',
+    state: { sessionCost: 0 },
+    send: (event) => events.push(event),
+    sendError: (code, error, text, extra = {}) => events.push({ type: 'error', code, error, text, ...extra }),
+    sendWarning: (code, text) => events.push({ type: 'warning', code, text }),
+    isActive: () => !events.some(event => event.type === 'chat_response_delta'),
+    countError() {},
+    ...fields
+  });
+
+  it('estimates prompt tokens from text, with a flat count per image', () => {
+    assert.equal(estimatePromptTokens([{ role: 'user', content: 'abcdefgh' }]), 2);
+    assert.equal(estimatePromptTokens([{ role: 'user', content: [
+      { type: 'text', text: 'abcd' },
+      { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${'A'.repeat(4000)}` } }
+    ] }]), 1001);
+    assert.equal(estimatePromptTokens([{ role: 'user', parts: [{ text: 'abcd' }, { inlineData: { data: 'AAAA' } }] }]), 1001);
+  });
+
+  it('records an estimate for an abandoned OpenAI chat stream', async () => {
+    providerServer.mock.script.add({ on: 'chat', provider: 'openai', reply: LONG_REPLY });
+    const userLimits = { requestsPerMinute: 100, requestsPerDay: 1000, maxCostPerHour: 10 };
+    const pool = new LimiterPool({
+      name: 'OpenAI',
+      globalLimiter: new OpenAIRateLimiter({ ...userLimits, costLedger: ledger }),
+      defaultLimits: userLimits,
+      maxLimits: userLimits,
+      createLimiter: (options, userId) => new OpenAIRateLimiter({ ...options, costLedger: ledger, userId })
+    });
+    const adapter = createOpenAIAdapter({ limiters: pool, costLedger: ledger, tools: new ToolRegistry() });
+
+    try {
+      await adapter.chat(createLeavingSession({ rateLimiter: pool.acquire('u1', 'c1') }), { type: 'chat_message', text: 'Hello' });
+    } finally {
+      clearInterval(pool.sweepTimer);
+    }
+
+    assert.ok(!events.some(event => event.type === 'chat_response_done'));
+    // "Hello" (2 tokens) plus the one piece streamed before the client left (5 tokens)
+    assert.equal(ledger.getSpend('openai', 'u1').tokens, 7);
+  });
+
+  it('records the reported usage of an abandoned Gemini chat stream', async () => {
+    providerServer.mock.script.add({ on: 'chat', provider: 'gemini', reply: LONG_REPLY });
+    const adapter = createGeminiAdapter({
+      limiters: null,
+      costLedger: ledger,
+      costBudget: new CostBudget({ costLedger: ledger, limits }),
+      tools: new ToolRegistry()
+    });
+
+    await adapter.chat(createLeavingSession({ state: {} }), { type: 'chat_message', text: 'Hello', model: 'gemini-2.5-flash' });
+
+    assert.ok(!events.some(event => event.type === 'chat_response_done'));
+    // The whole reply is billed, not just the piece the client saw
+    const { body } = providerServer.mock.requests.at(-1);
+    const reported = Math.ceil(JSON.stringify(body.contents).length / 4) + Math.ceil(LONG_REPLY.length / 4);
+    assert.equal(ledger.getSpend('gemini', 'u1').tokens, reported);
+  });
+});
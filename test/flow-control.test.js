@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBuffer, flowReport } = require('../server/flow-control');
+const { GeminiRateLimiter } = require('../server/gemini-rate-limiter');
+const { OpenAIRateLimiter } = require('../server/openai-rate-limiter');
+const { CostLedger } = require('../server/cost-ledger');
+const { tokensFromOpenAIUsage } = require('../server/pricing');
+const { LimiterPool } = require('../server/limiter-pool');
+const { FakeClock } = require('./helpers/fake-clock');
+
+const frame = (n) => ({ type: 'video_frame', data: `frame-${n}` });
+const audio = (n) => ({ type: 'audio_chunk', data: `audio-${n}` });
+const text = (n) => ({ type: 'text', text: `text-${n}` });
+
+describe('MessageBuffer', () => {
+  it('keeps only the newest frame, in arrival order with everything else', () => {
+    const buffer = new MessageBuffer();
+
+    assert.equal(buffer.push(frame(1)), null);
+    assert.equal(buffer.push(text(1)), null);
+    assert.deepEqual(buffer.push(frame(2)), frame(1));
+
+    assert.deepEqual(buffer.drain(), [text(1), frame(2)]);
+    assert.equal(buffer.length, 0);
+  });
+
+  it('drops the oldest media message when full', () => {
+    const buffer = new MessageBuffer({ maxMessages: 3, maxFrames: 2 });
+    buffer.push(text(1));
+    buffer.push(audio(1));
+    buffer.push(frame(1));
+
+    assert.deepEqual(buffer.push(audio(2)), audio(1));
+    assert.deepEqual(buffer.push(frame(2)), frame(1));
+    assert.deepEqual(buffer.drain(), [text(1), audio(2), frame(2)]);
+  });
+
+  it('refuses new messages once it only holds ones it cannot drop', () => {
+    const buffer = new MessageBuffer({ maxMessages: 2 });
+    buffer.push(text(1));
+    buffer.push(text(2));
+
+    assert.deepEqual(buffer.push(text(3)), text(3));
+    assert.deepEqual(buffer.drain(), [text(1), text(2)]);
+  });
+
+  it('starts counting frames again after a drain', () => {
+    const buffer = new MessageBuffer();
+    buffer.push(frame(1));
+    buffer.drain();
+
+    assert.equal(buffer.push(frame(2)), null);
+  });
+});
+
+describe('flowReport', () => {
+  let pool;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    clearInterval(pool.sweepTimer);
+    mock.restoreAll();
+  });
+
+  const createSession = (limiter) => ({
+    connectionId: 'c1',
+    rateLimiter: limiter,
+    messageBuffer: new MessageBuffer(),
+    framesDropped: 0
+  });
+
+  it('reports this connection\'s backlog and the tighter headroom', async () => {
+    const clock = new FakeClock();
+    const limits = { requestsPerMinute: 10, requestsPerDay: 100 };
+    pool = new LimiterPool({
+      name: 'Gemini',
+      globalLimiter: new GeminiRateLimiter(4, 100, { clock }),
+      defaultLimits: limits,
+      maxLimits: limits,
+      createLimiter: (userLimits) => new GeminiRateLimiter(userLimits.requestsPerMinute, userLimits.requestsPerDay, { clock })
+    });
+    const session = createSession(pool.acquire('u1', 'c1'));
+    session.messageBuffer.push(text(1));
+    session.framesDropped = 2;
+
+    // The global limit (4/min) is tighter than the user's (10/min): three
+    // requests go through, the rest wait behind the 100ms spacing
+    for (let i = 0; i < 5; i++) {
+      session.rateLimiter.enqueueRequest(() => Promise.resolve());
+    }
+    await clock.tick(250);
+
+    const report = flowReport(session);
+    assert.equal(report.framesDropped, 2);
+    assert.equal(report.queueDepth, 1 + session.rateLimiter.user.queue.lengthFor('c1'));
+    assert.ok(report.queueDepth > 1);
+    assert.deepEqual(report.headroom, { requestsRemaining: 1, requestsPerMinute: 10, backoffMs: 0 });
+  });
+
+  it('includes the share of the hourly budget left for OpenAI', () => {
+    const costLedger = new CostLedger();
+    const limits = { requestsPerMinute: 100, requestsPerDay: 1000, maxCostPerHour: 1 };
+    const createLimiter = (userLimits, userId) => new OpenAIRateLimiter({ ...userLimits, costLedger, userId });
+    pool = new LimiterPool({
+      name: 'OpenAI',
+      globalLimiter: createLimiter({ ...limits, maxCostPerHour: 10 }),
+      defaultLimits: limits,
+      maxLimits: limits,
+      createLimiter
+    });
+    // 25k gpt-4o output tokens = $0.25 of the user's $1
+    costLedger.record({
+      provider: 'openai',
+      userId: 'u1',
+      model: 'gpt-4o',
+      tokens: tokensFromOpenAIUsage({ prompt_tokens: 0, completion_tokens: 25000 }),
+      source: 'test'
+    });
+
+    const report = flowReport(createSession(pool.acquire('u1', 'c1')));
+    assert.equal(report.headroom.requestsRemaining, 100);
+    assert.ok(Math.abs(report.headroom.budgetRemaining - 0.75) < 1e-9);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const { hashDistance, jpegHash, frameSignature, isDuplicateFrame } = require('../server/frame-dedup');
+const { transformMessageForGemini, DUPLICATE_FRAME } = require('../server/providers/gemini');
+
+// A base64 JPEG of a gradient with a bright box, optionally with sensor-like noise
+function cameraFrame({ boxX = 40, noise = 0, quality = 90 } = {}) {
+  const width = 160;
+  const height = 120;
+  const data = Buffer.alloc(width * height * 4);
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBox = x >= boxX && x < boxX + 40 && y >= 30 && y < 90;
+      const value = (inBox ? 220 : x) + Math.round((random() - 0.5) * noise);
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = Math.max(0, Math.min(255, value));
+      data[i + 3] = 255;
+    }
+  }
+  return jpeg.encode({ width, height, data }, quality).data.toString('base64');
+}
+
+describe('frame signatures', () => {
+  it('counts differing bits between perceptual hashes', () => {
+    assert.equal(hashDistance('ffffffffffffffff', 'ffffffffffffffff'), 0);
+    assert.equal(hashDistance('ffffffffffffffff', 'fffffffffffffff0'), 4);
+    assert.equal(hashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  });
+
+  it('hashes decoded JPEGs, so a re-encoded static scene keeps its hash', () => {
+    const still = jpegHash(cameraFrame());
+    const reencoded = jpegHash(cameraFrame({ noise: 12, quality: 70 }));
+    const moved = jpegHash(cameraFrame({ boxX: 100 }));
+
+    assert.match(still, /^[0-9a-f]{16}$/);
+    assert.ok(hashDistance(still, reencoded) < 3);
+    assert.ok(hashDistance(still, moved) >= 3);
+    assert.equal(jpegHash(Buffer.from('not a jpeg').toString('base64')), null);
+  });
+
+  it('ignores the hash a client sends', () => {
+    const data = cameraFrame();
+    const signature = frameSignature({ data, hash: '0000000000000000' });
+
+    assert.equal(signature.hash, jpegHash(data));
+    assert.match(signature.digest, /^[0-9a-f]{64}$/);
+  });
+
+  it('treats hashes within the threshold as the same scene', () => {
+    const previous = { digest: 'a', hash: 'ffffffffffffffff' };
+
+    assert.equal(isDuplicateFrame(previous, { digest: 'b', hash: 'fffffffffffffffe' }, 3), true);
+    assert.equal(isDuplicateFrame(previous, { digest: 'b', hash: 'fffffffffffffff0' }, 3), false);
+    assert.equal(isDuplicateFrame(null, { digest: 'b', hash: 'ffffffffffffffff' }, 3), false);
+    assert.equal(isDuplicateFrame(previous, { digest: 'b', hash: 'ffffffffffffffff' }, 0), false);
+  });
+
+  it('only matches identical bytes for frames that do not decode', () => {
+    const previous = frameSignature({ data: 'frame-1' });
+
+    assert.equal(previous.hash, null);
+    assert.equal(isDuplicateFrame(previous, frameSignature({ data: 'frame-1' })), true);
+    assert.equal(isDuplicateFrame(previous, frameSignature({ data: 'frame-2' })), false);
+  });
+});
+
+describe('transformMessageForGemini frame guard', () => {
+  let session;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    session = { isAudioOnlyMode: false, turnDetection: null, state: { lastFrameSignature: null } };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const frame = (data, hash) => ({ type: 'video_frame', data, hash });
+
+  it('drops re-encoded frames of an unchanged scene from clients that send no hash', () => {
+    assert.ok(transformMessageForGemini(frame(cameraFrame()), session).realtime_input);
+    assert.equal(transformMessageForGemini(frame(cameraFrame({ noise: 12, quality: 70 })), session), DUPLICATE_FRAME);
+    assert.ok(transformMessageForGemini(frame(cameraFrame({ boxX: 100 })), session).realtime_input);
+  });
+
+  it('does not let a client hash hide a changed scene', () => {
+    assert.ok(transformMessageForGemini(frame(cameraFrame(), 'ffffffffffffffff'), session).realtime_input);
+    assert.ok(transformMessageForGemini(frame(cameraFrame({ boxX: 100 }), 'ffffffffffffffff'), session).realtime_input);
+  });
+
+  it('drops repeated frames that do not decode', () => {
+    assert.ok(transformMessageForGemini(frame('same'), session));
+    assert.equal(transformMessageForGemini(frame('same'), session), DUPLICATE_FRAME);
+    assert.ok(transformMessageForGemini(frame('different'), session));
+  });
+
+  it('forwards every frame when the threshold is 0', () => {
+    const data = cameraFrame();
+    assert.ok(transformMessageForGemini(frame(data), session, 0).realtime_input);
+    assert.ok(transformMessageForGemini(frame(data), session, 0).realtime_input);
+  });
+
+  it('still rejects frames in audio-only sessions', () => {
+    session.isAudioOnlyMode = true;
+    assert.equal(transformMessageForGemini(frame(cameraFrame()), session), null);
+  });
+});
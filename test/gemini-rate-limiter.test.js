@@ -0,0 +1,270 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { GeminiRateLimiter } = require('../server/gemini-rate-limiter');
+const { PRIORITY, REQUEST_EXPIRED } = require('../server/fair-queue');
+const { FakeClock } = require('./helpers/fake-clock');
+
+const MINUTE = 60000;
+const DAY = 86400000;
+
+describe('GeminiRateLimiter', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new FakeClock();
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('sliding windows', () => {
+    it('frees a minute slot exactly 60s after the request', async () => {
+      const limiter = new GeminiRateLimiter(2, 100, { clock });
+      limiter.recordRequest();
+      await clock.tick(1000);
+      limiter.recordRequest();
+
+      assert.equal(limiter.canMakeRequest(), false);
+
+      await clock.tick(MINUTE - 1000 - 1);
+      assert.equal(limiter.canMakeRequest(), false, 'still inside the window 1ms before the edge');
+
+      await clock.tick(1);
+      assert.equal(limiter.canMakeRequest(), true, 'first request ages out at exactly 60s');
+      assert.equal(limiter.getStatus().requestsLastMinute, 1);
+    });
+
+    it('reports the wait until the oldest request ages out, plus a 100ms buffer', async () => {
+      const limiter = new GeminiRateLimiter(1, 100, { clock });
+      limiter.recordRequest();
+      await clock.tick(15000);
+
+      assert.equal(limiter.getWaitTime(), MINUTE - 15000 + 100);
+    });
+
+    it('blocks on the daily limit until the first request is a day old', async () => {
+      const limiter = new GeminiRateLimiter(10, 2, { clock });
+      limiter.recordRequest();
+      await clock.tick(3600000);
+      limiter.recordRequest();
+      await clock.tick(MINUTE);
+
+      assert.equal(limiter.canMakeRequest(), false);
+      assert.equal(limiter.getStatus().requestsToday, 2);
+
+      await clock.tick(DAY - 3600000 - MINUTE - 1);
+      assert.equal(limiter.canMakeRequest(), false);
+
+      await clock.tick(1);
+      assert.equal(limiter.canMakeRequest(), true);
+      assert.equal(limiter.getStatus().requestsToday, 1);
+    });
+  });
+
+  describe('backoff', () => {
+    it('doubles from 2s and caps at 32s', () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      const delays = [];
+      for (let i = 0; i < 7; i++) {
+        limiter.handleRateLimitError();
+        delays.push(limiter.backoffDelay);
+      }
+
+      assert.deepEqual(delays, [2000, 4000, 8000, 16000, 32000, 32000, 32000]);
+      assert.equal(clock.pending, 1, 'each backoff replaces the previous timer');
+    });
+
+    it('cancels the backoff timer on dispose', () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      limiter.handleRateLimitError();
+      assert.equal(clock.pending, 1);
+
+      limiter.dispose();
+      assert.equal(clock.pending, 0);
+    });
+
+    it('blocks requests until the backoff timer ends', async () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      limiter.handleRateLimitError();
+
+      assert.equal(limiter.canMakeRequest(), false);
+      assert.equal(limiter.backoffUntil, clock.now() + 2000);
+
+      await clock.tick(1999);
+      assert.equal(limiter.canMakeRequest(), false);
+
+      await clock.tick(1);
+      assert.equal(limiter.canMakeRequest(), true);
+      assert.equal(limiter.backoffUntil, 0);
+    });
+
+    it('resets the escalation after a successful request', async () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      limiter.handleRateLimitError();
+      limiter.handleRateLimitError();
+      await clock.tick(4000);
+
+      limiter.recordRequest();
+      assert.equal(limiter.consecutiveErrors, 0);
+
+      limiter.handleRateLimitError();
+      assert.equal(limiter.backoffDelay, 2000);
+    });
+
+    it('holds queued requests until the backoff ends', async () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      limiter.handleRateLimitError();
+
+      let ranAt = null;
+      const done = limiter.enqueueRequest(async () => { ranAt = clock.now(); });
+      const start = clock.now();
+
+      await clock.tick(1999);
+      assert.equal(ranAt, null);
+
+      await clock.tick(1);
+      await done;
+      assert.equal(ranAt, start + 2000);
+    });
+  });
+
+  describe('queue', () => {
+    it('spaces requests 100ms apart and waits for a minute slot', async () => {
+      const limiter = new GeminiRateLimiter(2, 100, { clock });
+      const start = clock.now();
+      const ranAt = [];
+
+      for (let i = 0; i < 3; i++) {
+        limiter.enqueueRequest(async () => { ranAt.push(clock.now() - start); });
+      }
+
+      await clock.tick(200);
+      assert.deepEqual(ranAt, [0, 100]);
+
+      // Both slots are free again once the second request is a minute old
+      await clock.tick(MINUTE - 101);
+      assert.deepEqual(ranAt, [0, 100]);
+
+      await clock.tick(1);
+      assert.deepEqual(ranAt, [0, 100, MINUTE + 100]);
+    });
+
+    it('runs one request at a time and serves connections round-robin', async () => {
+      const limiter = new GeminiRateLimiter(100, 1000, { clock });
+      const order = [];
+      let running = 0;
+      let maxRunning = 0;
+
+      const request = (name) => async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => clock.setTimeout(resolve, 30));
+        order.push(name);
+        running--;
+      };
+
+      // a1 starts right away; the rest are queued while it runs
+      const all = [
+        limiter.enqueueRequest(request('a1'), null, 'a'),
+        limiter.enqueueRequest(request('a2'), null, 'a'),
+        limiter.enqueueRequest(request('a3'), null, 'a'),
+        limiter.enqueueRequest(request('b1'), null, 'b'),
+        limiter.enqueueRequest(request('c1'), null, 'c')
+      ];
+
+      await clock.tick(5000);
+      await Promise.all(all);
+
+      assert.deepEqual(order, ['a1', 'a2', 'b1', 'c1', 'a3']);
+      assert.equal(maxRunning, 1);
+      assert.equal(limiter.isProcessing, false);
+    });
+
+    it('rejects a failed request, calls its error callback and keeps going', async () => {
+      const limiter = new GeminiRateLimiter(10, 100, { clock });
+      const errors = [];
+
+      const failing = limiter.enqueueRequest(
+        async () => { throw new Error('upstream down'); },
+        (error) => errors.push(error.message)
+      );
+      const next = limiter.enqueueRequest(async () => 'ok');
+
+      await assert.rejects(failing, /upstream down/);
+      await clock.tick(100);
+
+      assert.equal(await next, 'ok');
+      assert.deepEqual(errors, ['upstream down']);
+    });
+
+    it('serves more urgent priority classes first', async () => {
+      const limiter = new GeminiRateLimiter(100, 1000, { clock });
+      const order = [];
+      const request = (name, priority) => limiter.enqueueRequest(async () => { order.push(name); }, null, 'a', { priority });
+
+      // The first frame starts right away; the rest queue behind it
+      const all = [
+        request('frame1', PRIORITY.VIDEO),
+        request('frame2', PRIORITY.VIDEO),
+        request('audio', PRIORITY.AUDIO),
+        request('text', PRIORITY.TEXT),
+        request('setup', PRIORITY.CONTROL)
+      ];
+
+      await clock.tick(1000);
+      await Promise.all(all);
+
+      assert.deepEqual(order, ['frame1', 'setup', 'text', 'audio', 'frame2']);
+    });
+
+    it('drops media past its deadline without spending a request', async () => {
+      const limiter = new GeminiRateLimiter(1, 100, { clock });
+      const ran = [];
+      const request = (name, options) => limiter.enqueueRequest(async () => { ran.push(name); }, null, 'a', options);
+
+      request('setup', { priority: PRIORITY.CONTROL });
+      const frame = request('frame', { priority: PRIORITY.VIDEO }); // 10s deadline by default
+      const question = request('question', { priority: PRIORITY.TEXT });
+      const marker = request('ptt_end', { priority: PRIORITY.AUDIO, maxAgeMs: 0 });
+      const rejected = assert.rejects(frame, error => error.code === REQUEST_EXPIRED);
+
+      // Waiting a minute for the next slot outlives the frame but not the others
+      await clock.tick(MINUTE + 200);
+      await rejected;
+      await question;
+
+      assert.deepEqual(ran, ['setup', 'question']);
+      assert.equal(limiter.getStatus().expiredRequests, 1);
+
+      await clock.tick(MINUTE);
+      await marker;
+      assert.deepEqual(ran, ['setup', 'question', 'ptt_end']);
+    });
+  });
+
+  describe('snapshot and restore', () => {
+    it('drops expired timestamps and resumes a running backoff', async () => {
+      const source = new GeminiRateLimiter(10, 100, { clock });
+      source.recordRequest();
+      await clock.tick(MINUTE);
+      source.recordRequest();
+      source.handleRateLimitError();
+      source.handleRateLimitError(); // 4s backoff
+      const snapshot = JSON.parse(JSON.stringify(source.snapshot()));
+
+      await clock.tick(1000);
+      const restored = new GeminiRateLimiter(10, 100, { clock });
+      restored.restore(snapshot);
+
+      assert.equal(restored.getStatus().requestsLastMinute, 1);
+      assert.equal(restored.getStatus().requestsToday, 2);
+      assert.equal(restored.consecutiveErrors, 2);
+      assert.equal(restored.backoffDelay, 3000, 'only the remaining backoff is applied');
+
+      await clock.tick(3000);
+      assert.equal(restored.backoffDelay, 0);
+    });
+  });
+});
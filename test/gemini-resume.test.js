@@ -0,0 +1,139 @@
+// Gemini Live reconnects, end to end against the in-process mock provider
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const { createMockProviderServer } = require('../server/mock-provider-server');
+const { ProxySession } = require('../server/proxy-session');
+const { createGeminiAdapter } = require('../server/providers');
+const { GeminiRateLimiter } = require('../server/gemini-rate-limiter');
+const { LimiterPool } = require('../server/limiter-pool');
+const { CostLedger } = require('../server/cost-ledger');
+const { ToolRegistry } = require('../server/tools');
+const { KeyVault } = require('../server/key-vault');
+const { MemoryStore } = require('../server/limiter-store');
+
+// Browser side of a ProxySession: records every event the server sends
+class FakeClientWs extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.events = [];
+  }
+
+  send(message) {
+    this.events.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+  }
+
+  async message(payload) {
+    this.emit('message', Buffer.from(JSON.stringify(payload)));
+  }
+}
+
+const waitFor = async (check, timeoutMs = 8000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('Gemini Live context after reconnects', () => {
+  let providerServer;
+  let previousBaseUrl;
+  let limiters;
+  let client;
+  let session;
+
+  before(async () => {
+    providerServer = createMockProviderServer();
+    await new Promise(resolve => providerServer.listen(0, resolve));
+    previousBaseUrl = process.env.GEMINI_BASE_URL;
+    process.env.GEMINI_BASE_URL = `http://localhost:${providerServer.address().port}`;
+  });
+
+  after(async () => {
+    if (previousBaseUrl === undefined) {
+      delete process.env.GEMINI_BASE_URL;
+    } else {
+      process.env.GEMINI_BASE_URL = previousBaseUrl;
+    }
+    await new Promise(resolve => providerServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    for (const method of ['log', 'warn']) {
+      mock.method(console, method, () => {});
+    }
+    providerServer.mock.requests.length = 0;
+
+    const limits = { requestsPerMinute: 1000, requestsPerDay: 10000 };
+    limiters = new LimiterPool({
+      name: 'Gemini',
+      globalLimiter: new GeminiRateLimiter(limits.requestsPerMinute, limits.requestsPerDay),
+      defaultLimits: limits,
+      maxLimits: limits,
+      createLimiter: (userLimits) => new GeminiRateLimiter(userLimits.requestsPerMinute, userLimits.requestsPerDay)
+    });
+    const adapter = createGeminiAdapter({ limiters, costLedger: new CostLedger(), tools: new ToolRegistry() });
+    const metrics = { countRequest() {}, countError() {} };
+
+    const keyVault = new KeyVault(new MemoryStore(), crypto.randomBytes(32));
+    keyVault.set('u1', 'gemini', 'test-key-u1');
+
+    client = new FakeClientWs();
+    session = new ProxySession(client, adapter, { activeConnections: new Map(), user: { uid: 'u1' }, metrics, keyVault });
+
+    await client.message({ type: 'model_selection', protocolVersion: 1, model: 'gemini-2.0-flash-live-001', mode: 'audio_only' });
+    await waitFor(() => session.state.setupComplete);
+    await waitFor(() => session.state.history.length === 1); // Reply to the built-in prompt
+
+    await client.message({ type: 'text', text: 'My name is Ada' });
+    await waitFor(() => session.state.history.some(turn => turn.role === 'model' && turn.text.includes('My name is Ada')));
+  });
+
+  afterEach(() => {
+    client.emit('close');
+    clearInterval(limiters.sweepTimer);
+    mock.restoreAll();
+  });
+
+  const liveSetups = () => providerServer.mock.requests
+    .filter(request => request.provider === 'gemini' && request.body.setup)
+    .map(request => request.body.setup);
+
+  it('resumes with the latest handle instead of greeting again', async () => {
+    const handle = session.state.resumeHandle;
+    assert.match(handle, /^mock-handle-/);
+
+    session.upstream.terminate();
+    const resumed = await waitFor(() => client.events.find(event => event.type === 'session_resumed'));
+
+    assert.equal(resumed.method, 'handle');
+    assert.equal(liveSetups().at(-1).session_resumption.handle, handle);
+    assert.equal(client.events.filter(event => event.type === 'status' && /Active/.test(event.text)).length, 1);
+  });
+
+  it('replays the conversation when the handle is rejected', async () => {
+    session.state.resumeHandle = 'expired-handle';
+
+    session.upstream.terminate();
+    const resumed = await waitFor(() => client.events.find(event => event.type === 'session_resumed'), 10000);
+
+    assert.equal(resumed.method, 'history');
+    const replay = await waitFor(() => providerServer.mock.requests.find(request => request.body.client_content?.turns));
+    const { turns, turn_complete: turnComplete } = replay.body.client_content;
+
+    assert.equal(turnComplete, false);
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'model', 'user', 'model']);
+    assert.equal(turns[2].parts[0].text, 'My name is Ada');
+    assert.deepEqual(liveSetups().at(-1).session_resumption, {});
+  });
+});
@@ -0,0 +1,56 @@
+// Manually advanced clock with the same shape as server/clock.js systemClock.
+// Timers only fire inside tick(), in due-time order, and pending promise
+// callbacks are flushed after each one, so async queue loops run to their
+// next await before time moves on.
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+class FakeClock {
+  constructor(start = Date.UTC(2025, 0, 1)) {
+    this.time = start;
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms), fn });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  // Number of timers waiting to fire
+  get pending() {
+    return this.timers.length;
+  }
+
+  // Advance time by ms, firing every timer that falls due on the way
+  async tick(ms = 0) {
+    const target = this.time + ms;
+    await flushPromises();
+
+    for (;;) {
+      this.timers.sort((a, b) => a.at - b.at || a.id - b.id);
+      const next = this.timers[0];
+      if (!next || next.at > target) {
+        break;
+      }
+      this.timers.shift();
+      this.time = next.at;
+      next.fn();
+      await flushPromises();
+    }
+
+    this.time = target;
+    await flushPromises();
+  }
+}
+
+module.exports = { FakeClock, flushPromises };
@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  KeyVault,
+  UNKNOWN_PROVIDER,
+  INVALID_API_KEY,
+  maskApiKey,
+  parseMasterKey,
+  createKeyVault
+} = require('../server/key-vault');
+const { JsonFileStore, MemoryStore } = require('../server/limiter-store');
+
+const GEMINI_KEY = 'AIzaSyExampleGeminiKey0123456789';
+const OPENAI_KEY = 'sk-proj-exampleOpenAIKey9876543210';
+
+describe('KeyVault', () => {
+  let store;
+  let masterKey;
+  let vault;
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    store = new MemoryStore();
+    masterKey = crypto.randomBytes(32);
+    vault = new KeyVault(store, masterKey);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns saved keys per user and provider', () => {
+    vault.set('u1', 'gemini', GEMINI_KEY);
+    vault.set('u1', 'openai', ` ${OPENAI_KEY}\n`);
+
+    assert.equal(vault.get('u1', 'gemini'), GEMINI_KEY);
+    assert.equal(vault.get('u1', 'openai'), OPENAI_KEY);
+    assert.equal(vault.get('u2', 'gemini'), null);
+  });
+
+  it('only stores ciphertext and masked keys', async () => {
+    vault.set('u1', 'openai', OPENAI_KEY);
+    await vault.persist();
+
+    const saved = JSON.stringify(store.load());
+    assert.ok(!saved.includes(OPENAI_KEY));
+    assert.ok(!saved.includes('exampleOpenAIKey'));
+    assert.deepEqual(Object.keys(store.load().u1.openai).sort(), ['data', 'iv', 'masked', 'tag', 'updatedAt']);
+  });
+
+  it('lists masked keys and replaces a key on rotation', () => {
+    vault.set('u1', 'gemini', GEMINI_KEY);
+    vault.set('u1', 'gemini', 'AIzaSyRotatedGeminiKeyABCDEFGHIJ');
+
+    const keys = vault.list('u1');
+    assert.equal(keys.gemini.masked, 'AIza…GHIJ');
+    assert.ok(keys.gemini.updatedAt);
+    assert.equal(keys.openai, null);
+    assert.equal(vault.get('u1', 'gemini'), 'AIzaSyRotatedGeminiKeyABCDEFGHIJ');
+  });
+
+  it('deletes keys', () => {
+    vault.set('u1', 'gemini', GEMINI_KEY);
+
+    assert.equal(vault.delete('u1', 'gemini'), true);
+    assert.equal(vault.delete('u1', 'gemini'), false);
+    assert.equal(vault.get('u1', 'gemini'), null);
+    assert.deepEqual(vault.list('u1'), { gemini: null, openai: null });
+  });
+
+  it('survives a restart with the same master key only', async () => {
+    vault.set('u1', 'gemini', GEMINI_KEY);
+    await vault.persist();
+
+    assert.equal(new KeyVault(store, masterKey).get('u1', 'gemini'), GEMINI_KEY);
+    assert.equal(new KeyVault(store, crypto.randomBytes(32)).get('u1', 'gemini'), null);
+  });
+
+  it('will not decrypt a key copied into another user\'s entry', () => {
+    vault.set('u1', 'openai', OPENAI_KEY);
+    vault.entries.u2 = { openai: vault.entries.u1.openai };
+
+    assert.equal(vault.get('u2', 'openai'), null);
+  });
+
+  it('rejects unknown providers and malformed keys', () => {
+    assert.throws(() => vault.set('u1', 'anthropic', OPENAI_KEY), { code: UNKNOWN_PROVIDER });
+    assert.throws(() => vault.set('u1', 'toString', OPENAI_KEY), { code: UNKNOWN_PROVIDER });
+    assert.throws(() => vault.set('u1', 'openai', 'short'), { code: INVALID_API_KEY });
+    assert.throws(() => vault.set('u1', 'openai', 'sk-has a space in it'), { code: INVALID_API_KEY });
+    assert.throws(() => vault.set('u1', 'openai', undefined), { code: INVALID_API_KEY });
+    assert.deepEqual(vault.list('u1'), { gemini: null, openai: null });
+  });
+
+  it('falls back to the server key from the environment', () => {
+    const env = { OPENAI_API_KEY: 'sk-server-key' };
+    vault.set('u1', 'openai', OPENAI_KEY);
+
+    assert.equal(vault.resolve('u1', 'openai', env), OPENAI_KEY);
+    assert.equal(vault.resolve('u2', 'openai', env), 'sk-server-key');
+    assert.equal(vault.resolve('u2', 'gemini', env), null);
+  });
+
+  it('never hands the server key to a caller without a verified uid', () => {
+    const env = { OPENAI_API_KEY: 'sk-server-key' };
+
+    assert.equal(vault.resolve(null, 'openai', env), null);
+    assert.equal(vault.resolve('', 'openai', env), null);
+  });
+});
+
+describe('KeyVault shutdown flush', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-vault-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes a key saved just before shutdown without waiting for the background save', async () => {
+    const filePath = path.join(dir, 'api-keys.json');
+    const masterKey = crypto.randomBytes(32);
+    const vault = new KeyVault(new JsonFileStore(filePath), masterKey);
+
+    vault.set('u1', 'openai', OPENAI_KEY);
+    assert.equal(fs.existsSync(filePath), false);
+
+    vault.persistSync();
+    assert.equal(new KeyVault(new JsonFileStore(filePath), masterKey).get('u1', 'openai'), OPENAI_KEY);
+
+    // Let the background save finish before the directory goes away
+    while (vault.isSaving) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  });
+});
+
+describe('key vault setup', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('masks all but the ends of a key', () => {
+    assert.equal(maskApiKey(OPENAI_KEY), 'sk-p…3210');
+    assert.equal(maskApiKey('abcdefgh'), '••••');
+  });
+
+  it('accepts 32-byte master keys as hex or base64', () => {
+    const bytes = crypto.randomBytes(32);
+
+    assert.deepEqual(parseMasterKey(bytes.toString('hex')), bytes);
+    assert.deepEqual(parseMasterKey(bytes.toString('base64')), bytes);
+    assert.throws(() => parseMasterKey('too-short'), /32 bytes/);
+  });
+
+  it('keeps keys in memory when no master key is configured', () => {
+    const warn = mock.method(console, 'warn', () => {});
+
+    const vault = createKeyVault({});
+    vault.set('u1', 'gemini', GEMINI_KEY);
+
+    assert.ok(vault.store instanceof MemoryStore);
+    assert.equal(vault.get('u1', 'gemini'), GEMINI_KEY);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
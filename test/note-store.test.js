@@ -0,0 +1,46 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NoteStore } = require('../server/note-store');
+const { JsonFileStore } = require('../server/limiter-store');
+
+describe('NoteStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps notes per user, newest last', () => {
+    const notes = new NoteStore(new JsonFileStore(path.join(dir, 'notes.json')));
+
+    notes.add('u1', { title: 'First', text: 'one' });
+    const { count } = notes.add('u1', { text: 'two' });
+
+    assert.equal(count, 2);
+    assert.deepEqual(notes.list('u1').map(note => note.text), ['one', 'two']);
+    assert.deepEqual(notes.list('u2'), []);
+  });
+
+  it('writes a note saved just before shutdown without waiting for the background save', async () => {
+    const filePath = path.join(dir, 'notes.json');
+    const notes = new NoteStore(new JsonFileStore(filePath));
+
+    notes.add('u1', { text: 'remember this' });
+    assert.equal(fs.existsSync(filePath), false);
+
+    notes.persistSync();
+    assert.deepEqual(new NoteStore(new JsonFileStore(filePath)).list('u1').map(note => note.text), ['remember this']);
+
+    // Let the background save finish before the directory goes away
+    while (notes.isSaving) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  });
+});
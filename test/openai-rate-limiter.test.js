@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { OpenAIRateLimiter } = require('../server/openai-rate-limiter');
+const { CostLedger } = require('../server/cost-ledger');
+const { tokensFromOpenAIUsage } = require('../server/pricing');
+const { FakeClock } = require('./helpers/fake-clock');
+
+const MINUTE = 60000;
+const HOUR = 3600000;
+
+describe('OpenAIRateLimiter', () => {
+  let clock;
+  let ledger;
+
+  // 10k gpt-4o output tokens = $0.10
+  const spend = (userId) => ledger.record({
+    provider: 'openai',
+    userId,
+    model: 'gpt-4o',
+    tokens: tokensFromOpenAIUsage({ prompt_tokens: 0, completion_tokens: 10000 }),
+    source: 'test'
+  });
+
+  const createLimiter = (options = {}) => new OpenAIRateLimiter({ costLedger: ledger, clock, ...options });
+
+  beforeEach(() => {
+    clock = new FakeClock();
+    ledger = new CostLedger({ clock });
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('sliding windows', () => {
+    it('frees a minute slot exactly 60s after the request', async () => {
+      const limiter = createLimiter({ requestsPerMinute: 1 });
+      limiter.recordRequest();
+
+      await clock.tick(MINUTE - 1);
+      assert.equal(limiter.canMakeRequest(), false);
+      assert.equal(limiter.getWaitTime(), 101);
+
+      await clock.tick(1);
+      assert.equal(limiter.canMakeRequest(), true);
+    });
+
+    it('spaces queued requests 50ms apart', async () => {
+      const limiter = createLimiter();
+      const start = clock.now();
+      const ranAt = [];
+
+      for (let i = 0; i < 3; i++) {
+        limiter.enqueueRequest(async () => { ranAt.push(clock.now() - start); });
+      }
+
+      await clock.tick(200);
+      assert.deepEqual(ranAt, [0, 50, 100]);
+      assert.equal(limiter.getStatus().requestsLastMinute, 3);
+    });
+  });
+
+  describe('cost budget', () => {
+    it('blocks once the hourly spend reaches the limit', () => {
+      const limiter = createLimiter({ userId: 'u1', maxCostPerHour: 0.1 });
+      assert.equal(limiter.canMakeRequest(), true);
+
+      spend('u1');
+      assert.equal(limiter.canMakeRequest(), false);
+      assert.equal(limiter.getStatus().totalCostThisHour, 0.1);
+      assert.equal(limiter.getStatus().tokensThisHour, 10000);
+    });
+
+    it('keeps per-user budgets separate and sums everyone into the global one', () => {
+      const alice = createLimiter({ userId: 'u1', maxCostPerHour: 0.15 });
+      const bob = createLimiter({ userId: 'u2', maxCostPerHour: 0.15 });
+      const global = createLimiter({ maxCostPerHour: 0.15 });
+
+      spend('u1');
+      spend('u1');
+      spend('u2');
+
+      assert.equal(alice.canMakeRequest(), false);
+      assert.equal(bob.canMakeRequest(), true);
+      assert.equal(global.canMakeRequest(), false);
+      assert.ok(Math.abs(global.totalCostThisHour - 0.3) < 1e-9);
+    });
+
+    it('counts down to the hourly reset', async () => {
+      const limiter = createLimiter({ userId: 'u1' });
+      spend('u1');
+
+      assert.equal(limiter.getStatus().minutesUntilCostReset, 60);
+
+      await clock.tick(20 * MINUTE + 1);
+      assert.equal(limiter.getStatus().minutesUntilCostReset, 40);
+    });
+
+    it('runs a request held by the cost limit when the hour resets', async () => {
+      const limiter = createLimiter({ userId: 'u1', maxCostPerHour: 0.01 });
+      const start = clock.now();
+      spend('u1');
+
+      let ranAt = null;
+      const done = limiter.enqueueRequest(async () => { ranAt = clock.now(); });
+
+      await clock.tick(HOUR - 1);
+      assert.equal(ranAt, null);
+
+      await clock.tick(1);
+      await done;
+      assert.equal(ranAt, start + HOUR);
+      assert.equal(limiter.totalCostThisHour, 0);
+    });
+  });
+
+  describe('backoff', () => {
+    it('doubles from 2s, caps at 32s and resets after a success', async () => {
+      const limiter = createLimiter();
+      const delays = [];
+      for (let i = 0; i < 7; i++) {
+        limiter.handleRateLimitError();
+        delays.push(limiter.backoffDelay);
+      }
+
+      assert.deepEqual(delays, [2000, 4000, 8000, 16000, 32000, 32000, 32000]);
+
+      await clock.tick(32000);
+      limiter.recordRequest();
+      limiter.handleRateLimitError();
+      assert.equal(limiter.backoffDelay, 2000);
+    });
+
+    it('holds queued requests until the backoff ends', async () => {
+      const limiter = createLimiter();
+      limiter.handleRateLimitError();
+      limiter.handleRateLimitError();
+
+      let ranAt = null;
+      const done = limiter.enqueueRequest(async () => { ranAt = clock.now(); });
+      const start = clock.now();
+
+      await clock.tick(3999);
+      assert.equal(ranAt, null);
+
+      await clock.tick(1);
+      await done;
+      assert.equal(ranAt, start + 4000);
+    });
+
+    it('cancels the backoff timer on dispose', () => {
+      const limiter = createLimiter();
+      limiter.handleRateLimitError();
+      assert.equal(clock.pending, 1);
+
+      limiter.dispose();
+      assert.equal(clock.pending, 0);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  validateClientMessage,
+  negotiateVersion,
+  createEvent
+} = require('../server/protocol');
+
+describe('validateClientMessage', () => {
+  it('accepts the messages the pages send', () => {
+    const messages = [
+      { type: 'model_selection', protocolVersion: 1, model: 'gpt-4o-mini-realtime-preview-2024-12-17', mode: 'audio_only', apiKey: null, limits: undefined, persona: null, voice: 'alloy', turnDetection: { mode: 'vad' } },
+      { type: 'audio_chunk', data: 'AAAA', format: 'pcm16', timestamp: 1 },
+      { type: 'video_frame', data: '/9j/4AAQ', timestamp: 1 },
+      { type: 'text', text: 'hello' },
+      { type: 'chat_message', text: '', files: [], model: 'o3', tokenLimit: 0, persona: null, conversationHistory: [{ role: 'user', text: 'hi' }] },
+      { type: 'voice_change', voice: 'verse' },
+      { type: 'ptt_start' },
+      { type: 'ptt_end' },
+      { type: 'interrupt', playedMs: 1200 }
+    ];
+
+    for (const message of messages) {
+      assert.equal(validateClientMessage(message), null, message.type);
+    }
+  });
+
+  it('ignores fields the schema does not know', () => {
+    assert.equal(validateClientMessage({ type: 'ptt_end', sentAt: 'later' }), null);
+  });
+
+  it('rejects messages without a known type', () => {
+    assert.equal(validateClientMessage(null).code, ERROR_CODES.INVALID_MESSAGE);
+    assert.equal(validateClientMessage([]).code, ERROR_CODES.INVALID_MESSAGE);
+    assert.equal(validateClientMessage({ text: 'hi' }).code, ERROR_CODES.INVALID_MESSAGE);
+    assert.equal(validateClientMessage({ type: 'toString' }).code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+    assert.equal(validateClientMessage({ type: 'shutdown' }).code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+  });
+
+  it('reports every invalid field', () => {
+    const result = validateClientMessage({ type: 'model_selection', model: '', mode: 'video', protocolVersion: 'one' });
+
+    assert.equal(result.code, ERROR_CODES.INVALID_MESSAGE);
+    assert.match(result.text, /model must not be empty/);
+    assert.match(result.text, /protocolVersion must be a number, got string/);
+    assert.match(result.text, /mode must be one of audio_only, vision\+audio/);
+  });
+
+  it('checks required fields, lengths and number ranges', () => {
+    assert.match(validateClientMessage({ type: 'audio_chunk' }).text, /data is required/);
+    assert.match(validateClientMessage({ type: 'text', text: '' }).text, /text must not be empty/);
+    assert.match(validateClientMessage({ type: 'text', text: 'x'.repeat(100001) }).text, /longer than 100000/);
+    assert.match(validateClientMessage({ type: 'interrupt', playedMs: -5 }).text, /at least 0/);
+    assert.match(validateClientMessage({ type: 'chat_message', files: {} }).text, /files must be an array, got object/);
+  });
+});
+
+describe('negotiateVersion', () => {
+  it('picks the highest version both sides speak', () => {
+    assert.equal(negotiateVersion(PROTOCOL_VERSION), PROTOCOL_VERSION);
+    assert.equal(negotiateVersion(PROTOCOL_VERSION + 5), PROTOCOL_VERSION);
+  });
+
+  it('treats clients that send no version as version 1', () => {
+    assert.equal(negotiateVersion(undefined), 1);
+  });
+
+  it('returns null when there is no common version', () => {
+    assert.equal(negotiateVersion(0), null);
+  });
+});
+
+describe('createEvent', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('wraps an event in the versioned envelope', () => {
+    const event = createEvent({ type: 'error', code: ERROR_CODES.RATE_LIMITED, error: 'Rate limit exceeded', text: 'Backing off' });
+
+    assert.equal(event.v, PROTOCOL_VERSION);
+    assert.equal(event.type, 'error');
+    assert.equal(event.code, 'rate_limited');
+    assert.equal(typeof event.ts, 'number');
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  it('logs events that do not match the schema', () => {
+    createEvent({ type: 'mystery' });
+    createEvent({ type: 'warning', text: 'no code' });
+
+    assert.equal(console.warn.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordingStore, redactPayload } = require('../server/session-recorder');
+
+const DAY = 86400000;
+
+const audioChunk = Buffer.alloc(3000, 7).toString('base64');
+
+// Resolves once the recorder's file has been flushed and closed
+const closeRecorder = (recorder, event) => new Promise(resolve => {
+  recorder.stream.once('finish', resolve);
+  recorder.close(event);
+});
+
+const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('redactPayload', () => {
+  it('replaces base64 audio with its size and hash', () => {
+    const redacted = redactPayload({ type: 'audio', data: audioChunk });
+
+    assert.equal(redacted.type, 'audio');
+    assert.equal(redacted.data.redacted, 'binary');
+    assert.equal(redacted.data.bytes, 3000);
+    assert.match(redacted.data.sha256, /^[0-9a-f]{16}$/);
+  });
+
+  it('summarizes data URLs in nested arrays with their mime type', () => {
+    const frame = `data:image/jpeg;base64,${audioChunk}`;
+    const redacted = redactPayload({ type: 'chat_message', text: 'what is this?', images: [frame] });
+
+    assert.equal(redacted.text, 'what is this?');
+    assert.deepEqual(
+      { mimeType: redacted.images[0].mimeType, bytes: redacted.images[0].bytes },
+      { mimeType: 'image/jpeg', bytes: 3000 }
+    );
+  });
+
+  it('drops secrets and keeps ordinary text', () => {
+    const longText = 'word '.repeat(200);
+    const redacted = redactPayload({ type: 'model_selection', apiKey: 'sk-secret', model: 'gpt-4o', text: longText });
+
+    assert.equal(redacted.apiKey, '[redacted]');
+    assert.equal(redacted.model, 'gpt-4o');
+    assert.equal(redacted.text, longText);
+  });
+});
+
+describe('RecordingStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does nothing unless enabled', () => {
+    const store = new RecordingStore({ dir });
+    assert.equal(store.open({ provider: 'Gemini', connectionId: '1', userId: 'u1' }), null);
+  });
+
+  it('writes one timestamped line per event, redacted', async () => {
+    const store = new RecordingStore({ enabled: true, dir });
+    const recorder = store.open({ provider: 'Gemini', connectionId: '42', userId: 'u1' });
+
+    recorder.record('in', { type: 'audio', data: audioChunk });
+    recorder.record('out', { type: 'user_transcription', text: 'hello' });
+    await closeRecorder(recorder, { type: 'session_end', model: 'gemini-2.0-flash-live' });
+
+    const lines = readLines(path.join(dir, recorder.id));
+    assert.deepEqual(lines.map(line => [line.dir, line.event.type]), [
+      ['meta', 'session_start'],
+      ['in', 'audio'],
+      ['out', 'user_transcription'],
+      ['meta', 'session_end']
+    ]);
+    assert.equal(lines[1].event.data.bytes, 3000);
+    assert.ok(lines.every(line => !Number.isNaN(Date.parse(line.ts))));
+  });
+
+  it('lists recordings with their header and protects active ones', async () => {
+    const store = new RecordingStore({ enabled: true, dir });
+    const recorder = store.open({ provider: 'OpenAI', connectionId: '7', userId: 'u2' });
+    recorder.record('in', { type: 'text', text: 'hi' });
+    await new Promise(resolve => recorder.stream.write('', resolve));
+
+    const [listed] = await store.list();
+    assert.equal(listed.id, recorder.id);
+    assert.equal(listed.provider, 'OpenAI');
+    assert.equal(listed.userId, 'u2');
+    assert.equal(listed.active, true);
+    await assert.rejects(store.delete(recorder.id), /in progress/);
+
+    await closeRecorder(recorder);
+    assert.equal(await store.delete(recorder.id), true);
+    assert.deepEqual(await store.list(), []);
+  });
+
+  it('rejects ids that are not recording file names', async () => {
+    const store = new RecordingStore({ enabled: true, dir });
+
+    assert.equal(store.resolve('../rate-limits.json'), null);
+    assert.equal(store.resolve('..%2Fsecret.jsonl'), null);
+    assert.equal(await store.delete('../notes.json'), false);
+  });
+
+  it('prunes by age, then the oldest beyond the file limit', async () => {
+    const store = new RecordingStore({ enabled: true, dir, retentionDays: 7, maxRecordings: 2 });
+    const now = Date.now();
+    const files = ['a_gemini_1.jsonl', 'b_gemini_2.jsonl', 'c_gemini_3.jsonl', 'd_gemini_4.jsonl'];
+    const ages = [10 * DAY, 3 * DAY, 2 * DAY, DAY];
+
+    files.forEach((name, i) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, '{}\n');
+      const mtime = new Date(now - ages[i]);
+      fs.utimesSync(filePath, mtime, mtime);
+    });
+
+    assert.equal(await store.prune(now), 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['c_gemini_3.jsonl', 'd_gemini_4.jsonl']);
+  });
+});